@@ -1,3 +1,5 @@
+const path = require('path');
+
 module.exports = {
   root: true,
   extends: [
@@ -19,4 +21,16 @@ module.exports = {
     'linebreak-style': ['error', 'unix'], // enforce unix linebreaks
     'no-param-reassign': [2, { props: false }], // allow modifying properties of param
   },
+  overrides: [
+    {
+      // parsers/ and transformers/ have their own package.json (for "type": "module");
+      // their dependencies are declared in the importer's
+      files: ['tools/importer/**/*.js'],
+      rules: {
+        'import/no-extraneous-dependencies': ['error', {
+          packageDir: [__dirname, path.join(__dirname, 'tools/importer')],
+        }],
+      },
+    },
+  ],
 };
@@ -1,5 +1,8 @@
-import { getMetadata } from '../../scripts/aem.js';
+import {
+  buildBlock, decorateBlock, getMetadata, loadBlock,
+} from '../../scripts/aem.js';
 import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import { QUERY_INDEX } from '../../scripts/query-index.js';
 import { loadFragment } from '../fragment/fragment.js';
 
 // media query match that indicates mobile/tablet width
@@ -169,6 +172,30 @@ async function buildBreadcrumbs() {
   return breadcrumbs;
 }
 
+/**
+ * Opens the search block in a modal; pressing Enter there goes to the
+ * search page with the query
+ * @param {Element} searchLink The nav tools link to the search page
+ */
+async function openSearchOverlay(searchLink) {
+  const { createModal } = await import(`${window.hlx.codeBasePath}/blocks/modal/modal.js`);
+
+  const index = document.createElement('a');
+  index.href = QUERY_INDEX;
+  const page = document.createElement('a');
+  page.href = searchLink.href;
+  const block = buildBlock('search', [[index], [page]]);
+  block.classList.add('overlay');
+  const wrapper = document.createElement('div');
+  wrapper.append(block);
+  decorateBlock(block);
+  await loadBlock(block);
+
+  const { showModal } = await createModal([wrapper]);
+  showModal();
+  block.querySelector('input')?.focus();
+}
+
 /**
  * loads and decorates the header, mainly the nav
  * @param {Element} block The header block element
@@ -222,6 +249,16 @@ export default async function decorate(block) {
     if (search && search.textContent === '') {
       search.setAttribute('aria-label', 'Search');
     }
+    // search from any page in an overlay; modified clicks still open the page,
+    // and so does a click on the search page itself or an overlay that fails
+    search?.addEventListener('click', (e) => {
+      if (e.metaKey || e.ctrlKey || e.shiftKey) return;
+      if (new URL(search.href).pathname === window.location.pathname) return;
+      e.preventDefault();
+      openSearchOverlay(search).catch(() => {
+        window.location.href = search.href;
+      });
+    });
   }
 
   // hamburger for mobile
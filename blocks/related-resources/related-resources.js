@@ -0,0 +1,89 @@
+/*
+ * Related Resources Block
+ * Resources from the query index related to the current page, picked when
+ * the page is viewed so they stay current as content is published.
+ *
+ *   | Related Resources |                           |
+ *   | heading           | Related Posts             |  (optional)
+ *   | limit             | 3                         |
+ *   | source            | /content/query-index.json |  (optional)
+ *
+ * The heading is shown only when there are related resources, so a page with
+ * none isn't left with a heading over an empty section.
+ */
+
+import { getMetadata, readBlockConfig } from '../../scripts/aem.js';
+import loadQueryIndex, { QUERY_INDEX } from '../../scripts/query-index.js';
+import {
+  getResourceDate, getResourceType, getTags, isResource,
+} from '../../scripts/resource-types.js';
+import { loadCardStyles, renderCard } from '../resource-list/resource-list.js';
+
+const DEFAULT_LIMIT = 3;
+const TAG_WEIGHT = 3;
+const TYPE_WEIGHT = 2;
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+// The current page's index row, or one made from its metadata if it isn't indexed
+function currentPage(rows) {
+  const { pathname } = window.location;
+  return rows.find((row) => row.path === pathname) || {
+    path: pathname,
+    template: getMetadata('template'),
+    tags: getMetadata('article:tag'),
+  };
+}
+
+/**
+ * Resources other than the page, best first: each shared topic counts most,
+ * then being the same type, then recency (a year-old resource scores half a
+ * new one), which also orders resources with nothing in common
+ */
+function rankRelated(rows, page) {
+  const pageTags = new Set(getTags(page).map((tag) => tag.toLowerCase()));
+  const pageType = isResource(page) ? getResourceType(page) : '';
+  const now = Date.now();
+
+  return rows
+    .filter((row) => row.path !== page.path && isResource(row))
+    .map((row) => {
+      const shared = getTags(row).filter((tag) => pageTags.has(tag.toLowerCase())).length;
+      const sameType = pageType && getResourceType(row) === pageType;
+      const date = getResourceDate(row);
+      const recency = date ? 1 / (1 + Math.max(0, now - date) / YEAR_MS) : 0;
+      return { row, score: TAG_WEIGHT * shared + (sameType ? TYPE_WEIGHT : 0) + recency };
+    })
+    .sort((a, b) => b.score - a.score)
+    .map(({ row }) => row);
+}
+
+export default async function decorate(block) {
+  const config = readBlockConfig(block);
+  const limit = Number.parseInt(config.limit, 10) || DEFAULT_LIMIT;
+  block.textContent = '';
+
+  let rows;
+  try {
+    [rows] = await Promise.all([
+      loadQueryIndex(config.source || QUERY_INDEX).all(),
+      loadCardStyles(),
+    ]);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('error loading related resources', err);
+    return;
+  }
+
+  const related = rankRelated(rows, currentPage(rows)).slice(0, limit);
+  if (!related.length) return;
+
+  if (config.heading) {
+    const heading = document.createElement('h2');
+    heading.textContent = config.heading;
+    block.append(heading);
+  }
+  const grid = document.createElement('ul');
+  grid.className = 'resource-grid';
+  related.forEach((row) => grid.append(renderCard(row)));
+  block.append(grid);
+}
@@ -1,60 +1,280 @@
-import { createOptimizedPicture } from '../../scripts/aem.js';
-
+import {
+  createOptimizedPicture, loadCSS, readBlockConfig, toCamelCase, toClassName,
+} from '../../scripts/aem.js';
+import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import loadQueryIndex, { QUERY_INDEX } from '../../scripts/query-index.js';
+import {
+  TYPE_MAP, getResourceDate, getResourceType, getTags, getTypeLabel, isResource,
+} from '../../scripts/resource-types.js';
+import { trackFilter, trackResultClick, trackSearch } from '../../scripts/search/analytics.js';
+import { terms } from '../../scripts/search/text-analysis.js';
+
+const ANALYTICS_SOURCE = '.resource-list';
 const PAGE_SIZE = 9;
 
-// Map template names to display labels and URL path prefixes
-const TYPE_MAP = {
-  'blog-article': { label: 'Blog', paths: ['/blog/'] },
-  news: { label: 'News', paths: ['/news/'] },
-  'gated-resource': { label: 'White Papers & Reports', paths: ['/white-papers/', '/playbooks/', '/webinars/', '/analyst-report/'] },
-  'case-study': { label: 'Case Studies', paths: ['/case-studies/'] },
-  podcast: { label: 'Podcasts', paths: ['/podcasts/'] },
-  video: { label: 'Videos', paths: ['/videos/'] },
-  infographic: { label: 'Infographics', paths: ['/infographics/'] },
-  legislative: { label: 'Legislative', paths: ['/legislative-highlights/'] },
+// Text of the block, by name. Each can be set with a `label <name>` row (or
+// a `cta` or `load-more` row) in the block or its config sheet, or with a
+// resource-list-<name> placeholder; {…} are filled in where shown.
+const LABELS = {
+  all: 'All',
+  type: 'Type',
+  topic: 'Topic',
+  'all-topics': 'All Topics',
+  'topics-any': '{count} topics (any)',
+  'topics-all': '{count} topics (all)',
+  match: 'Show resources with',
+  'match-any': 'Any selected topic',
+  'match-all': 'All selected topics',
+  date: 'Date',
+  'from-date': 'From date',
+  'to-date': 'To date',
+  sort: 'Sort',
+  'sort-newest': 'Newest',
+  'sort-oldest': 'Oldest',
+  'sort-title': 'A–Z',
+  'sort-relevance': 'Most relevant',
+  search: 'Search resources...',
+  loading: 'Loading resources...',
+  error: 'Unable to load resources.',
+  'no-results': 'No resources match your filters. Try adjusting your selection.',
+  count: 'Showing {shown} of {total} resources',
+  'count-loading': 'Showing {shown} resources',
+  cta: 'View {type}',
+  'load-more': 'Load More',
 };
 
-// Derive resource type from path if template is missing
-function getResourceType(item) {
-  if (item.template && TYPE_MAP[item.template]) {
-    return item.template;
+// Sort options; the index is already newest first
+const SORTS = ['newest', 'oldest', 'title', 'relevance'];
+const DEFAULT_SORT = 'newest';
+
+// History state key of the card followed to a resource, focused on the way back
+const FOCUS_STATE = 'resourceListFocus';
+
+// Parts of the filter bar authors can hide
+const FACETS = ['type', 'topic', 'date', 'sort', 'search'];
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+
+const isYes = (value) => /^(yes|true|on)$/i.test(String(value || '').trim());
+
+// A label with its {name} fields filled in
+const format = (text, fields) => text.replace(/\{(\w+)\}/g, (field, name) => fields[name] ?? field);
+
+// A comma list, or the paragraphs of a block cell
+const toList = (value) => [value || ''].flat()
+  .flatMap((v) => String(v).split(','))
+  .map((v) => v.trim())
+  .filter(Boolean);
+
+/**
+ * A resource type from a Type | Label | Paths | CTA row; a type that already
+ * exists keeps its paths and CTA unless the row gives new ones
+ */
+function toType(name, label, paths, cta, types) {
+  const known = types[name] || {};
+  return {
+    ...known,
+    label: label || known.label || name,
+    paths: toList(paths).length ? toList(paths) : known.paths || [],
+    cta: cta || known.cta || '',
+  };
+}
+
+/**
+ * Resource types from the block's `resource type` rows, which have the
+ * columns of a types sheet: Resource Type | Type | Label | Paths | CTA
+ */
+function readTypeRows(block, types) {
+  const rows = {};
+  block.querySelectorAll(':scope > div').forEach((row) => {
+    const cells = [...row.children].map((col) => {
+      const ps = [...col.querySelectorAll('p')];
+      return ps.length ? ps.map((p) => p.textContent) : col.textContent;
+    });
+    const [key, name, label, paths, cta] = cells;
+    const type = String(name || '').trim();
+    if (toClassName(String(key)) !== 'resource-type' || !type) return;
+    rows[type] = toType(type, String(label || '').trim(), paths, String(cta || '').trim(), types);
+  });
+  return rows;
+}
+
+/**
+ * Reads a configuration sheet: Key | Value rows, and optionally (in a
+ * multi-sheet, next to a `config` sheet) a `types` sheet of
+ * Type | Label | Paths | CTA rows adding or relabelling resource types.
+ */
+async function fetchConfigSheet(url) {
+  try {
+    const resp = await fetch(url);
+    const json = resp.ok ? await resp.json() : {};
+    const multi = json[':type'] === 'multi-sheet';
+    const values = {};
+    ((multi ? json.config?.data : json.data) || []).forEach((row) => {
+      if (row.Key) values[toClassName(row.Key)] = row.Value;
+    });
+    const types = {};
+    ((multi && json.types?.data) || []).filter((row) => row.Type).forEach((row) => {
+      types[row.Type.trim()] = toType(row.Type.trim(), row.Label, row.Paths, row.CTA, TYPE_MAP);
+    });
+    return { values, types };
+  } catch (err) {
+    // error loading the sheet: use the block's own settings
+    // eslint-disable-next-line no-console
+    console.error('error loading resource list config', err);
+    return { values: {}, types: {} };
   }
-  // Fallback: match by path
-  const matched = Object.entries(TYPE_MAP).find(
-    ([, { paths }]) => paths.some((p) => item.path.includes(p)),
-  );
-  return matched ? matched[0] : 'blog-article';
 }
 
-function getTypeLabel(type) {
-  return TYPE_MAP[type]?.label || type;
+/**
+ * Block configuration, from its Key | Value rows and the sheet they link as
+ * `config` (rows win over the sheet):
+ *   source      Query index (default /content/query-index.json)
+ *   page-size   Resources per page, and per "Load More"
+ *   type        Preset type, as a template or a label (e.g. Case Studies)
+ *   topics      Preset topics; match: all to require every one
+ *   sort, from, to   Preset sort order and date range
+ *   hide        Parts to leave out: type, topic, date, sort, search, count,
+ *               load-more
+ *   cta, load-more   Card and button labels; {type} is the type's label
+ *   label <name>     Any other text of the block (see LABELS), e.g.
+ *               Label No Results; resource-list-<name> placeholders are
+ *               used when the block and sheet don't set one
+ *   resource type    Add or relabel a type: Resource Type | Type | Label |
+ *               Paths | CTA, the columns of a types sheet
+ *   pinned      Resources (links or paths) to list first, in this order
+ *   slot N      A resource to show at position N of the grid
+ *   featured    Show the first pinned resource as a large card (or use the
+ *               featured variant of the block)
+ *   exclude-pinned   List the pinned resources above the grid instead of in
+ *               it, so they aren't counted or paged with the others
+ * A block with just a link to the index uses it as the source.
+ */
+async function readConfig(block) {
+  const rows = readBlockConfig(block);
+  const link = block.querySelector(':scope > div > div:only-child a[href]');
+  const [sheet, placeholders] = await Promise.all([
+    rows.config ? fetchConfigSheet(rows.config) : { values: {}, types: {} },
+    fetchPlaceholders(),
+  ]);
+  const values = { ...sheet.values, ...rows };
+  const sheetTypes = { ...TYPE_MAP, ...sheet.types };
+  const types = { ...sheetTypes, ...readTypeRows(block, sheetTypes) };
+  // cta and load-more rows predate the `label` prefix; other names are presets
+  const labels = Object.fromEntries(Object.entries(LABELS).map(([name, text]) => [name,
+    String(values[`label-${name}`] || (['cta', 'load-more'].includes(name) && values[name])
+      || placeholders[toCamelCase(`resource-list-${name}`)] || text)]));
+
+  const typeName = String(values.type || '').trim().toLowerCase();
+  const type = Object.keys(types).find((key) => key === typeName
+    || types[key].label.toLowerCase() === typeName) || '';
+  const sort = String(values.sort || '').trim().toLowerCase();
+
+  const toPath = (value) => new URL(value, window.location.href).pathname;
+  const pins = [
+    ...toList(values.pinned).map((path) => ({ path: toPath(path), position: 0 })),
+    ...Object.entries(values)
+      .filter(([key, value]) => /^slot-\d+$/.test(key) && toList(value).length)
+      .map(([key, value]) => ({
+        path: toPath(toList(value)[0]),
+        position: Number.parseInt(key.slice(5), 10),
+      }))
+      .sort((a, b) => a.position - b.position),
+  ];
+
+  return {
+    source: values.source || link?.href || QUERY_INDEX,
+    types,
+    pageSize: Number.parseInt(values['page-size'], 10) || PAGE_SIZE,
+    labels,
+    cta: labels.cta,
+    hidden: new Set(toList(values.hide).map(toClassName)),
+    pins,
+    featured: block.classList.contains('featured') || isYes(values.featured),
+    excludePinned: isYes(values['exclude-pinned']),
+    presets: {
+      type,
+      tags: toList(values.topics || values.topic),
+      match: String(values.match).trim().toLowerCase() === 'all' ? 'all' : 'any',
+      from: isDate(values.from) ? values.from : '',
+      to: isDate(values.to) ? values.to : '',
+      sort: SORTS.includes(sort) ? sort : DEFAULT_SORT,
+    },
+  };
+}
+
+/**
+ * Initial state: the URL params of the facets shown, else the presets.
+ * Hidden facets always keep their preset.
+ */
+function readState(config) {
+  const params = new URLSearchParams(window.location.search);
+  const { presets, hidden } = config;
+  const param = (facet, name) => (!hidden.has(facet) && params.has(name)
+    ? params.get(name) : null);
+  const date = (name) => {
+    const value = param('date', name);
+    if (value === null) return presets[name];
+    return isDate(value) ? value : '';
+  };
+  const sort = param('sort', 'sort');
+  const page = hidden.has('load-more') ? 1 : Number.parseInt(params.get('page'), 10);
+
+  return {
+    type: param('type', 'type') ?? presets.type,
+    tags: param('topic', 'tag') === null
+      ? presets.tags : params.getAll('tag').filter(Boolean),
+    match: (param('topic', 'match') ?? presets.match) === 'all' ? 'all' : 'any',
+    q: param('search', 'q') ?? '',
+    from: date('from'),
+    to: date('to'),
+    sort: SORTS.includes(sort) ? sort : presets.sort,
+    page: page > 1 ? page : 1,
+  };
 }
 
 function getAllTags(data) {
   const tags = new Set();
   data.forEach((item) => {
-    if (item.tags) {
-      item.tags.split(',').map((t) => t.trim()).filter(Boolean).forEach((t) => tags.add(t));
-    }
+    getTags(item).forEach((t) => tags.add(t));
   });
   return [...tags].sort();
 }
 
-function getAllTypes(data) {
+function getAllTypes(data, config) {
   const types = new Set();
   data.forEach((item) => {
-    types.add(getResourceType(item));
+    types.add(getResourceType(item, config.types));
   });
   return [...types].sort((a, b) => {
-    const la = getTypeLabel(a);
-    const lb = getTypeLabel(b);
+    const la = getTypeLabel(a, config.types);
+    const lb = getTypeLabel(b, config.types);
     return la.localeCompare(lb);
   });
 }
 
-function renderCard(item) {
+/**
+ * Styles of the cards from renderCard(), for the blocks that show them
+ * @returns {Promise} Resolves once loaded
+ */
+export function loadCardStyles() {
+  return loadCSS(`${window.hlx.codeBasePath}/blocks/resource-list/resource-cards.css`);
+}
+
+/**
+ * Card for a resource, shared with the related-resources block
+ * @param {object} item Query index row
+ * @param {object} [config] Block config; only types and cta are used
+ * @param {boolean} [featured] Render the large featured card
+ * @returns {Element} The card's list item
+ */
+export function renderCard(item, config = { types: TYPE_MAP, cta: LABELS.cta }, featured = false) {
+  const type = getResourceType(item, config.types);
+  const typeLabel = getTypeLabel(type, config.types);
+
   const card = document.createElement('li');
   card.className = 'resource-card';
+  if (featured) card.classList.add('resource-card-featured');
 
   const a = document.createElement('a');
   a.href = item.path;
@@ -62,7 +282,7 @@ function renderCard(item) {
   if (item.image) {
     const imgWrap = document.createElement('div');
     imgWrap.className = 'resource-card-image';
-    const pic = createOptimizedPicture(item.image, item.title, false, [{ width: '400' }]);
+    const pic = createOptimizedPicture(item.image, item.title, featured, [{ width: featured ? '800' : '400' }]);
     imgWrap.append(pic);
     a.append(imgWrap);
   }
@@ -72,7 +292,7 @@ function renderCard(item) {
 
   const typeBadge = document.createElement('span');
   typeBadge.className = 'resource-card-type';
-  typeBadge.textContent = getTypeLabel(getResourceType(item));
+  typeBadge.textContent = typeLabel;
   body.append(typeBadge);
 
   if (item.title) {
@@ -91,7 +311,7 @@ function renderCard(item) {
 
   const cta = document.createElement('span');
   cta.className = 'resource-card-cta';
-  cta.textContent = `View ${getTypeLabel(getResourceType(item))}`;
+  cta.textContent = format(config.types[type]?.cta || config.cta, { type: typeLabel });
   body.append(cta);
 
   a.append(body);
@@ -99,30 +319,32 @@ function renderCard(item) {
   return card;
 }
 
-function createFilterBar(types, tags, state) {
-  const bar = document.createElement('div');
-  bar.className = 'resource-filters';
+function updateTopicSummary(bar, state, config) {
+  const { labels } = config;
+  const summary = bar.querySelector('.filter-topics summary');
+  if (!state.tags.length) summary.textContent = labels['all-topics'];
+  else if (state.tags.length === 1) [summary.textContent] = state.tags;
+  else summary.textContent = format(labels[`topics-${state.match}`], { count: state.tags.length });
+}
 
-  // Type filter
-  const typeSection = document.createElement('div');
-  typeSection.className = 'filter-group';
-
-  const typeLabel = document.createElement('span');
-  typeLabel.className = 'filter-label';
-  typeLabel.textContent = 'Type';
-  typeSection.append(typeLabel);
+// Fill the type buttons and topic options from the resources loaded so far
+function updateFilterOptions(bar, data, state, config) {
+  const typeSection = bar.querySelector('.filter-types');
+  typeSection.querySelectorAll('.filter-btn').forEach((btn) => btn.remove());
 
   const typeAll = document.createElement('button');
   typeAll.className = 'filter-btn active';
   typeAll.dataset.type = '';
-  typeAll.textContent = 'All';
+  typeAll.textContent = config.labels.all;
   typeSection.append(typeAll);
 
+  const types = getAllTypes(data, config);
+  if (state.type && !types.includes(state.type)) types.push(state.type);
   types.forEach((type) => {
     const btn = document.createElement('button');
     btn.className = 'filter-btn';
     btn.dataset.type = type;
-    btn.textContent = getTypeLabel(type);
+    btn.textContent = getTypeLabel(type, config.types);
     if (state.type === type) {
       btn.classList.add('active');
       typeAll.classList.remove('active');
@@ -130,35 +352,121 @@ function createFilterBar(types, tags, state) {
     typeSection.append(btn);
   });
 
+  const list = bar.querySelector('.filter-topic-list');
+  list.innerHTML = '';
+  const tags = getAllTags(data);
+  state.tags.forEach((tag) => { if (!tags.includes(tag)) tags.push(tag); });
+  tags.forEach((tag) => {
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.name = 'tag';
+    checkbox.value = tag;
+    checkbox.checked = state.tags.includes(tag);
+    label.append(checkbox, ` ${tag}`);
+    item.append(label);
+    list.append(item);
+  });
+  updateTopicSummary(bar, state, config);
+}
+
+function createFilterBar(data, state, config) {
+  const { labels } = config;
+  const bar = document.createElement('div');
+  bar.className = 'resource-filters';
+
+  // Type filter
+  const typeSection = document.createElement('div');
+  typeSection.className = 'filter-group filter-types';
+
+  const typeLabel = document.createElement('span');
+  typeLabel.className = 'filter-label';
+  typeLabel.textContent = labels.type;
+  typeSection.append(typeLabel);
+
   bar.append(typeSection);
 
-  // Topic filter (dropdown)
+  // Topic filter (dropdown of checkboxes, matching any or all of them)
   const topicSection = document.createElement('div');
   topicSection.className = 'filter-group';
 
   const topicLabel = document.createElement('span');
   topicLabel.className = 'filter-label';
-  topicLabel.textContent = 'Topic';
+  topicLabel.textContent = labels.topic;
   topicSection.append(topicLabel);
 
-  const select = document.createElement('select');
-  select.className = 'filter-select';
-  const optAll = document.createElement('option');
-  optAll.value = '';
-  optAll.textContent = 'All Topics';
-  select.append(optAll);
-
-  tags.forEach((tag) => {
-    const opt = document.createElement('option');
-    opt.value = tag;
-    opt.textContent = tag;
-    if (state.tag === tag) opt.selected = true;
-    select.append(opt);
+  const topics = document.createElement('details');
+  topics.className = 'filter-topics';
+  const topicSummary = document.createElement('summary');
+  topicSummary.className = 'filter-select';
+  const topicPanel = document.createElement('div');
+  topicPanel.className = 'filter-topics-panel';
+
+  const match = document.createElement('fieldset');
+  match.className = 'filter-match';
+  const matchLegend = document.createElement('legend');
+  matchLegend.textContent = labels.match;
+  match.append(matchLegend);
+  ['any', 'all'].forEach((value) => {
+    const label = document.createElement('label');
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'match';
+    radio.value = value;
+    radio.checked = state.match === value;
+    label.append(radio, ` ${labels[`match-${value}`]}`);
+    match.append(label);
   });
 
-  topicSection.append(select);
+  const topicList = document.createElement('ul');
+  topicList.className = 'filter-topic-list';
+  topicPanel.append(match, topicList);
+  topics.append(topicSummary, topicPanel);
+  topicSection.append(topics);
   bar.append(topicSection);
 
+  // Date range
+  const dateSection = document.createElement('div');
+  dateSection.className = 'filter-group filter-dates';
+
+  const dateLabel = document.createElement('span');
+  dateLabel.className = 'filter-label';
+  dateLabel.textContent = labels.date;
+  dateSection.append(dateLabel);
+
+  ['from', 'to'].forEach((name, i) => {
+    if (i) dateSection.append('–');
+    const input = document.createElement('input');
+    input.type = 'date';
+    input.name = name;
+    input.className = 'filter-date';
+    input.value = state[name];
+    input.setAttribute('aria-label', labels[`${name}-date`]);
+    dateSection.append(input);
+  });
+  bar.append(dateSection);
+
+  // Sort
+  const sortSection = document.createElement('div');
+  sortSection.className = 'filter-group filter-sort';
+
+  const sortLabel = document.createElement('label');
+  sortLabel.className = 'filter-label';
+  sortLabel.textContent = labels.sort;
+  const sortSelect = document.createElement('select');
+  sortSelect.className = 'filter-select filter-sort-select';
+  SORTS.forEach((value) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = labels[`sort-${value}`];
+    option.selected = state.sort === value;
+    sortSelect.append(option);
+  });
+  sortLabel.append(sortSelect);
+  sortSection.append(sortLabel);
+  bar.append(sortSection);
+
   // Search input
   const searchSection = document.createElement('div');
   searchSection.className = 'filter-group filter-search';
@@ -166,130 +474,273 @@ function createFilterBar(types, tags, state) {
   const searchInput = document.createElement('input');
   searchInput.type = 'search';
   searchInput.className = 'filter-search-input';
-  searchInput.placeholder = 'Search resources...';
+  searchInput.placeholder = labels.search;
   searchInput.value = state.q || '';
   searchSection.append(searchInput);
 
   bar.append(searchSection);
 
+  [
+    [typeSection, 'type'], [topicSection, 'topic'], [dateSection, 'date'],
+    [sortSection, 'sort'], [searchSection, 'search'],
+  ].forEach(([section, facet]) => { section.hidden = config.hidden.has(facet); });
+  bar.hidden = FACETS.every((facet) => config.hidden.has(facet));
+
+  updateFilterOptions(bar, data, state, config);
   return bar;
 }
 
-function filterData(data, state) {
+// Timestamps of a yyyy-mm-dd range, both days included
+function dateRange(state) {
+  const from = Date.parse(state.from) || -Infinity;
+  const to = state.to && Date.parse(state.to) ? Date.parse(state.to) + 86400000 - 1 : Infinity;
+  return [from, to];
+}
+
+function filterData(data, state, config) {
+  const [from, to] = dateRange(state);
   return data.filter((item) => {
-    if (state.type && getResourceType(item) !== state.type) return false;
-    if (state.tag) {
-      const itemTags = (item.tags || '').split(',').map((t) => t.trim().toLowerCase());
-      if (!itemTags.includes(state.tag.toLowerCase())) return false;
+    if (state.type && getResourceType(item, config.types) !== state.type) return false;
+    if (state.tags.length) {
+      const itemTags = getTags(item).map((t) => t.toLowerCase());
+      const has = (tag) => itemTags.includes(tag.toLowerCase());
+      if (state.match === 'all' ? !state.tags.every(has) : !state.tags.some(has)) return false;
+    }
+    if (state.from || state.to) {
+      // Only resources with a publication date can be in a range
+      const date = Date.parse(item.date);
+      if (!date || date < from || date > to) return false;
     }
     if (state.q) {
       const q = state.q.toLowerCase();
-      const searchable = `${item.title} ${item.description} ${item.tags || ''}`.toLowerCase();
+      const searchable = `${item.title} ${item.description} ${getTags(item).join(' ')}`.toLowerCase();
       if (!searchable.includes(q)) return false;
     }
     return true;
   });
 }
 
-function updateUrl(state) {
+// How well a resource matches the query: query terms in its title, tags and description
+function relevance(item, queryTerms) {
+  return [[item.title, 3], [getTags(item).join(' '), 2], [item.description, 1]]
+    .reduce((score, [text, weight]) => {
+      const itemTerms = new Set(terms(text || ''));
+      return score + weight * queryTerms.filter((term) => itemTerms.has(term)).length;
+    }, 0);
+}
+
+function sortData(data, state) {
+  const sorted = [...data];
+  if (state.sort === 'oldest') {
+    sorted.sort((a, b) => getResourceDate(a) - getResourceDate(b));
+  } else if (state.sort === 'title') {
+    sorted.sort((a, b) => (a.title || '').localeCompare(b.title || '', undefined, { numeric: true }));
+  } else if (state.sort === 'relevance' && state.q) {
+    const queryTerms = terms(state.q);
+    const scores = new Map(sorted.map((item) => [item, relevance(item, queryTerms)]));
+    // Ties stay newest first
+    sorted.sort((a, b) => scores.get(b) - scores.get(a));
+  }
+  return sorted;
+}
+
+/**
+ * Writes the facets shown and the pages loaded to the URL. Values equal to
+ * the preset are left out, and cleared presets are kept as an empty param
+ * (e.g. type=).
+ * @param {boolean} [push] Add a history entry rather than replace the current one
+ */
+function updateUrl(state, config, push = false) {
+  const { presets, hidden } = config;
   const url = new URL(window.location.href);
-  if (state.type) url.searchParams.set('type', state.type);
-  else url.searchParams.delete('type');
-  if (state.tag) url.searchParams.set('tag', state.tag);
-  else url.searchParams.delete('tag');
-  if (state.q) url.searchParams.set('q', state.q);
-  else url.searchParams.delete('q');
-  window.history.replaceState({}, '', url.toString());
+  const write = (facet, name, values, preset) => {
+    if (hidden.has(facet)) return;
+    url.searchParams.delete(name);
+    if (values.join() === preset.join()) return;
+    (values.length ? values : ['']).forEach((value) => url.searchParams.append(name, value));
+  };
+  const matchAll = (tags, match) => (match === 'all' && tags.length > 1 ? ['all'] : []);
+
+  write('type', 'type', [state.type].filter(Boolean), [presets.type].filter(Boolean));
+  write('topic', 'tag', state.tags, presets.tags);
+  write('topic', 'match', matchAll(state.tags, state.match), matchAll(presets.tags, presets.match));
+  write('search', 'q', [state.q].filter(Boolean), []);
+  ['from', 'to'].forEach((name) => {
+    write('date', name, [state[name]].filter(Boolean), [presets[name]].filter(Boolean));
+  });
+  write('sort', 'sort', [state.sort], [presets.sort]);
+  write('load-more', 'page', state.page > 1 ? [String(state.page)] : [], []);
+
+  if (push && url.href !== window.location.href) window.history.pushState({}, '', url.href);
+  else window.history.replaceState(window.history.state, '', url.href);
+}
+
+/**
+ * Takes the pinned resources that pass the filters out of the list: either
+ * into their places in it (pinned first, then slots), or, with
+ * exclude-pinned, into a list of their own
+ * @returns {{pinned: object[], list: object[]}}
+ */
+function pinResources(filtered, config) {
+  const byPath = new Map(filtered.map((item) => [item.path, item]));
+  const pins = config.pins
+    .map(({ path, position }) => ({ item: byPath.get(path), position }))
+    .filter(({ item }, i, all) => item && all.findIndex((pin) => pin.item === item) === i);
+  const pinned = new Set(pins.map(({ item }) => item));
+  const list = filtered.filter((item) => !pinned.has(item));
+  if (config.excludePinned) return { pinned: pins.map(({ item }) => item), list };
+
+  const top = pins.filter(({ position }) => !position).map(({ item }) => item);
+  list.unshift(...top);
+  pins.filter(({ position }) => position).forEach(({ item, position }) => {
+    list.splice(Math.min(position - 1, list.length), 0, item);
+  });
+  return { pinned: [], list };
 }
 
-function render(block, data, state) {
-  const filtered = filterData(data, state);
-  const visible = filtered.slice(0, state.page * PAGE_SIZE);
+function render(block, loaded, state, config) {
+  const filtered = sortData(filterData(loaded.data, state, config), state);
+  const { pinned, list } = pinResources(filtered, config);
+  const visible = list.slice(0, state.page * config.pageSize);
+  // The first pinned resource, wherever it ended up
+  const featured = config.featured
+    && config.pins.map(({ path }) => filtered.find((item) => item.path === path)).find(Boolean);
 
   // Update results container
   const results = block.querySelector('.resource-results');
   results.innerHTML = '';
 
-  if (visible.length === 0) {
+  if (pinned.length) {
+    const grid = document.createElement('ul');
+    grid.className = 'resource-grid resource-pinned';
+    pinned.forEach((item) => grid.append(renderCard(item, config, item === featured)));
+    results.append(grid);
+  }
+
+  if (visible.length === 0 && !pinned.length) {
     const noResults = document.createElement('p');
     noResults.className = 'no-results';
-    noResults.textContent = 'No resources match your filters. Try adjusting your selection.';
+    noResults.textContent = config.labels['no-results'];
     results.append(noResults);
-  } else {
+  } else if (visible.length) {
     const grid = document.createElement('ul');
     grid.className = 'resource-grid';
-    visible.forEach((item) => grid.append(renderCard(item)));
+    visible.forEach((item) => grid.append(renderCard(item, config, item === featured)));
     results.append(grid);
   }
 
   // Update count
   const count = block.querySelector('.resource-count');
-  count.textContent = `Showing ${visible.length} of ${filtered.length} resources`;
+  count.textContent = format(config.labels[loaded.complete ? 'count' : 'count-loading'], {
+    shown: visible.length, total: list.length,
+  });
 
   // Load more button
   let loadMore = block.querySelector('.load-more');
   if (!loadMore) {
     loadMore = document.createElement('button');
     loadMore.className = 'load-more';
-    loadMore.textContent = 'Load More';
+    loadMore.textContent = config.labels['load-more'];
     block.querySelector('.resource-footer').append(loadMore);
   }
-  loadMore.style.display = visible.length < filtered.length ? '' : 'none';
+  const more = visible.length < list.length || !loaded.complete;
+  loadMore.style.display = more && !config.hidden.has('load-more') ? '' : 'none';
 
   // Update active filter buttons
   block.querySelectorAll('.filter-btn[data-type]').forEach((btn) => {
-    btn.classList.toggle('active', btn.dataset.type === (state.type || ''));
+    const active = btn.dataset.type === (state.type || '');
+    btn.classList.toggle('active', active);
+    btn.setAttribute('aria-pressed', active);
   });
+}
 
-  updateUrl(state);
+// Sets the filter controls to the state, e.g. after going back
+function syncFilters(bar, data, state, config) {
+  updateFilterOptions(bar, data, state, config);
+  bar.querySelectorAll('input[name="match"]').forEach((radio) => {
+    radio.checked = radio.value === state.match;
+  });
+  bar.querySelectorAll('.filter-date').forEach((input) => { input.value = state[input.name]; });
+  bar.querySelector('.filter-sort-select').value = state.sort;
+  bar.querySelector('.filter-search-input').value = state.q;
 }
 
-export default async function decorate(block) {
-  // Read data source from block content or default
-  const source = block.querySelector('a[href]')?.href || '/content/query-index.json';
+// What a screen reader hears after the results change, e.g.
+// "Showing 3 of 3 resources for Case Studies, Payers or Claims"
+function describeResults(block, state, config) {
+  const filters = [];
+  if (state.type) filters.push(getTypeLabel(state.type, config.types));
+  if (state.tags.length) filters.push(state.tags.join(state.match === 'all' ? ' and ' : ' or '));
+  if (state.from || state.to) filters.push(`dated ${state.from || 'any time'} to ${state.to || 'today'}`);
+  if (state.q) filters.push(`“${state.q}”`);
+  const count = block.querySelector('.resource-count').textContent;
+  const sorted = state.sort === DEFAULT_SORT ? '' : `, sorted by ${config.labels[`sort-${state.sort}`]}`;
+  return `${count}${filters.length ? ` for ${filters.join(', ')}` : ''}${sorted}`;
+}
 
-  // Parse URL params for initial state
-  const params = new URLSearchParams(window.location.search);
-  const state = {
-    type: params.get('type') || '',
-    tag: params.get('tag') || '',
-    q: params.get('q') || '',
-    page: 1,
-  };
+/**
+ * Load index pages until the view can be rendered: every page when filtering,
+ * pinning or sorting in another order than the index's (or when asked for
+ * all), else enough resources to fill the visible cards and tell whether
+ * there are more
+ */
+async function loadResources(index, loaded, state, config, all = false) {
+  const pageCount = await index.pageCount();
+  const filtering = state.type || state.tags.length || state.q || state.from || state.to;
+  if (all || filtering || config.pins.length || state.sort !== DEFAULT_SORT) {
+    const rows = await index.all();
+    loaded.data = rows.filter((row) => isResource(row, config.types));
+    loaded.pages = pageCount;
+  }
+  const needed = state.page * config.pageSize + 1;
+  while (loaded.pages < pageCount && loaded.data.length < needed) {
+    // eslint-disable-next-line no-await-in-loop
+    const rows = await index.page(loaded.pages);
+    loaded.data.push(...rows.filter((row) => isResource(row, config.types)));
+    loaded.pages += 1;
+  }
+  loaded.complete = loaded.pages >= pageCount;
+}
 
-  // Fetch data
-  block.innerHTML = '<p class="loading">Loading resources...</p>';
-  let data;
+export default async function decorate(block) {
+  const config = await readConfig(block);
+  const state = readState(config);
+
+  // Fetch the index pages needed for the first view
+  block.innerHTML = '';
+  const loadingEl = document.createElement('p');
+  loadingEl.className = 'loading';
+  loadingEl.textContent = config.labels.loading;
+  block.append(loadingEl);
+  const index = loadQueryIndex(config.source);
+  const loaded = { data: [], pages: 0, complete: false };
   try {
-    const resp = await fetch(source);
-    const json = await resp.json();
-    data = json.data || [];
+    await Promise.all([loadResources(index, loaded, state, config), loadCardStyles()]);
   } catch (err) {
-    block.innerHTML = '<p class="error">Unable to load resources.</p>';
+    const errorEl = document.createElement('p');
+    errorEl.className = 'error';
+    errorEl.textContent = config.labels.error;
+    block.replaceChildren(errorEl);
     return;
   }
 
-  // Filter out non-resource pages (solutions, company, etc.)
-  const resourceTemplates = new Set(Object.keys(TYPE_MAP));
-  const resourcePaths = Object.values(TYPE_MAP).flatMap((t) => t.paths);
-  data = data.filter((item) => {
-    if (item.template && resourceTemplates.has(item.template)) return true;
-    return resourcePaths.some((p) => item.path.includes(p));
-  });
-
-  const types = getAllTypes(data);
-  const tags = getAllTags(data);
-
   // Build UI
   block.innerHTML = '';
 
-  const filters = createFilterBar(types, tags, state);
+  const filters = createFilterBar(loaded.data, state, config);
   block.append(filters);
 
   const countEl = document.createElement('p');
   countEl.className = 'resource-count';
+  countEl.hidden = config.hidden.has('count');
   block.append(countEl);
 
+  const status = document.createElement('p');
+  status.className = 'resource-status';
+  status.setAttribute('role', 'status');
+  status.setAttribute('aria-live', 'polite');
+  block.append(status);
+
   const results = document.createElement('div');
   results.className = 'resource-results';
   block.append(results);
@@ -299,38 +750,128 @@ export default async function decorate(block) {
   block.append(footer);
 
   // Initial render
-  render(block, data, state);
+  render(block, loaded, state, config);
+  updateUrl(state, config);
+
+  // Back from a resource: focus the card that led to it
+  const focusPath = window.history.state?.[FOCUS_STATE];
+  if (focusPath) {
+    [...results.querySelectorAll('.resource-card a')]
+      .find((a) => a.pathname === focusPath)?.focus();
+  }
+
+  let loading = Promise.resolve();
+  /**
+   * Loads and renders the state. Loads run one after another, so pages are
+   * appended in order.
+   * @param {object} [options]
+   * @param {boolean} [options.all] Load every page
+   * @param {boolean} [options.push] Make the change a history entry
+   * @param {boolean} [options.announce] Tell screen readers about the results
+   */
+  const refresh = ({ all = false, push = false, announce = true } = {}) => {
+    loading = loading.then(async () => {
+      const wasComplete = loaded.complete;
+      try {
+        await loadResources(index, loaded, state, config, all);
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error('error loading resources', err);
+      }
+      if (!wasComplete) updateFilterOptions(filters, loaded.data, state, config);
+      render(block, loaded, state, config);
+      updateUrl(state, config, push);
+      if (announce) status.textContent = describeResults(block, state, config);
+    });
+    return loading;
+  };
+
+  // Each filter change is a history entry; a query typed in several goes is one
+  let lastChange = '';
+  const change = (name) => {
+    const push = name !== 'q' || lastChange !== 'q';
+    lastChange = name;
+    state.page = 1;
+    return refresh({ push });
+  };
+
+  window.addEventListener('popstate', () => {
+    Object.assign(state, readState(config));
+    lastChange = '';
+    syncFilters(filters, loaded.data, state, config);
+    refresh();
+  });
 
   // Event listeners
   let debounceTimer;
+  const resultCount = () => filterData(loaded.data, state, config).length;
 
-  filters.querySelectorAll('.filter-btn[data-type]').forEach((btn) => {
-    btn.addEventListener('click', () => {
-      state.type = btn.dataset.type;
-      state.page = 1;
-      render(block, data, state);
-    });
+  filters.querySelector('.filter-types').addEventListener('click', (e) => {
+    const btn = e.target.closest('.filter-btn[data-type]');
+    if (!btn) return;
+    state.type = btn.dataset.type;
+    change('type').then(() => trackFilter(ANALYTICS_SOURCE, 'type', state.type, resultCount()));
   });
 
-  filters.querySelector('.filter-select').addEventListener('change', (e) => {
-    state.tag = e.target.value;
-    state.page = 1;
-    render(block, data, state);
+  // The topic list needs every page; load them once the list is opened
+  const topics = filters.querySelector('.filter-topics');
+  topics.addEventListener('toggle', () => {
+    if (topics.open && !loaded.complete) refresh({ all: true, announce: false });
+  });
+
+  topics.addEventListener('change', (e) => {
+    if (e.target.name === 'match') {
+      state.match = e.target.value;
+    } else {
+      state.tags = [...topics.querySelectorAll('input[name="tag"]:checked')]
+        .map((checkbox) => checkbox.value);
+    }
+    updateTopicSummary(filters, state, config);
+    change(e.target.name).then(() => trackFilter(
+      ANALYTICS_SOURCE,
+      e.target.name,
+      e.target.name === 'match' ? state.match : state.tags.join(','),
+      resultCount(),
+    ));
+  });
+
+  filters.querySelector('.filter-dates').addEventListener('change', (e) => {
+    state[e.target.name] = e.target.value;
+    change(e.target.name).then(() => trackFilter(
+      ANALYTICS_SOURCE,
+      'date',
+      state.from || state.to ? `${state.from}..${state.to}` : '',
+      resultCount(),
+    ));
+  });
+
+  filters.querySelector('.filter-sort-select').addEventListener('change', (e) => {
+    state.sort = e.target.value;
+    change('sort');
   });
 
   filters.querySelector('.filter-search-input').addEventListener('input', (e) => {
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(() => {
       state.q = e.target.value;
-      state.page = 1;
-      render(block, data, state);
+      change('q').then(() => trackSearch(ANALYTICS_SOURCE, state.q, resultCount()));
     }, 300);
   });
 
+  results.addEventListener('click', (e) => {
+    const card = e.target.closest('.resource-card');
+    if (!card) return;
+    const position = [...results.querySelectorAll('.resource-card')].indexOf(card) + 1;
+    const { pathname } = card.querySelector('a');
+    trackResultClick(ANALYTICS_SOURCE, state.q, position, pathname);
+    window.history.replaceState({ ...window.history.state, [FOCUS_STATE]: pathname }, '');
+  });
+
   footer.addEventListener('click', (e) => {
     if (e.target.classList.contains('load-more')) {
       state.page += 1;
-      render(block, data, state);
+      refresh();
+      lastChange = '';
     }
   });
 }
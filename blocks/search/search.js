@@ -3,9 +3,85 @@ import {
   decorateIcons,
 } from '../../scripts/aem.js';
 import { fetchPlaceholders } from '../../scripts/placeholders.js';
+import loadQueryIndex, { QUERY_INDEX } from '../../scripts/query-index.js';
+import {
+  getResourceDate, getResourceType, getTags, getTypeLabel, isResource,
+} from '../../scripts/resource-types.js';
+import {
+  buildSearchIndex, queryTerms, rowPages, search, snippet,
+} from '../../scripts/search/search-index.js';
+import fetchSynonyms from '../../scripts/search/synonyms.js';
+import { trackFilter, trackResultClick, trackSearch } from '../../scripts/search/analytics.js';
 
 const searchParams = new URLSearchParams(window.location.search);
 
+const searchIndexes = new Map();
+
+const RECENT_SEARCHES_KEY = 'search-recent';
+const MAX_RECENT_SEARCHES = 5;
+const MAX_SUGGESTIONS = 5;
+const PAGE_SIZE = 12;
+
+// Search boxes on the page, for unique suggestion list ids
+let comboboxCount = 0;
+
+// Pages that aren't resources (solutions, company, etc.) share one type
+const PAGE_TYPE = 'page';
+
+/**
+ * Facets of the results: name (the URL parameter), values of a result, and
+ * the label of a value
+ */
+const FACETS = [
+  {
+    name: 'type',
+    label: 'Type',
+    placeholder: 'searchFacetType',
+    values: (result) => [isResource(result) ? getResourceType(result) : PAGE_TYPE],
+    format: (type, placeholders) => (type === PAGE_TYPE
+      ? placeholders.searchFacetPages || 'Pages'
+      : getTypeLabel(type)),
+  },
+  {
+    name: 'tag',
+    label: 'Topic',
+    placeholder: 'searchFacetTopic',
+    values: getTags,
+  },
+  {
+    name: 'year',
+    label: 'Year',
+    placeholder: 'searchFacetYear',
+    values: (result) => String(result.date || '').match(/\b\d{4}\b/) || [],
+    // Newest first
+    sort: (a, b) => b.value.localeCompare(a.value),
+  },
+];
+
+/**
+ * Result orders: the URL's sort parameter (relevance when absent), the label
+ * and how to compare two results
+ */
+const SORTS = [
+  {
+    name: 'relevance',
+    label: 'Relevance',
+    placeholder: 'searchSortRelevance',
+  },
+  {
+    name: 'newest',
+    label: 'Newest',
+    placeholder: 'searchSortNewest',
+    compare: (a, b) => getResourceDate(b) - getResourceDate(a),
+  },
+  {
+    name: 'title',
+    label: 'Title A–Z',
+    placeholder: 'searchSortTitle',
+    compare: (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { numeric: true }),
+  },
+];
+
 function findNextHeading(el) {
   let preceedingEl = el.parentElement.previousElement || el.parentElement.parentElement;
   let h = 'H2';
@@ -66,21 +142,42 @@ function highlightTextElements(terms, elements) {
 }
 
 export async function fetchData(source) {
-  const response = await fetch(source);
-  if (!response.ok) {
+  // The index is loaded on the first search and cached for the next ones
+  try {
+    return await loadQueryIndex(source).all();
+  } catch (err) {
     // eslint-disable-next-line no-console
-    console.error('error loading API response', response);
+    console.error('error loading API response', err);
     return null;
   }
+}
 
-  const json = await response.json();
-  if (!json) {
-    // eslint-disable-next-line no-console
-    console.error('empty API response', source);
-    return null;
+/**
+ * Full-text index for the search: query-index-search.json next to the query
+ * index where one was built (local previews, see build-query-index.js), else
+ * one built here from the query index rows, so the live site ranks titles,
+ * tags and descriptions the same way. Resolves to null when neither loads.
+ */
+export function fetchSearchIndex(source) {
+  const url = new URL(source, window.location.href);
+  url.search = '';
+  url.pathname = url.pathname.replace(/\.json$/, '-search.json');
+  if (!searchIndexes.has(url.href)) {
+    searchIndexes.set(url.href, fetch(url)
+      .then((resp) => (resp.ok ? resp.json() : null))
+      .catch(() => null)
+      .then(async (prebuilt) => {
+        if (prebuilt) return prebuilt;
+        const rows = await fetchData(source);
+        return rows && buildSearchIndex(rowPages(rows));
+      })
+      .then((index) => {
+        // A failed load isn't cached, so the next search tries again
+        if (!index) searchIndexes.delete(url.href);
+        return index;
+      }));
   }
-
-  return json.data;
+  return searchIndexes.get(url.href);
 }
 
 function renderResult(result, searchTerms, titleTag) {
@@ -100,11 +197,17 @@ function renderResult(result, searchTerms, titleTag) {
     const link = document.createElement('a');
     link.href = result.path;
     link.textContent = result.title;
-    highlightTextElements(searchTerms, [link]);
+    highlightTextElements(result.titleWords || searchTerms, [link]);
     title.append(link);
     a.append(title);
   }
-  if (result.description) {
+  if (result.snippet) {
+    const text = document.createElement('p');
+    text.className = 'search-result-snippet';
+    text.textContent = result.snippet.text;
+    highlightTextElements(result.snippet.words, [text]);
+    a.append(text);
+  } else if (result.description) {
     const description = document.createElement('p');
     description.textContent = result.description;
     highlightTextElements(searchTerms, [description]);
@@ -119,25 +222,40 @@ function clearSearchResults(block) {
   searchResults.innerHTML = '';
 }
 
-function clearSearch(block) {
+// The overlay opened from the header searches without touching the page's URL
+function updateUrl(config) {
+  if (!config.overlay && window.history.replaceState) {
+    const url = new URL(window.location.href);
+    url.search = config.params.toString();
+    window.history.replaceState({}, '', url.toString());
+  }
+}
+
+function clearSearch(block, config) {
   clearSearchResults(block);
-  if (window.history.replaceState) {
+  block.querySelector('.search-facets').innerHTML = '';
+  block.querySelector('.search-controls').hidden = true;
+  block.querySelector('.search-pagination').innerHTML = '';
+  config.lastSearch = null;
+  ['q', 'page', 'sort', ...FACETS.map(({ name }) => name)]
+    .forEach((name) => config.params.delete(name));
+  if (!config.overlay && window.history.replaceState) {
     const url = new URL(window.location.href);
     url.search = '';
-    searchParams.delete('q');
     window.history.replaceState({}, '', url.toString());
   }
 }
 
-async function renderResults(block, config, filteredData, searchTerms) {
+async function renderResults(block, config, filteredData, searchTerms, offset = 0) {
   clearSearchResults(block);
   const searchResults = block.querySelector('.search-results');
   const headingTag = searchResults.dataset.h;
 
   if (filteredData.length) {
     searchResults.classList.remove('no-results');
-    filteredData.forEach((result) => {
+    filteredData.forEach((result, i) => {
       const li = renderResult(result, searchTerms, headingTag);
+      li.dataset.position = offset + i + 1;
       searchResults.append(li);
     });
   } else {
@@ -148,89 +266,490 @@ async function renderResults(block, config, filteredData, searchTerms) {
   }
 }
 
-function compareFound(hit1, hit2) {
-  return hit1.minIdx - hit2.minIdx;
+function selectedFacets(params) {
+  return Object.fromEntries(FACETS.map(({ name }) => [name, params.getAll(name)]));
 }
 
-function filterData(searchTerms, data) {
-  const foundInHeader = [];
-  const foundInMeta = [];
+// Values selected in one facet are alternatives; facets narrow each other
+function matchesFacets(result, selected, except = '') {
+  return FACETS.every(({ name, values }) => name === except
+    || !selected[name].length
+    || values(result).some((value) => selected[name].includes(value)));
+}
 
-  data.forEach((result) => {
-    let minIdx = -1;
+/**
+ * Values of each facet with their number of results, counted over the
+ * results the other facets select (so choosing one value doesn't hide the
+ * rest of its facet)
+ */
+function facetCounts(results, selected) {
+  return FACETS.map((facet) => {
+    const counts = new Map(selected[facet.name].map((value) => [value, 0]));
+    results
+      .filter((result) => matchesFacets(result, selected, facet.name))
+      .forEach((result) => new Set(facet.values(result))
+        .forEach((value) => counts.set(value, (counts.get(value) || 0) + 1)));
+
+    const values = [...counts].map(([value, count]) => ({ value, count }));
+    values.sort(facet.sort || ((a, b) => b.count - a.count || a.value.localeCompare(b.value)));
+    return { facet, values };
+  });
+}
 
-    searchTerms.forEach((term) => {
-      const idx = (result.header || result.title).toLowerCase().indexOf(term);
-      if (idx < 0) return;
-      if (minIdx < idx) minIdx = idx;
+function renderFacets(block, config, results, selected) {
+  const facets = block.querySelector('.search-facets');
+  facets.innerHTML = '';
+
+  facetCounts(results, selected).forEach(({ facet, values }) => {
+    if (!values.length) return;
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'search-facet';
+    fieldset.dataset.facet = facet.name;
+    const legend = document.createElement('legend');
+    legend.textContent = config.placeholders[facet.placeholder] || facet.label;
+    fieldset.append(legend);
+
+    values.forEach(({ value, count }) => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = facet.name;
+      input.value = value;
+      input.checked = selected[facet.name].includes(value);
+      const text = document.createElement('span');
+      text.textContent = facet.format ? facet.format(value, config.placeholders) : value;
+      const countEl = document.createElement('span');
+      countEl.className = 'search-facet-count';
+      countEl.textContent = count;
+      label.append(input, text, countEl);
+      fieldset.append(label);
     });
+    facets.append(fieldset);
+  });
+}
 
-    if (minIdx >= 0) {
-      foundInHeader.push({ minIdx, result });
-      return;
-    }
+function pageButton(page, text, label, current) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.dataset.page = page;
+  button.textContent = text;
+  if (label) button.setAttribute('aria-label', label);
+  if (current) button.setAttribute('aria-current', 'page');
+  return button;
+}
 
-    const metaContents = `${result.title} ${result.description} ${result.path.split('/').pop()}`.toLowerCase();
-    searchTerms.forEach((term) => {
-      const idx = metaContents.indexOf(term);
-      if (idx < 0) return;
-      if (minIdx < idx) minIdx = idx;
-    });
+function renderPagination(block, config, page, pageCount) {
+  const pagination = block.querySelector('.search-pagination');
+  pagination.innerHTML = '';
+  if (pageCount < 2) return;
+
+  const { placeholders } = config;
+  const pageLabel = placeholders.searchPage || 'Page';
+  const list = document.createElement('ul');
+  const item = (button) => {
+    const li = document.createElement('li');
+    li.append(button);
+    list.append(li);
+  };
+
+  const previous = pageButton(page - 1, '‹', placeholders.searchPreviousPage || 'Previous page');
+  previous.disabled = page === 1;
+  item(previous);
+  for (let n = 1; n <= pageCount; n += 1) {
+    item(pageButton(n, n, `${pageLabel} ${n}`, n === page));
+  }
+  const next = pageButton(page + 1, '›', placeholders.searchNextPage || 'Next page');
+  next.disabled = page === pageCount;
+  item(next);
 
-    if (minIdx >= 0) {
-      foundInMeta.push({ minIdx, result });
-    }
-  });
+  pagination.append(list);
+}
 
-  return [
-    ...foundInHeader.sort(compareFound),
-    ...foundInMeta.sort(compareFound),
-  ].map((item) => item.result);
+/**
+ * Facets and one page of results for the last search, narrowed by the
+ * selected facets and in the selected order
+ * @returns {Promise<number>} Number of results across all pages
+ */
+async function renderSearch(block, config) {
+  const { results, searchTerms } = config.lastSearch;
+  const { params, placeholders } = config;
+  const selected = selectedFacets(params);
+  const shown = results.filter((result) => matchesFacets(result, selected));
+  renderFacets(block, config, results, selected);
+
+  const sort = SORTS.find(({ name }) => name === params.get('sort')) || SORTS[0];
+  if (sort.compare) shown.sort(sort.compare);
+  block.querySelector('.search-sort').value = sort.name;
+
+  const pageCount = Math.max(1, Math.ceil(shown.length / PAGE_SIZE));
+  const page = Math.min(Math.max(1, parseInt(params.get('page'), 10) || 1), pageCount);
+  const offset = (page - 1) * PAGE_SIZE;
+  const visible = shown.slice(offset, offset + PAGE_SIZE);
+  await renderResults(block, config, visible, searchTerms, offset);
+  renderPagination(block, config, page, pageCount);
+
+  block.querySelector('.search-controls').hidden = false;
+  block.querySelector('.search-summary').textContent = visible.length
+    ? (placeholders.searchSummary || 'Results {start}–{end} of {total}')
+      .replace('{start}', offset + 1)
+      .replace('{end}', offset + visible.length)
+      .replace('{total}', shown.length)
+    : placeholders.searchNoResults || 'No results found.';
+  return shown.length;
+}
+
+/**
+ * Relevance-ranked results from the full-text index, with the passage of the
+ * body that best matches the query. Misspelled words and synonyms match too.
+ */
+function searchIndex(index, searchValue, synonyms) {
+  const termGroups = queryTerms(index, searchValue, { prefix: true, fuzzy: true, synonyms });
+  return search(index, termGroups)
+    .map(({ doc, terms }) => {
+      const { text, ...result } = doc;
+      const titleMatch = snippet(result.title || '', terms, Infinity);
+      return {
+        ...result,
+        titleWords: titleMatch ? titleMatch.words : [],
+        // Pages whose body doesn't match show their description instead
+        snippet: snippet(text || '', terms),
+      };
+    });
 }
 
 async function handleSearch(e, block, config) {
   const searchValue = e.target.value;
-  searchParams.set('q', searchValue);
-  if (window.history.replaceState) {
-    const url = new URL(window.location.href);
-    url.search = searchParams.toString();
-    window.history.replaceState({}, '', url.toString());
-  }
+  // A new query starts on its first page
+  if (config.params.get('q') !== searchValue) config.params.delete('page');
+  config.params.set('q', searchValue);
+  updateUrl(config);
 
   if (searchValue.length < 3) {
-    clearSearch(block);
+    clearSearch(block, config);
     return;
   }
   const searchTerms = searchValue.toLowerCase().split(/\s+/).filter((term) => !!term);
 
-  const data = await fetchData(config.source);
-  const filteredData = filterData(searchTerms, data);
-  await renderResults(block, config, filteredData, searchTerms);
+  const index = await fetchSearchIndex(config.source);
+  const results = index ? searchIndex(index, searchValue, config.synonyms) : [];
+  config.lastSearch = { results, searchTerms };
+  await renderSearch(block, config);
+  trackSearch(config.analytics, searchValue, results.length);
+}
+
+function searchFacetsContainer(block, config) {
+  const facets = document.createElement('div');
+  facets.className = 'search-facets';
+
+  facets.addEventListener('change', async (e) => {
+    const { name, value } = e.target;
+    config.params.delete(name);
+    config.params.delete('page');
+    facets.querySelectorAll(`input[name="${name}"]:checked`)
+      .forEach((input) => config.params.append(name, input.value));
+    updateUrl(config);
+
+    const shown = await renderSearch(block, config);
+    trackFilter(config.analytics, name, config.params.getAll(name).join(','), shown);
+    // The facets were redrawn with the new counts; keep focus on the choice
+    [...facets.querySelectorAll(`input[name="${name}"]`)]
+      .find((input) => input.value === value)?.focus();
+  });
+
+  return facets;
+}
+
+function searchControls(block, config) {
+  const controls = document.createElement('div');
+  controls.className = 'search-controls';
+  controls.hidden = true;
+
+  const summary = document.createElement('p');
+  summary.className = 'search-summary';
+  summary.setAttribute('aria-live', 'polite');
+
+  const label = document.createElement('label');
+  label.className = 'search-sort-label';
+  label.textContent = `${config.placeholders.searchSortBy || 'Sort by'} `;
+  const select = document.createElement('select');
+  select.className = 'search-sort';
+  SORTS.forEach(({ name, label: text, placeholder }) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = config.placeholders[placeholder] || text;
+    select.append(option);
+  });
+  label.append(select);
+
+  select.addEventListener('change', () => {
+    if (select.value === SORTS[0].name) config.params.delete('sort');
+    else config.params.set('sort', select.value);
+    config.params.delete('page');
+    updateUrl(config);
+    renderSearch(block, config);
+  });
+
+  controls.append(summary, label);
+  return controls;
 }
 
 function searchResultsContainer(block) {
   const results = document.createElement('ul');
   results.className = 'search-results';
   results.dataset.h = findNextHeading(block);
+  results.tabIndex = -1;
   return results;
 }
 
+function searchPagination(block, config) {
+  const pagination = document.createElement('nav');
+  pagination.className = 'search-pagination';
+  pagination.setAttribute('aria-label', config.placeholders.searchPagination || 'Search results pages');
+
+  pagination.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-page]');
+    if (!button || button.disabled) return;
+    if (button.dataset.page === '1') config.params.delete('page');
+    else config.params.set('page', button.dataset.page);
+    updateUrl(config);
+    await renderSearch(block, config);
+    // Start reading the new page from its first result
+    const results = block.querySelector('.search-results');
+    results.focus({ preventScroll: true });
+    results.scrollIntoView?.({ block: 'start' });
+  });
+
+  return pagination;
+}
+
+function getRecentSearches() {
+  try {
+    return JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveRecentSearch(query) {
+  const value = query.trim();
+  if (value.length < 3) return;
+  const recent = [value, ...getRecentSearches()
+    .filter((previous) => previous.toLowerCase() !== value.toLowerCase())];
+  try {
+    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recent.slice(0, MAX_RECENT_SEARCHES)));
+  } catch (e) {
+    // storage unavailable: searches aren't remembered
+  }
+}
+
+/**
+ * Pages to suggest: the top results once the query is searched, before that
+ * the pages with a title word starting with each typed word
+ */
+async function titleSuggestions(config, query) {
+  if (config.lastSearch) {
+    return config.lastSearch.results.filter((result) => result.title).slice(0, MAX_SUGGESTIONS);
+  }
+  const queryWords = query.toLowerCase().split(/\s+/).filter((word) => word);
+  if (!queryWords.length) return [];
+
+  const index = await fetchSearchIndex(config.source);
+  return (index ? index.docs : [])
+    .filter((row) => {
+      const titleWords = (row.title || '').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+      return queryWords.every((word) => titleWords.some((titleWord) => titleWord.startsWith(word)));
+    })
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+function suggestionGroup(id, label, options) {
+  const group = document.createElement('ul');
+  group.setAttribute('role', 'group');
+  group.setAttribute('aria-labelledby', id);
+  const heading = document.createElement('li');
+  heading.id = id;
+  heading.className = 'search-suggestions-label';
+  heading.setAttribute('role', 'presentation');
+  heading.textContent = label;
+  group.append(heading, ...options);
+  return group;
+}
+
+function suggestionOption(id, text, data) {
+  const option = document.createElement('li');
+  option.id = id;
+  option.className = 'search-suggestion';
+  option.setAttribute('role', 'option');
+  option.setAttribute('aria-selected', 'false');
+  option.textContent = text;
+  Object.assign(option.dataset, data);
+  return option;
+}
+
+/**
+ * Search box as an ARIA 1.2 combobox: a list of recent searches and
+ * suggested pages opens as the user types. Arrow keys move through it, Enter
+ * opens the page or runs the search, Escape closes it.
+ */
 function searchInput(block, config) {
+  comboboxCount += 1;
+  const listId = `search-suggestions-${comboboxCount}`;
+
   const input = document.createElement('input');
   input.setAttribute('type', 'search');
   input.className = 'search-input';
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('aria-controls', listId);
+  input.autocomplete = 'off';
 
   const searchPlaceholder = config.placeholders.searchPlaceholder || 'Search...';
   input.placeholder = searchPlaceholder;
   input.setAttribute('aria-label', searchPlaceholder);
 
-  input.addEventListener('input', (e) => {
-    handleSearch(e, block, config);
+  const list = document.createElement('div');
+  list.id = listId;
+  list.className = 'search-suggestions';
+  list.setAttribute('role', 'listbox');
+  list.setAttribute('aria-label', config.placeholders.searchSuggestions || 'Search suggestions');
+  list.hidden = true;
+
+  const options = () => [...list.querySelectorAll('[role="option"]')];
+
+  const setActive = (option) => {
+    options().forEach((opt) => opt.setAttribute('aria-selected', opt === option ? 'true' : 'false'));
+    if (option) {
+      input.setAttribute('aria-activedescendant', option.id);
+      option.scrollIntoView?.({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  const close = () => {
+    list.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    setActive(null);
+  };
+
+  const open = () => {
+    if (!options().length) return;
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+  };
+
+  const update = async () => {
+    const query = input.value.trim();
+    const pages = await titleSuggestions(config, query);
+    // A newer keystroke has its own update
+    if (query !== input.value.trim()) return;
+
+    const recent = getRecentSearches()
+      .filter((previous) => previous.toLowerCase().startsWith(query.toLowerCase())
+        && previous.toLowerCase() !== query.toLowerCase());
+
+    list.innerHTML = '';
+    if (recent.length) {
+      list.append(suggestionGroup(
+        `${listId}-recent`,
+        config.placeholders.searchRecent || 'Recent searches',
+        recent.map((previous, i) => suggestionOption(
+          `${listId}-recent-${i}`,
+          previous,
+          { query: previous },
+        )),
+      ));
+    }
+    if (pages.length) {
+      list.append(suggestionGroup(
+        `${listId}-pages`,
+        config.placeholders.searchSuggestedPages || 'Suggestions',
+        pages.map((page, i) => suggestionOption(`${listId}-page-${i}`, page.title, { href: page.path })),
+      ));
+    }
+    setActive(null);
+    if (options().length && document.activeElement === input) open();
+    else close();
+  };
+
+  const choose = (option) => {
+    close();
+    if (option.dataset.href) {
+      saveRecentSearch(input.value);
+      const pages = [...list.querySelectorAll('[data-href]')];
+      trackResultClick(
+        `${config.analytics} .search-suggestions`,
+        input.value,
+        pages.indexOf(option) + 1,
+        option.dataset.href,
+      );
+      window.location.href = option.dataset.href;
+      return;
+    }
+    input.value = option.dataset.query;
+    saveRecentSearch(input.value);
+    input.dispatchEvent(new Event('input'));
+  };
+
+  const move = (step) => {
+    open();
+    const all = options();
+    if (!all.length) return;
+    const current = all.findIndex((opt) => opt.getAttribute('aria-selected') === 'true');
+    if (current < 0) setActive(step > 0 ? all[0] : all[all.length - 1]);
+    else setActive(all[(current + step + all.length) % all.length]);
+  };
+
+  input.addEventListener('input', async (e) => {
+    await handleSearch(e, block, config);
+    await update();
   });
 
-  input.addEventListener('keyup', (e) => { if (e.code === 'Escape') { clearSearch(block); } });
+  input.addEventListener('focus', update);
+  input.addEventListener('blur', close);
+
+  input.addEventListener('keydown', (e) => {
+    const active = options().find((opt) => opt.getAttribute('aria-selected') === 'true');
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      move(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (active && !list.hidden) {
+        choose(active);
+        return;
+      }
+      close();
+      saveRecentSearch(input.value);
+      // The overlay shows the results on the search page
+      if (config.overlay && config.searchPage && input.value.trim()) {
+        const url = new URL(config.searchPage, window.location.href);
+        url.searchParams.set('q', input.value.trim());
+        window.location.href = url.href;
+      }
+    } else if (e.key === 'Escape') {
+      if (!list.hidden) {
+        // Only close the list; the dialog around the overlay stays open
+        e.preventDefault();
+        e.stopPropagation();
+        close();
+      } else {
+        clearSearch(block, config);
+      }
+    } else if (e.key === 'Tab') {
+      close();
+    }
+  });
 
-  return input;
+  // Keep focus in the input while choosing with the mouse
+  list.addEventListener('mousedown', (e) => e.preventDefault());
+  list.addEventListener('click', (e) => {
+    const option = e.target.closest('[role="option"]');
+    if (option) choose(option);
+  });
+
+  return [input, list];
 }
 
 function searchIcon() {
@@ -244,24 +763,52 @@ function searchBox(block, config) {
   box.classList.add('search-box');
   box.append(
     searchIcon(),
-    searchInput(block, config),
+    ...searchInput(block, config),
   );
 
   return box;
 }
 
 export default async function decorate(block) {
-  const placeholders = await fetchPlaceholders();
-  const source = block.querySelector('a[href]')?.href || `${window.hlx.codeBasePath}/query-index.json`;
+  const [placeholders, synonyms] = await Promise.all([fetchPlaceholders(), fetchSynonyms()]);
+  // The index link, and (in the overlay) a link to the search page
+  const links = [...block.querySelectorAll('a[href]')];
+  const source = links.find((a) => a.pathname.endsWith('.json'))?.href
+    || QUERY_INDEX;
+  const overlay = block.classList.contains('overlay');
   block.innerHTML = '';
+
+  const config = {
+    source,
+    placeholders,
+    synonyms,
+    overlay,
+    analytics: overlay ? '.search.overlay' : '.search',
+    searchPage: links.find((a) => !a.pathname.endsWith('.json'))?.href,
+    params: overlay ? new URLSearchParams() : searchParams,
+  };
   block.append(
-    searchBox(block, { source, placeholders }),
+    searchBox(block, config),
+    searchFacetsContainer(block, config),
+    searchControls(block, config),
     searchResultsContainer(block),
+    searchPagination(block, config),
   );
 
-  if (searchParams.get('q')) {
+  // Save the query when a result is opened
+  const results = block.querySelector('.search-results');
+  results.addEventListener('click', (e) => {
+    const link = e.target.closest('a[href]');
+    if (!link) return;
+    const query = config.params.get('q') || '';
+    saveRecentSearch(query);
+    const position = Number(link.closest('.search-results > li').dataset.position) || 0;
+    trackResultClick(config.analytics, query, position, new URL(link.href).pathname);
+  });
+
+  if (config.params.get('q')) {
     const input = block.querySelector('input');
-    input.value = searchParams.get('q');
+    input.value = config.params.get('q');
     input.dispatchEvent(new Event('input'));
   }
 
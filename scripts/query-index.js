@@ -0,0 +1,125 @@
+/**
+ * Query index loader, shared by the blocks that list pages.
+ *
+ * Loads an index one page ({total, offset, limit, data}) at a time and keeps
+ * every page it fetched, so blocks can render from the first page and load
+ * the rest only when they need it. Works with both index layouts:
+ *   - local builds (tools/importer/build-query-index.js): the index file is
+ *     page 1 of the default sheet, with ":sheets" listing each sheet's total;
+ *     pages are files named query-index-<sheet>-<offset>.json
+ *   - the live index: pages are requested with ?offset=&limit=(&sheet=)
+ *
+ * A sheet can be chosen with the `sheet` option or a ?sheet= on the source.
+ */
+
+const DEFAULT_SHEET = 'default';
+
+/** The site's query index (the target in helix-query.yaml) */
+export const QUERY_INDEX = `${window.hlx.codeBasePath}/content/query-index.json`;
+
+const indexes = new Map();
+
+async function fetchJson(url) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`${resp.status} loading ${url}`);
+  return resp.json();
+}
+
+/**
+ * Rows of one sheet from a single- or multi-sheet response
+ */
+function sheetOf(json, sheet) {
+  if (json[':type'] === 'multi-sheet') return json[sheet] || { total: 0, data: [] };
+  return json;
+}
+
+function createIndex(url, sheet, forget) {
+  const pages = new Map();
+
+  // The first response tells the layout, the total and the page size
+  const layout = fetchJson(url).then(async (json) => {
+    if (json[':sheets']) {
+      const first = sheetOf(json, DEFAULT_SHEET);
+      const limit = first.limit || first.data.length || 1;
+      const pageUrl = (offset) => url.href.replace(/\.json$/, `-${sheet}-${offset}.json`);
+      if (sheet === DEFAULT_SHEET) pages.set(0, Promise.resolve(first.data));
+      return { total: json[':sheets'][sheet] || 0, limit, pageUrl };
+    }
+
+    const sheetUrl = (params = {}) => {
+      const link = new URL(url);
+      if (sheet !== DEFAULT_SHEET) link.searchParams.set('sheet', sheet);
+      Object.entries(params).forEach(([name, value]) => link.searchParams.set(name, value));
+      return link.href;
+    };
+    // A single-sheet response is the default sheet: other sheets are asked
+    // for by name, and their paging is read from their own response
+    const own = json[':type'] === 'multi-sheet' || sheet === DEFAULT_SHEET
+      ? json
+      : await fetchJson(sheetUrl());
+    const first = sheetOf(own, sheet);
+    const limit = first.limit || first.data.length || 1;
+    pages.set(0, Promise.resolve(first.data));
+    return {
+      total: first.total ?? first.data.length,
+      limit,
+      pageUrl: (offset) => sheetUrl({ offset, limit }),
+    };
+  });
+  // A failed first request isn't cached, so the next block can try again
+  layout.catch(forget);
+
+  const page = async (n) => {
+    const { total, limit, pageUrl } = await layout;
+    const offset = n * limit;
+    if (offset >= total) return [];
+    if (!pages.has(offset)) {
+      const request = fetchJson(pageUrl(offset)).then((json) => sheetOf(json, sheet).data || []);
+      // A failed page is retried on the next call instead of staying cached
+      request.catch(() => pages.delete(offset));
+      pages.set(offset, request);
+    }
+    return pages.get(offset);
+  };
+
+  return {
+    /** Number of rows in the sheet */
+    async total() {
+      return (await layout).total;
+    },
+
+    /** Number of pages in the sheet */
+    async pageCount() {
+      const { total, limit } = await layout;
+      return Math.ceil(total / limit);
+    },
+
+    /** Rows of page n (0-based); [] past the end */
+    page,
+
+    /** All rows, loading the pages not fetched yet */
+    async all() {
+      const count = await this.pageCount();
+      const all = await Promise.all(Array.from({ length: count }, (_, n) => page(n)));
+      return all.flat();
+    },
+  };
+}
+
+/**
+ * Gets the loader for a query index. Loaders are shared per source and
+ * sheet, so pages fetched by one block are reused by the others.
+ * @param {string} source URL of the index, e.g. /content/query-index.json
+ * @param {object} [options]
+ * @param {string} [options.sheet] Sheet name, e.g. blog
+ * @returns {object} Loader: total(), pageCount(), page(n), all()
+ */
+export default function loadQueryIndex(source, { sheet } = {}) {
+  const url = new URL(source, window.location.href);
+  const sheetName = sheet || url.searchParams.get('sheet') || DEFAULT_SHEET;
+  ['sheet', 'offset', 'limit'].forEach((param) => url.searchParams.delete(param));
+
+  const key = `${url.href}#${sheetName}`;
+  if (!indexes.has(key)) indexes.set(key, createIndex(url, sheetName, () => indexes.delete(key)));
+  return indexes.get(key);
+}
@@ -0,0 +1,53 @@
+/**
+ * Resource types, shared by the blocks that list or facet query index rows:
+ * each type is a page template, with the URL paths its pages live under for
+ * rows without a template.
+ *
+ * The functions take the types to use, so a block can add or relabel types
+ * from its own configuration; they default to TYPE_MAP.
+ */
+
+// Map template names to display labels and URL path prefixes
+export const TYPE_MAP = {
+  'blog-article': { label: 'Blog', paths: ['/blog/'] },
+  news: { label: 'News', paths: ['/news/'] },
+  'gated-resource': { label: 'White Papers & Reports', paths: ['/white-papers/', '/playbooks/', '/webinars/', '/analyst-report/'] },
+  'case-study': { label: 'Case Studies', paths: ['/case-studies/'] },
+  podcast: { label: 'Podcasts', paths: ['/podcasts/'] },
+  video: { label: 'Videos', paths: ['/videos/'] },
+  infographic: { label: 'Infographics', paths: ['/infographics/'] },
+  legislative: { label: 'Legislative', paths: ['/legislative-highlights/'] },
+};
+
+// Derive resource type from path if template is missing
+export function getResourceType(item, types = TYPE_MAP) {
+  if (item.template && types[item.template]) {
+    return item.template;
+  }
+  // Fallback: match by path
+  const matched = Object.entries(types).find(
+    ([, { paths }]) => paths.some((p) => item.path.includes(p)),
+  );
+  return matched ? matched[0] : 'blog-article';
+}
+
+export function getTypeLabel(type, types = TYPE_MAP) {
+  return types[type]?.label || type;
+}
+
+// Tags column: a comma-separated list
+export function getTags(item) {
+  if (!item.tags) return [];
+  return item.tags.split(',').map((t) => t.trim()).filter(Boolean);
+}
+
+// Publication date in ms, else the last modification; 0 when neither is known
+export function getResourceDate(item) {
+  return Date.parse(item.date) || (Number(item.lastModified) || 0) * 1000;
+}
+
+// Non-resource pages (solutions, company, etc.) share the index
+export function isResource(item, types = TYPE_MAP) {
+  if (item.template && types[item.template]) return true;
+  return Object.values(types).some(({ paths }) => paths.some((p) => item.path.includes(p)));
+}
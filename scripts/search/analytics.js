@@ -0,0 +1,85 @@
+/**
+ * Search analytics, sent as RUM checkpoints (sampleRUM in scripts/aem.js), so
+ * they are sampled and collected with the rest of the page's RUM data.
+ *
+ * RUM data is two strings: source is the block (.search, .search.overlay,
+ * .resource-list, or .search .search-suggestions for the suggested pages) and
+ * target holds the event's fields as a query string. The checkpoints have
+ * names of their own, so RUM's built-in click checkpoint keeps meaning link
+ * clicks:
+ *
+ *   search          q, results              A query and how many results it found
+ *   search-click    q, position, path       A result opened (position counts from 1)
+ *   search-filter   facet, value, results   A facet's selection, values
+ *                                           comma-separated ('' when cleared)
+ *
+ * tools/importer/search-report.js aggregates an export of these events.
+ */
+
+import { sampleRUM } from '../aem.js';
+
+// Queries are sent once the visitor stops typing, or leaves the page
+const SETTLE_MS = 1000;
+
+const pendingSearches = new Map();
+
+function track(checkpoint, source, fields) {
+  sampleRUM(checkpoint, { source, target: new URLSearchParams(fields).toString() });
+}
+
+function flushSearch(source) {
+  const pending = pendingSearches.get(source);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingSearches.delete(source);
+  pending.send();
+}
+
+function flushSearches() {
+  [...pendingSearches.keys()].forEach(flushSearch);
+}
+
+// A visitor who leaves or switches tabs before the query settles still counts
+window.addEventListener('pagehide', flushSearches);
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') flushSearches();
+});
+
+/**
+ * Track a query and its number of results
+ * @param {string} source Block selector, e.g. .search
+ * @param {string} query
+ * @param {number} results
+ */
+export function trackSearch(source, query, results) {
+  const q = query.trim();
+  if (!q) return;
+  clearTimeout(pendingSearches.get(source)?.timer);
+  const send = () => track('search', source, { q, results });
+  pendingSearches.set(source, { send, timer: setTimeout(() => flushSearch(source), SETTLE_MS) });
+}
+
+/**
+ * Track an opened result
+ * @param {string} source Block selector
+ * @param {string} query Query the result was found with ('' when browsing)
+ * @param {number} position Position in the results, from 1
+ * @param {string} path Page opened
+ */
+export function trackResultClick(source, query, position, path) {
+  // The page is about to change: send the query it came from first
+  flushSearch(source);
+  track('search-click', source, { q: query.trim(), position, path });
+}
+
+/**
+ * Track a facet or filter change
+ * @param {string} source Block selector
+ * @param {string} facet e.g. type, tag, year
+ * @param {string} value Selected values, comma-separated; '' when the facet
+ *   was cleared
+ * @param {number} results Number of results with the facet applied
+ */
+export function trackFilter(source, facet, value, results) {
+  track('search-filter', source, { facet, value, results });
+}
@@ -0,0 +1,321 @@
+/**
+ * Full-text search index: built by tools/importer/build-query-index.js for
+ * local previews, or by the search block from the query index rows (see
+ * rowPages()) on the live site, where only the query index is published.
+ *
+ *   {
+ *     ":version": 1,
+ *     "fields": ["title", "headings", "tags", "body"],
+ *     "docs": [{ ...query index row, "text": "start of the body text" }],
+ *     "lengths": [[title, headings, tags, body], ...],   terms per field
+ *     "terms": { "<term>": [doc, field, count, doc, field, count, ...] }
+ *   }
+ *
+ * Terms come from text-analysis.js. Results are ranked with BM25 per field,
+ * weighted by field, and pages matching more of the query terms first.
+ *
+ * Queries can match more than their exact terms: the word being typed as a
+ * prefix, misspelled words by edit distance, and acronyms and other synonyms
+ * from the synonyms sheet (see synonyms.js). Those matches rank lower than
+ * exact ones, except synonyms, which count as the word itself.
+ */
+
+import {
+  STOP_WORDS, stem, terms as toTerms, words,
+} from './text-analysis.js';
+
+export const VERSION = 1;
+export const FIELDS = ['title', 'headings', 'tags', 'body'];
+const FIELD_WEIGHTS = [4, 2, 2, 1];
+const MAX_TEXT_LENGTH = 3000;
+const K1 = 1.2;
+const B = 0.75;
+const PREFIX_WEIGHT = 0.7;
+
+/**
+ * Build the index
+ * @param {object[]} pages - [{row, title, headings, tags, body}]; row is the
+ *   query index row, the rest are plain text (tags as an array)
+ * @returns {object} Search index JSON
+ */
+export function buildSearchIndex(pages) {
+  const terms = {};
+  const lengths = [];
+  const docs = pages.map(({ row, ...text }, doc) => {
+    const fieldTerms = FIELDS.map((field) => toTerms(
+      Array.isArray(text[field]) ? text[field].join(' ') : text[field] || '',
+    ));
+    lengths.push(fieldTerms.map((list) => list.length));
+
+    fieldTerms.forEach((list, field) => {
+      const counts = new Map();
+      list.forEach((term) => counts.set(term, (counts.get(term) || 0) + 1));
+      counts.forEach((count, term) => {
+        if (!Object.prototype.hasOwnProperty.call(terms, term)) terms[term] = [];
+        terms[term].push(doc, field, count);
+      });
+    });
+
+    const body = (text.body || '').replace(/\s+/g, ' ').trim();
+    return { ...row, text: body.length > MAX_TEXT_LENGTH ? body.slice(0, MAX_TEXT_LENGTH) : body };
+  });
+
+  return {
+    ':version': VERSION,
+    fields: FIELDS,
+    docs,
+    lengths,
+    terms,
+  };
+}
+
+/**
+ * Pages for buildSearchIndex() from query index rows alone: titles, tags,
+ * descriptions and the last path segment are searched, the description
+ * standing in for the body text and the path for the headings
+ * @param {object[]} rows - Query index rows
+ * @returns {object[]} [{row, title, headings, tags, body}]
+ */
+export function rowPages(rows) {
+  return rows.map((row) => ({
+    row,
+    title: row.title,
+    headings: String(row.path || '').split('/').pop(),
+    tags: row.tags,
+    body: row.description,
+  }));
+}
+
+const hasTerm = (index, term) => Object.prototype.hasOwnProperty.call(index.terms, term);
+
+/**
+ * Edit distance between two words, counting a swap of adjacent letters as
+ * one edit (optimal string alignment)
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max] - Give up once the distance is over max
+ * @returns {number} The distance, or max + 1 if it's over max
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let before = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      row[j] = Math.min(
+        previous[j] + 1,
+        row[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], before[j - 2] + 1);
+      }
+    }
+    if (Math.min(...row) > max) return max + 1;
+    before = previous;
+    previous = row;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Typos tolerated in a word; none in short words, where one edit makes a
+ * different word (e.g. era, erp)
+ */
+function maxEdits(word) {
+  if (word.length < 4) return 0;
+  return word.length < 8 ? 1 : 2;
+}
+
+/**
+ * Synonym groups by the terms of each of their phrases
+ * @returns {Map<string, string[][]>} "term term" → terms of every phrase
+ *   meaning the same (including itself)
+ */
+function synonymPhrases(synonyms) {
+  const phrases = new Map();
+  synonyms.forEach((group) => {
+    const members = group.map((phrase) => toTerms(phrase)).filter((list) => list.length);
+    members.forEach((member) => {
+      const key = member.join(' ');
+      const known = phrases.get(key) || [];
+      const added = members.filter((other) => !known.some((list) => list.join(' ') === other.join(' ')));
+      phrases.set(key, [...known, ...added]);
+    });
+  });
+  return phrases;
+}
+
+/**
+ * Alternatives for one query word: itself, the terms it starts and the
+ * terms it could be a misspelling of
+ */
+function wordAlternatives(index, word, term, { prefix, fuzzy }) {
+  const weights = new Map([[term, 1]]);
+  const add = (candidate, weight) => {
+    if (!(weights.get(candidate) >= weight)) weights.set(candidate, weight);
+  };
+
+  if (prefix && word.length >= 3) {
+    Object.keys(index.terms)
+      .filter((candidate) => candidate.startsWith(term) || candidate.startsWith(word))
+      .forEach((candidate) => add(candidate, PREFIX_WEIGHT));
+  }
+  // Only words the pages don't have are treated as typos
+  const max = maxEdits(word);
+  if (fuzzy && max && !hasTerm(index, term)) {
+    Object.keys(index.terms).forEach((candidate) => {
+      const distance = editDistance(term, candidate, max);
+      if (distance <= max) add(candidate, 1 / (1 + distance));
+    });
+  }
+
+  return [...weights].map(([candidate, weight]) => ({ terms: [candidate], weight }));
+}
+
+/**
+ * What each part of a query can match. A part is one word or a phrase from
+ * the synonyms; it matches when a page has all the terms of one of its
+ * alternatives.
+ * @param {object} index
+ * @param {string} query
+ * @param {object} [options]
+ * @param {boolean} [options.prefix] - Expand the last word to the terms it
+ *   starts, while it's still being typed
+ * @param {boolean} [options.fuzzy] - Match misspelled words
+ * @param {string[][]} [options.synonyms] - Groups of words and phrases that
+ *   mean the same, from fetchSynonyms()
+ * @returns {{terms: string[], weight: number}[][]} Alternatives per query part
+ */
+export function queryTerms(index, query, { prefix = false, fuzzy = false, synonyms = [] } = {}) {
+  const allWords = words(query).map(({ word }) => word);
+  const queryWords = allWords.filter((word) => !STOP_WORDS.has(word));
+  const stems = queryWords.map(stem);
+  // The word being typed is the last one, unless a stop word follows it
+  const typing = allWords[allWords.length - 1] === queryWords[queryWords.length - 1]
+    ? queryWords.length - 1 : -1;
+
+  const phrases = synonymPhrases(synonyms);
+  const longest = Math.max(0, ...[...phrases.keys()].map((key) => key.split(' ').length));
+
+  const groups = [];
+  let i = 0;
+  while (i < stems.length) {
+    // The longest synonym phrase starting at this word, if any
+    let size = Math.min(longest, stems.length - i);
+    while (size > 0 && !phrases.has(stems.slice(i, i + size).join(' '))) size -= 1;
+
+    if (size > 0) {
+      groups.push(phrases.get(stems.slice(i, i + size).join(' '))
+        .map((terms) => ({ terms, weight: 1 })));
+      i += size;
+    } else {
+      groups.push(wordAlternatives(index, queryWords[i], stems[i], {
+        prefix: prefix && i === typing,
+        fuzzy,
+      }));
+      i += 1;
+    }
+  }
+  return groups;
+}
+
+/**
+ * BM25 score of a term in each page that has it
+ * @returns {Map<number, number>} doc → score
+ */
+function termScores(index, term, averages) {
+  const docCount = index.docs.length;
+  const postings = hasTerm(index, term) ? index.terms[term] : [];
+  const docFreq = new Set(postings.filter((_, i) => i % 3 === 0)).size;
+  const idf = Math.log(1 + (docCount - docFreq + 0.5) / (docFreq + 0.5));
+
+  const scores = new Map();
+  for (let i = 0; i < postings.length; i += 3) {
+    const [doc, field, count] = postings.slice(i, i + 3);
+    const norm = 1 - B + B * (index.lengths[doc][field] / averages[field]);
+    const score = idf * FIELD_WEIGHTS[field] * ((count * (K1 + 1)) / (count + K1 * norm));
+    scores.set(doc, (scores.get(doc) || 0) + score);
+  }
+  return scores;
+}
+
+/**
+ * Ranked search
+ * @param {object} index - From buildSearchIndex()
+ * @param {{terms: string[], weight: number}[][]} termGroups - From queryTerms()
+ * @returns {{doc: object, score: number, matched: number, terms: string[]}[]}
+ */
+export function search(index, termGroups) {
+  const docCount = index.docs.length;
+  const averages = FIELDS.map((_, field) => index.lengths
+    .reduce((sum, lens) => sum + lens[field], 0) / (docCount || 1) || 1);
+
+  const hits = new Map();
+  termGroups.forEach((group, groupIndex) => {
+    group.forEach(({ terms, weight }) => {
+      const [first, ...rest] = terms.map((term) => termScores(index, term, averages));
+      first.forEach((score, doc) => {
+        if (!rest.every((scores) => scores.has(doc))) return;
+
+        if (!hits.has(doc)) hits.set(doc, { score: 0, groups: new Set(), terms: new Set() });
+        const hit = hits.get(doc);
+        hit.score += weight * rest.reduce((sum, scores) => sum + scores.get(doc), score);
+        hit.groups.add(groupIndex);
+        terms.forEach((term) => hit.terms.add(term));
+      });
+    });
+  });
+
+  return [...hits.entries()]
+    .map(([doc, hit]) => ({
+      doc: index.docs[doc],
+      score: hit.score,
+      matched: hit.groups.size,
+      terms: [...hit.terms],
+    }))
+    .sort((a, b) => b.matched - a.matched || b.score - a.score);
+}
+
+/**
+ * Passage of a text around the most query terms
+ * @param {string} text
+ * @param {string[]} matchTerms - Index terms to look for
+ * @param {number} [length] - Words in the passage
+ * @returns {{text: string, words: string[]}|null} The passage and the words
+ *   in it that matched (for highlighting), or null if nothing matched
+ */
+export function snippet(text, matchTerms, length = 30) {
+  const wanted = new Set(matchTerms);
+  const textWords = words(text);
+  const isMatch = textWords.map(({ word }) => wanted.has(stem(word)));
+  if (!isMatch.some(Boolean)) return null;
+
+  let best = 0;
+  let bestCount = -1;
+  for (let start = 0; start < textWords.length; start += 1) {
+    if (isMatch[start]) {
+      const found = new Set(textWords.slice(start, start + length)
+        .filter((_, i) => isMatch[start + i])
+        .map(({ word }) => stem(word)));
+      if (found.size > bestCount) {
+        best = start;
+        bestCount = found.size;
+      }
+    }
+  }
+
+  // Start a few words before the first match, for context
+  const from = Math.max(0, best - 5);
+  const to = Math.min(textWords.length, from + length);
+  const last = textWords[to - 1];
+  const passage = text.slice(textWords[from].index, last.index + last.length);
+  return {
+    text: `${from > 0 ? '… ' : ''}${passage}${to < textWords.length ? ' …' : ''}`,
+    words: [...new Set(textWords.slice(from, to)
+      .filter((_, i) => isMatch[from + i])
+      .map((word) => text.slice(word.index, word.index + word.length)))],
+  };
+}
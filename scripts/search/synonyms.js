@@ -0,0 +1,31 @@
+/**
+ * Search synonyms, from the synonyms sheet (synonyms.json): one row per group
+ * of words and phrases that mean the same, e.g.
+ *
+ *   Term | Synonyms
+ *   EOB  | explanation of benefits
+ *   NSA  | No Surprises Act, surprise billing
+ *
+ * A query with any of them also finds pages with the others.
+ */
+
+/**
+ * Gets the synonym groups.
+ * @param {string} [prefix] Location of synonyms
+ * @returns {Promise<string[][]>} Groups, each a list of words and phrases
+ */
+export default async function fetchSynonyms(prefix = 'default') {
+  window.synonyms = window.synonyms || {};
+  if (!window.synonyms[prefix]) {
+    window.synonyms[prefix] = fetch(`${prefix === 'default' ? '' : prefix}/synonyms.json`)
+      .then((resp) => (resp.ok ? resp.json() : {}))
+      .then((json) => (json.data || [])
+        .filter((row) => row.Term)
+        .map((row) => [row.Term, ...String(row.Synonyms || '').split(',')]
+          .map((phrase) => phrase.trim())
+          .filter((phrase) => phrase)))
+      // error loading synonyms: search without them
+      .catch(() => []);
+  }
+  return window.synonyms[prefix];
+}
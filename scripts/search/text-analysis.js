@@ -0,0 +1,157 @@
+/**
+ * Text analysis shared by the search index builder
+ * (tools/importer/build-query-index.js) and the search block, so queries are
+ * reduced to the same terms as the indexed pages: lowercased words, without
+ * stop words, Porter-stemmed.
+ */
+
+export const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but',
+  'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for',
+  'from', 'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself',
+  'him', 'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just',
+  'me', 'more', 'most', 'my', 'myself', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once',
+  'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out', 'over', 'own', 'same', 'she',
+  'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them',
+  'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+  'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+  'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself',
+  'yourselves',
+]);
+
+const STEP2 = {
+  ational: 'ate',
+  tional: 'tion',
+  enci: 'ence',
+  anci: 'ance',
+  izer: 'ize',
+  bli: 'ble',
+  alli: 'al',
+  entli: 'ent',
+  eli: 'e',
+  ousli: 'ous',
+  ization: 'ize',
+  ation: 'ate',
+  ator: 'ate',
+  alism: 'al',
+  iveness: 'ive',
+  fulness: 'ful',
+  ousness: 'ous',
+  aliti: 'al',
+  iviti: 'ive',
+  biliti: 'ble',
+  logi: 'log',
+};
+
+const STEP3 = {
+  icate: 'ic',
+  ative: '',
+  alize: 'al',
+  iciti: 'ic',
+  ical: 'ic',
+  ful: '',
+  ness: '',
+};
+
+const C = '[^aeiou]';
+const V = '[aeiouy]';
+const CS = `${C}[^aeiouy]*`;
+const VS = `${V}[aeiou]*`;
+
+const MGR0 = new RegExp(`^(${CS})?${VS}${CS}`); // [C]VC... is m>0
+const MEQ1 = new RegExp(`^(${CS})?${VS}${CS}(${VS})?$`); // [C]VC[V] is m=1
+const MGR1 = new RegExp(`^(${CS})?${VS}${CS}${VS}${CS}`); // [C]VCVC... is m>1
+const S_V = new RegExp(`^(${CS})?${V}`); // vowel in stem
+
+/**
+ * Porter stem of a lowercase word
+ * @param {string} word
+ * @returns {string}
+ */
+export function stem(word) {
+  if (word.length < 3) return word;
+
+  let w = word;
+  const firstY = w[0] === 'y';
+  if (firstY) w = `Y${w.slice(1)}`;
+
+  // Step 1a
+  if (/^(.+?)(ss|i)es$/.test(w)) w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+  else if (/^(.+?)([^s])s$/.test(w)) w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+
+  // Step 1b
+  let match = w.match(/^(.+?)eed$/);
+  if (match) {
+    if (MGR0.test(match[1])) w = w.slice(0, -1);
+  } else {
+    match = w.match(/^(.+?)(ed|ing)$/);
+    if (match && S_V.test(match[1])) {
+      [, w] = match;
+      if (/(at|bl|iz)$/.test(w)) w += 'e';
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (new RegExp(`^${CS}${V}[^aeiouwxy]$`).test(w)) w += 'e';
+    }
+  }
+
+  // Step 1c
+  match = w.match(/^(.+?)y$/);
+  if (match && S_V.test(match[1])) w = `${match[1]}i`;
+
+  // Step 2
+  match = w.match(/^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/);
+  if (match && MGR0.test(match[1])) w = match[1] + STEP2[match[2]];
+
+  // Step 3
+  match = w.match(/^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/);
+  if (match && MGR0.test(match[1])) w = match[1] + STEP3[match[2]];
+
+  // Step 4
+  match = w.match(/^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/);
+  if (match) {
+    if (MGR1.test(match[1])) [, w] = match;
+  } else {
+    match = w.match(/^(.+?)(s|t)(ion)$/);
+    if (match && MGR1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5
+  match = w.match(/^(.+?)e$/);
+  if (match) {
+    const base = match[1];
+    if (MGR1.test(base)
+      || (MEQ1.test(base) && !new RegExp(`^${CS}${V}[^aeiouwxy]$`).test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MGR1.test(w)) w = w.slice(0, -1);
+
+  if (firstY) w = `y${w.slice(1)}`;
+  return w;
+}
+
+/**
+ * Words of a text, lowercased, with where they are in the text
+ * @param {string} text
+ * @returns {{word: string, index: number, length: number}[]}
+ */
+export function words(text) {
+  return [...String(text).matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu)]
+    .map((m) => ({
+      word: m[0].toLowerCase().replace(/['’]s$/, ''),
+      index: m.index,
+      length: m[0].length,
+    }));
+}
+
+/**
+ * Index terms of a text: stems of its words, stop words removed
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function terms(text) {
+  return words(text)
+    .map(({ word }) => word)
+    .filter((word) => !STOP_WORDS.has(word))
+    .map(stem);
+}
@@ -1,21 +1,73 @@
 #!/usr/bin/env node
 
 /**
- * Build query-index.json from local content HTML files.
+ * Build the query indices from local content HTML files.
  *
- * Scans all .html files (excluding .plain.html) in content/,
- * extracts metadata from <meta> tags, and writes query-index.json.
+ * Reads the index definitions in helix-query.yaml (see
+ * lib/query-index-config.js), scans all .html files (excluding .plain.html)
+ * in content/, and writes every declared index to its target, e.g.
+ * content/query-index.json. Each page goes into the indices whose
+ * include/exclude globs match its path, with the columns the index's
+ * select/value expressions produce, so the local indices match what the
+ * production indexer builds from the same pages.
+ *
+ * Each sheet is written in pages of --page-size rows, following the sheet
+ * JSON conventions ({total, offset, limit, data}), so clients can load an
+ * index lazily (see scripts/query-index.js). For target /content/query-index.json:
+ *
+ *   query-index.json               First page of the default sheet, plus
+ *                                  ":sheets" with every sheet's total
+ *   query-index-<sheet>-<offset>.json   Every page of every sheet
+ *
+ * Indices that share a target are its sheets, named by their `sheet:`
+ * (e.g. sheet=blog).
+ *
+ * Next to each target, query-index-search.json is a full-text index (title,
+ * headings, tags and body text) of every page but drafts, including those the
+ * index leaves out (e.g. /content/resources/**), with the columns of the
+ * target's default sheet; see scripts/search/search-index.js for the format.
+ * It is for local previews only: the live site publishes the query index
+ * alone, and there the search block ranks the query index rows instead.
+ *
+ * Rows are cached in the shared build manifest (lib/build-manifest.js) by
+ * content hash, so only pages that changed since the last build are parsed
+ * again. Editing this script or helix-query.yaml makes every row stale.
  *
  * Usage:
- *   node build-query-index.js
+ *   node build-query-index.js           # Re-index changed pages
+ *   node build-query-index.js --force   # Re-index every page
+ *   node build-query-index.js --watch   # Rebuild when content/ or helix-query.yaml change
+ *   node build-query-index.js --page-size 200   # Rows per page (default 500)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
 const { JSDOM } = require('jsdom');
+const {
+  hashContent, hashFiles, loadBuildManifest, watchBuild,
+} = require('./lib/build-manifest.js');
+const {
+  globToRegExp, loadIndexConfig, includesPath, evaluateProperties,
+} = require('./lib/query-index-config.js');
+
+const SITE_ROOT = path.join(__dirname, '../..');
+const CONTENT_DIR = path.join(SITE_ROOT, 'content');
+const CONFIG_PATH = path.join(SITE_ROOT, 'helix-query.yaml');
+const SEARCH_SCRIPTS = ['search-index.js', 'text-analysis.js']
+  .map((file) => path.join(SITE_ROOT, 'scripts/search', file));
+const DEFAULT_PAGE_SIZE = 500;
+const SEARCH_EXCLUDE = globToRegExp('/content/drafts/**');
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const idx = args.indexOf(`--${name}`);
+  return idx >= 0 && args[idx + 1] ? args[idx + 1] : null;
+};
+const force = args.includes('--force');
+const watch = args.includes('--watch');
+const pageSize = getArg('page-size') ? Math.max(1, parseInt(getArg('page-size'), 10)) : DEFAULT_PAGE_SIZE;
 
-const CONTENT_DIR = path.join(__dirname, '../../content');
-const OUTPUT_PATH = path.join(CONTENT_DIR, 'query-index.json');
+const isPage = (file) => file.endsWith('.html') && !file.endsWith('.plain.html');
 
 function findHtmlFiles(dir) {
   const files = [];
@@ -24,10 +76,8 @@ function findHtmlFiles(dir) {
   for (const entry of entries) {
     const fullPath = path.join(dir, entry.name);
     if (entry.isDirectory()) {
-      // Skip resources index itself and drafts
-      if (entry.name === 'drafts') continue;
       files.push(...findHtmlFiles(fullPath));
-    } else if (entry.name.endsWith('.html') && !entry.name.endsWith('.plain.html')) {
+    } else if (isPage(entry.name)) {
       files.push(fullPath);
     }
   }
@@ -35,137 +85,326 @@ function findHtmlFiles(dir) {
   return files;
 }
 
-function extractMetadata(htmlPath) {
-  const html = fs.readFileSync(htmlPath, 'utf8');
-  const dom = new JSDOM(html);
-  const doc = dom.window.document;
-
-  // EDS stores metadata in a <div class="metadata"> block within the body.
-  // Each key-value pair is a nested div structure:
-  //   <div class="metadata"><div><div>key</div><div>value</div></div>...</div>
-  const metadataBlock = doc.querySelector('.metadata');
-  const metaMap = {};
-  if (metadataBlock) {
-    // Find all divs that contain exactly two child divs (key-value pairs).
-    // The metadata block may have a wrapper div, so search all nested divs.
-    const allDivs = metadataBlock.querySelectorAll('div');
-    allDivs.forEach((div) => {
-      const children = div.querySelectorAll(':scope > div');
-      if (children.length === 2) {
-        const key = (children[0].textContent || '').trim().toLowerCase();
-        const value = (children[1].textContent || '').trim();
-        if (key && value && key.length < 30) {
-          metaMap[key] = value;
-        }
-      }
-    });
-  }
+/**
+ * Site path of a page, as the index stores it: /content/blog/post, with
+ * index pages as their folder (/content/blog/)
+ */
+function pagePath(htmlPath) {
+  const relativePath = path.relative(SITE_ROOT, htmlPath).split(path.sep).join('/');
+  return `/${relativePath.replace(/\.html$/, '').replace(/(^|\/)index$/, '$1')}`;
+}
 
-  // Also check <meta> tags in case the file was generated by aem up
-  const getMetaTag = (name) => {
-    const el = doc.querySelector(`meta[name="${name}"]`);
-    return el ? el.getAttribute('content') || '' : '';
-  };
+/**
+ * Visible text of an element, with a space between elements so block
+ * boundaries don't glue words together
+ */
+function textOf(el) {
+  const parts = [];
+  const walker = el.ownerDocument.createTreeWalker(el, 4 /* NodeFilter.SHOW_TEXT */);
+  while (walker.nextNode()) parts.push(walker.currentNode.nodeValue);
+  return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
 
-  const getMeta = (name) => metaMap[name] || getMetaTag(name) || '';
+/**
+ * Searchable text of a page: title, headings, tags and body (without the
+ * headings and the metadata blocks)
+ */
+function pageText(doc) {
+  const content = (doc.querySelector('main') || doc.body).cloneNode(true);
+  content.querySelectorAll('script, style, noscript, template, .metadata, .section-metadata')
+    .forEach((el) => el.remove());
+  const headings = [...content.querySelectorAll('h1, h2, h3, h4, h5, h6')];
+  const headingText = headings.map(textOf);
+  headings.forEach((h) => h.remove());
 
-  // Build the path for this resource (relative URL)
-  const relativePath = path.relative(CONTENT_DIR, htmlPath);
-  const urlPath = '/content/' + relativePath.replace(/\.html$/, '').replace(/\\/g, '/');
+  const meta = (selector) => doc.querySelector(selector)?.getAttribute('content') || '';
+  return {
+    title: meta('meta[property="og:title"]') || doc.querySelector('title')?.textContent.trim() || '',
+    headings: headingText.join(' '),
+    tags: [...doc.querySelectorAll('meta[property="article:tag"]')]
+      .map((el) => el.getAttribute('content')),
+    body: textOf(content),
+  };
+}
 
-  // Try to get title from metadata block, then from H1, then from <title>
-  let title = getMeta('title');
-  if (!title) {
-    const h1 = doc.querySelector('h1');
-    if (h1) title = h1.textContent.trim();
-  }
-  if (!title) {
-    const titleEl = doc.querySelector('title');
-    if (titleEl) title = titleEl.textContent.trim();
-  }
+/**
+ * Default-sheet index of each target: the columns of its search documents
+ * @returns {Map<string, object>} target → index
+ */
+function searchDefinitions(indices) {
+  const definitions = new Map();
+  indices.forEach((index) => {
+    if (!definitions.has(index.target) || index.sheet === 'default') definitions.set(index.target, index);
+  });
+  return definitions;
+}
 
-  // Skip pages without a title (probably not real content)
-  if (!title) return null;
+/**
+ * Rows for one page in every index that includes it, and its search
+ * document for every target
+ * @returns {{rows: object, search: object|null}} rows as {indexName: row};
+ *   search as {rows: {target: row}, text}, null for drafts
+ */
+function extractPage(htmlPath, html, indices) {
+  const urlPath = pagePath(htmlPath);
+  const matching = indices.filter((index) => includesPath(index, urlPath));
+  const searchable = !SEARCH_EXCLUDE.test(urlPath);
+  if (!matching.length && !searchable) return { rows: {}, search: null };
+
+  const doc = new JSDOM(html).window.document;
+  // The production indexer sees the page's response headers
+  const headers = { 'last-modified': fs.statSync(htmlPath).mtime.toUTCString() };
+  const rowOf = (index) => ({ path: urlPath, ...evaluateProperties(index, doc, headers) });
 
   return {
-    path: urlPath,
-    title,
-    description: getMeta('description'),
-    image: getMeta('image'),
-    date: getMeta('date'),
-    author: getMeta('author'),
-    tags: getMeta('tags'),
-    template: getMeta('template'),
-    lastModified: Math.floor(fs.statSync(htmlPath).mtimeMs / 1000),
+    rows: Object.fromEntries(matching.map((index) => [index.name, rowOf(index)])),
+    search: searchable ? {
+      rows: Object.fromEntries([...searchDefinitions(indices)]
+        .map(([target, index]) => [target, rowOf(index)])),
+      text: pageText(doc),
+    } : null,
   };
 }
 
-function main() {
-  console.log('Building query-index.json from local content...');
-
+/**
+ * Rows of every index, parsing only the pages whose content changed
+ * @param {object} section - Build manifest section for the indices
+ * @param {object[]} indices - From loadIndexConfig()
+ * @param {boolean} reindexAll - Ignore the manifest (--force)
+ * @returns {{rowsByIndex: Map<string, object[]>, docsByTarget: Map<string, object[]>}}
+ *   rows by index name, search documents ({row, title, headings, tags, body})
+ *   by target
+ */
+function collectRows(section, indices, reindexAll) {
   const htmlFiles = findHtmlFiles(CONTENT_DIR);
-  console.log(`Found ${htmlFiles.length} HTML files`);
-
-  const data = [];
+  const rowsByIndex = new Map(indices.map((index) => [index.name, []]));
+  const docsByTarget = new Map();
+  const keys = [];
+  let parsed = 0;
 
-  for (const file of htmlFiles) {
+  htmlFiles.forEach((file) => {
+    const key = path.relative(CONTENT_DIR, file).split(path.sep).join('/');
+    keys.push(key);
     try {
-      const entry = extractMetadata(file);
-      if (entry) {
-        data.push(entry);
+      const html = fs.readFileSync(file, 'utf8');
+      const hash = hashContent(html);
+      let cached = reindexAll ? null : section.fresh(key, hash);
+      if (!cached) {
+        cached = { hash, ...extractPage(file, html, indices) };
+        section.set(key, cached);
+        parsed += 1;
       }
+      Object.entries(cached.rows).forEach(([name, row]) => rowsByIndex.get(name)?.push(row));
+      Object.entries(cached.search?.rows || {}).forEach(([target, row]) => {
+        if (!docsByTarget.has(target)) docsByTarget.set(target, []);
+        docsByTarget.get(target).push({ row, ...cached.search.text });
+      });
     } catch (err) {
-      console.error(`  Error processing ${path.relative(CONTENT_DIR, file)}: ${err.message}`);
-    }
-  }
-
-  // Sort by date descending (newest first), then by title
-  data.sort((a, b) => {
-    if (a.date && b.date) {
-      return b.date.localeCompare(a.date);
+      console.error(`  Error processing ${key}: ${err.message}`);
     }
-    if (a.date) return -1;
-    if (b.date) return 1;
-    return a.title.localeCompare(b.title);
   });
+  section.prune(keys);
 
-  const output = {
-    total: data.length,
-    offset: 0,
-    limit: data.length,
-    data,
-    ':type': 'sheet',
-  };
+  console.log(`Found ${htmlFiles.length} HTML files (${parsed} parsed, ${htmlFiles.length - parsed} unchanged)`);
+  return { rowsByIndex, docsByTarget };
+}
 
-  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2), 'utf8');
-  console.log(`\nGenerated ${OUTPUT_PATH}`);
-  console.log(`Total entries: ${data.length}`);
+/**
+ * Values of a list column: a JSON array string (`values:` columns) or a
+ * comma-separated list
+ */
+function splitList(value) {
+  if (!value) return [];
+  if (value.startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      // Not JSON after all; fall through to the comma-separated form
+    }
+  }
+  return value.split(',').map((t) => t.trim()).filter(Boolean);
+}
 
+function printBreakdown(data) {
   // Print template breakdown
-  const templates = {};
-  data.forEach((d) => {
-    const t = d.template || '(none)';
-    templates[t] = (templates[t] || 0) + 1;
-  });
-  console.log('\nBy template:');
-  Object.entries(templates).sort((a, b) => b[1] - a[1]).forEach(([t, c]) => {
-    console.log(`  ${t}: ${c}`);
-  });
+  if (data.some((d) => 'template' in d)) {
+    const templates = {};
+    data.forEach((d) => {
+      const t = d.template || '(none)';
+      templates[t] = (templates[t] || 0) + 1;
+    });
+    console.log('\nBy template:');
+    Object.entries(templates).sort((a, b) => b[1] - a[1]).forEach(([t, c]) => {
+      console.log(`  ${t}: ${c}`);
+    });
+  }
 
   // Print tag breakdown (top 20)
-  const tagCounts = {};
-  data.forEach((d) => {
-    if (d.tags) {
-      d.tags.split(',').map((t) => t.trim()).filter(Boolean).forEach((tag) => {
+  if (data.some((d) => 'tags' in d)) {
+    const tagCounts = {};
+    data.forEach((d) => {
+      splitList(d.tags).forEach((tag) => {
         tagCounts[tag] = (tagCounts[tag] || 0) + 1;
       });
+    });
+    const topTags = Object.entries(tagCounts).sort((a, b) => b[1] - a[1]).slice(0, 20);
+    console.log('\nTop 20 tags:');
+    topTags.forEach(([tag, count]) => {
+      console.log(`  ${tag}: ${count}`);
+    });
+  }
+}
+
+/**
+ * Order of rows: by date descending (newest first), then by title
+ */
+function compareRows(a, b) {
+  if (a.date && b.date) {
+    return String(b.date).localeCompare(String(a.date));
+  }
+  if (a.date) return -1;
+  if (b.date) return 1;
+  return String(a.title || a.path).localeCompare(String(b.title || b.path));
+}
+
+function sortRows(data) {
+  return data.sort(compareRows);
+}
+
+/**
+ * Page file of a sheet: /content/query-index.json → query-index-<sheet>-<offset>.json
+ */
+function shardPath(outputPath, sheet, offset) {
+  return outputPath.replace(/\.json$/, `-${sheet}-${offset}.json`);
+}
+
+/**
+ * Write one target: its sheets in pages, and the first page of the default
+ * sheet at the target path. Page files left from an earlier, larger build
+ * are removed.
+ * @param {string} target - e.g. /content/query-index.json
+ * @param {Array<[string, object[]]>} sheets - [sheetName, rows]
+ */
+function writeTarget(target, sheets) {
+  const outputPath = path.join(SITE_ROOT, target);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+  const page = (data, offset) => ({
+    total: data.length,
+    offset,
+    limit: pageSize,
+    data: data.slice(offset, offset + pageSize),
+    ':type': 'sheet',
+  });
+
+  const written = new Set();
+  sheets.forEach(([sheet, data]) => {
+    for (let offset = 0; offset === 0 || offset < data.length; offset += pageSize) {
+      const file = shardPath(outputPath, sheet, offset);
+      fs.writeFileSync(file, JSON.stringify(page(data, offset), null, 2), 'utf8');
+      written.add(path.basename(file));
     }
   });
-  const topTags = Object.entries(tagCounts).sort((a, b) => b[1] - a[1]).slice(0, 20);
-  console.log('\nTop 20 tags:');
-  topTags.forEach(([tag, count]) => {
-    console.log(`  ${tag}: ${count}`);
+
+  const [, defaultRows] = sheets.find(([sheet]) => sheet === 'default') || sheets[0];
+  fs.writeFileSync(outputPath, JSON.stringify({
+    ...page(defaultRows, 0),
+    ':sheets': Object.fromEntries(sheets.map(([sheet, data]) => [sheet, data.length])),
+  }, null, 2), 'utf8');
+
+  const stem = path.basename(outputPath, '.json');
+  const shardPattern = new RegExp(`^${stem.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-[\\w-]+-\\d+\\.json$`);
+  fs.readdirSync(path.dirname(outputPath))
+    .filter((file) => shardPattern.test(file) && !written.has(file))
+    .forEach((file) => fs.unlinkSync(path.join(path.dirname(outputPath), file)));
+
+  return { outputPath, pages: written.size };
+}
+
+/**
+ * Write the full-text index of a target
+ * @param {string} outputPath - The target file
+ * @param {object[]} docs - Search documents, from collectRows()
+ * @returns {{searchPath: string, terms: number}}
+ */
+function writeSearchIndex(outputPath, docs, buildSearchIndex) {
+  const searchIndex = buildSearchIndex([...docs].sort((a, b) => compareRows(a.row, b.row)));
+  const searchPath = outputPath.replace(/\.json$/, '-search.json');
+  fs.writeFileSync(searchPath, JSON.stringify(searchIndex), 'utf8');
+  return { searchPath, terms: Object.keys(searchIndex.terms).length };
+}
+
+async function buildIndices(section, indices, reindexAll) {
+  console.log(`Building ${indices.map((index) => index.name).join(', ')} from local content...`);
+
+  const { rowsByIndex, docsByTarget } = collectRows(section, indices, reindexAll);
+  section.save();
+
+  const { buildSearchIndex } = await import(pathToFileURL(SEARCH_SCRIPTS[0]).href);
+
+  const targets = new Map();
+  indices.forEach((index) => {
+    if (!targets.has(index.target)) targets.set(index.target, []);
+    targets.get(index.target).push(index);
+  });
+
+  targets.forEach((targetIndices, target) => {
+    const sheets = targetIndices
+      .map((index) => [index.sheet, sortRows(rowsByIndex.get(index.name))]);
+    const { outputPath, pages } = writeTarget(target, sheets);
+    const docs = docsByTarget.get(target) || [];
+    const { searchPath, terms } = writeSearchIndex(outputPath, docs, buildSearchIndex);
+
+    console.log(`\nGenerated ${outputPath} (${pages} pages of up to ${pageSize})`);
+    console.log(`Generated ${searchPath} (${docs.length} pages, ${terms} terms)`);
+    targetIndices.forEach((index) => {
+      const data = rowsByIndex.get(index.name);
+      console.log(`\n[${index.name}] sheet=${index.sheet}, total entries: ${data.length}`);
+      printBreakdown(data);
+    });
   });
 }
 
-main();
+/**
+ * Read and check helix-query.yaml
+ * @returns {Array} Index definitions
+ */
+function readIndices() {
+  const indices = loadIndexConfig(CONFIG_PATH);
+  if (!indices.length) {
+    throw new Error(`No indices declared in ${CONFIG_PATH}`);
+  }
+  const sheetIds = indices.map((index) => `${index.target}#${index.sheet}`);
+  const duplicate = sheetIds.find((id, i) => sheetIds.indexOf(id) !== i);
+  if (duplicate) {
+    throw new Error(`Two indices write the same sheet (${duplicate}); give them distinct \`sheet:\` names`);
+  }
+  return indices;
+}
+
+async function main() {
+  const manifest = loadBuildManifest(CONTENT_DIR);
+
+  // --force applies to the first build only; watch rebuilds are incremental.
+  // The config is read on every build so --watch picks up edits to it.
+  let reindexAll = force;
+  const build = async () => {
+    const indices = readIndices();
+    const version = hashFiles([
+      __filename, require.resolve('./lib/query-index-config.js'), CONFIG_PATH, ...SEARCH_SCRIPTS,
+    ]);
+    await buildIndices(manifest.section('index', version), indices, reindexAll);
+    reindexAll = false;
+  };
+
+  if (watch) {
+    watchBuild(CONTENT_DIR, isPage, build, { files: [CONFIG_PATH] });
+    return;
+  }
+  await build();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
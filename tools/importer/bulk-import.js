@@ -4,30 +4,82 @@
  * Zelis Bulk Import Script
  *
  * Imports pages from zelis.com into Edge Delivery Services markdown format.
- * Uses the parsers from Phase 2 to extract content and generate markdown.
+ * Uses the parsers from Phase 2 to extract content and generate markdown:
+ * every templates/<name>.json with a matching parsers/<name>-parser.js is
+ * registered automatically, and templates without a parser module are
+ * interpreted straight from their JSON (see lib/parser-registry.js).
  *
  * Usage:
  *   node bulk-import.js --batch 3a-blog              # Import all blog posts
  *   node bulk-import.js --batch 3a-blog --limit 5     # Import first 5 blog posts
  *   node bulk-import.js --batch 3a-blog --offset 10   # Skip first 10, then import
  *   node bulk-import.js --url https://www.zelis.com/blog/some-post/  # Import single URL
+ *   node bulk-import.js --url <url> --template case-study            # Skip classification
  *   node bulk-import.js --batch all                   # Import everything
  *   node bulk-import.js --dry-run --batch 3a-blog     # Preview without saving
+ *   node bulk-import.js --resume                      # Continue the last interrupted run
+ *   node bulk-import.js --batch 3a-blog --restart     # Start over, discarding an unfinished run
+ *   node bulk-import.js --retry-failed                # Re-run only the last run's failures
+ *   node bulk-import.js --generic --url <url>         # Build from the template JSON only
+ *   node bulk-import.js --batch 3a-blog --skip-assets # Keep images on the source site
+ *   node bulk-import.js --batch 3a-blog --cache-dir .html-cache  # Keep raw HTML snapshots
+ *   node bulk-import.js --batch 3a-blog --offline     # Import from the snapshots only
+ *   node bulk-import.js --batch all --concurrency 6 --delay-ms 250 --max-retries 5
+ *   node bulk-import.js --batch 3a-blog --related-block  # Related Resources block, not cards
+ *
+ * Every run keeps a journal (import-journal.json) recording each URL as
+ * pending, succeeded, failed or skipped, so --resume can pick up exactly
+ * where a crashed or interrupted run stopped. A new batch run will not start
+ * over an unfinished journal unless given --restart. Single --url runs keep
+ * their own journal (import-journal-single.json) and never touch it.
+ *
+ * A --url that is not in url-catalog.json is classified against the template
+ * descriptors (see lib/template-classifier.js). Pages below --min-confidence
+ * (default 0.5) are added to import-review.json instead of being imported.
+ *
+ * Images referenced by the markdown are downloaded to content/media (named by
+ * content hash, listed in content/media/manifest.json) and the references are
+ * rewritten to /content/media/... (see lib/asset-store.js).
+ *
+ * Links between pages still point at zelis.com after the import; run
+ * rewrite-links.js once the batches are in to point them at /content paths.
+ *
+ * With --cache-dir, the raw HTML of every fetched page is stored on first
+ * fetch and read back on later runs. --offline reads only from that cache
+ * (--cache-dir, default .html-cache) and never touches the network: images
+ * already in content/media/manifest.json are still rewritten to their local
+ * copies, the others keep their source URL until an online run.
+ *
+ * All requests share one scheduler (lib/fetch-scheduler.js): --concurrency
+ * pages at a time, --delay-ms between request starts per host, and up to
+ * --max-retries retries with exponential backoff for 429, 5xx and timeouts
+ * (honouring Retry-After). A host answering 429 or 503 gets a wider gap
+ * between requests until it recovers. Retry, latency and pacing stats are
+ * printed at the end and saved with the results.
  */
 
 const { JSDOM } = require('jsdom');
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
+const { STATUS, createJournal, readJournal } = require('./lib/run-journal.js');
+const { loadParserRegistry } = require('./lib/parser-registry.js');
+const { DEFAULT_MIN_CONFIDENCE, classifyDocument } = require('./lib/template-classifier.js');
+const { createAssetStore } = require('./lib/asset-store.js');
+const { CONTENT_DIR, urlToContentPath } = require('./lib/content-paths.js');
+const { createHtmlCache } = require('./lib/http-fetch.js');
+const { createFetchScheduler } = require('./lib/fetch-scheduler.js');
 
 // Configuration
-const CONTENT_DIR = path.join(__dirname, '../../content');
+const MEDIA_DIR = path.join(CONTENT_DIR, 'media');
 const CATALOG_PATH = path.join(__dirname, 'url-catalog.json');
-const CONCURRENCY = 3; // Number of parallel fetches
-const DELAY_MS = 500; // Delay between fetches to avoid rate limiting
-const SOURCE_DOMAIN = 'https://www.zelis.com';
-const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const JOURNAL_PATH = path.join(__dirname, 'import-journal.json');
+const SINGLE_JOURNAL_PATH = path.join(__dirname, 'import-journal-single.json');
+const RESULTS_PATH = path.join(__dirname, 'import-results.json');
+const REVIEW_PATH = path.join(__dirname, 'import-review.json');
+const DEFAULT_CACHE_DIR = path.join(__dirname, '.html-cache');
+const DEFAULT_CONCURRENCY = 3; // Pages imported (and requests in flight) at once
+const DEFAULT_DELAY_MS = 500; // Gap between request starts per host
+const DEFAULT_MAX_RETRIES = 3; // Retries for 429 / 5xx / timeouts
 
 // Parse arguments
 const args = process.argv.slice(2);
@@ -43,6 +95,19 @@ const limit = getArg('limit') ? parseInt(getArg('limit'), 10) : Infinity;
 const offset = getArg('offset') ? parseInt(getArg('offset'), 10) : 0;
 const dryRun = hasFlag('dry-run');
 const verbose = hasFlag('verbose');
+const resume = hasFlag('resume');
+const restart = hasFlag('restart');
+const retryFailed = hasFlag('retry-failed');
+const genericOnly = hasFlag('generic');
+const forcedTemplate = getArg('template');
+const offline = hasFlag('offline');
+const cacheDir = getArg('cache-dir') ? path.resolve(getArg('cache-dir')) : (offline && DEFAULT_CACHE_DIR) || null;
+const skipAssets = hasFlag('skip-assets');
+const relatedBlock = hasFlag('related-block');
+const concurrency = getArg('concurrency') ? Math.max(1, parseInt(getArg('concurrency'), 10)) : DEFAULT_CONCURRENCY;
+const delayMs = getArg('delay-ms') ? parseInt(getArg('delay-ms'), 10) : DEFAULT_DELAY_MS;
+const maxRetries = getArg('max-retries') ? parseInt(getArg('max-retries'), 10) : DEFAULT_MAX_RETRIES;
+const minConfidence = getArg('min-confidence') ? parseFloat(getArg('min-confidence')) : DEFAULT_MIN_CONFIDENCE;
 
 // Progress tracking
 const results = {
@@ -51,802 +116,32 @@ const results = {
   failed: 0,
   skipped: 0,
   errors: [],
+  assets: {
+    downloaded: 0, reused: 0, skipped: 0, failed: [],
+  },
 };
 
-/**
- * Fetch a URL and return the HTML
- */
-function fetchUrl(url) {
-  return new Promise((resolve, reject) => {
-    const client = url.startsWith('https') ? https : http;
-    const req = client.get(url, {
-      headers: {
-        'User-Agent': USER_AGENT,
-        'Accept': 'text/html,application/xhtml+xml',
-        'Accept-Language': 'en-US,en;q=0.9',
-      },
-      timeout: 30000,
-    }, (res) => {
-      // Follow redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        const redirectUrl = new URL(res.headers.location, url).href;
-        fetchUrl(redirectUrl).then(resolve).catch(reject);
-        return;
-      }
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode} for ${url}`));
-        return;
-      }
-      let data = '';
-      res.on('data', (chunk) => { data += chunk; });
-      res.on('end', () => resolve(data));
-      res.on('error', reject);
-    });
-    req.on('error', reject);
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error(`Timeout fetching ${url}`));
-    });
-  });
-}
-
-/**
- * Generate the content file path from a URL
- */
-function urlToContentPath(url) {
-  const urlObj = new URL(url);
-  let pathname = urlObj.pathname.replace(/\/$/, '') || '/index';
-
-  // If pathname ends with nothing after last /, treat as index
-  if (pathname.endsWith('/')) {
-    pathname += 'index';
-  }
-
-  // Remove leading slash
-  pathname = pathname.replace(/^\//, '');
-
-  // Split into directory and filename
-  const parts = pathname.split('/');
-  const filename = parts.pop();
-  const dir = parts.join('/');
-
-  return {
-    mdPath: path.join(CONTENT_DIR, dir, `${filename}.md`),
-    dir: path.join(CONTENT_DIR, dir),
-    relativePath: `content/${dir}/${filename}.md`,
-  };
-}
-
-/**
- * Parse a blog article page using inline extraction
- * (Mirrors blog-article-parser.js logic)
- */
-function parseBlogArticle(document, url) {
-  const article = document.querySelector('article') || document.querySelector('main');
-  if (!article) return null;
-
-  // Hero section
-  const date = article.querySelector('.hero .leader, .published-date')?.textContent?.trim() || '';
-  const title = article.querySelector('.hero .post-title, h1')?.textContent?.trim() || '';
-  const featuredImg = article.querySelector('.hero .featured-img img, .wp-post-image')?.getAttribute('src') || '';
-
-  // Author bio
-  const authorAvatar = article.querySelector('.post-author .author-image, .post-author img')?.getAttribute('src') || '';
-  const authorNameEl = article.querySelector('.post-author strong a, .post-author a');
-  const authorName = authorNameEl?.textContent?.trim() || '';
-  const authorLink = authorNameEl?.getAttribute('href') || '';
-  const authorBio = article.querySelector('.post-author .has-small-font-size, .post-author p')?.textContent?.trim() || '';
-
-  // Article body - extract structured content
-  const bodyContainer = article.querySelector('.post-content .acf-innerblocks-container > .wp-block-column')
-    || article.querySelector('.post-content')
-    || article.querySelector('.entry-content');
-  const bodyMarkdown = extractBodyMarkdown(bodyContainer);
-
-  // Tags
-  const tags = [...document.querySelectorAll('.resource-tags .tags li a, .resource-tags .tag a')]
-    .map((a) => a.textContent.trim())
-    .filter(Boolean);
-
-  // Social share links
-  const shareLinks = [...document.querySelectorAll('.share-post a')]
-    .map((a) => ({
-      platform: a.querySelector('.visually-hidden')?.textContent?.trim() || a.textContent?.trim() || '',
-      href: a.getAttribute('href'),
-    }))
-    .filter((link) => link.platform && link.href);
-
-  // Related posts
-  const relatedPosts = [...document.querySelectorAll('.related-posts .resource')]
-    .map((card) => ({
-      category: card.querySelector('.leader')?.textContent?.trim() || '',
-      image: resolveUrl(card.querySelector('.wp-post-image, img')?.getAttribute('src') || ''),
-      title: card.querySelector('h3')?.textContent?.trim() || '',
-      description: card.querySelector('p:not(.leader)')?.textContent?.trim() || '',
-      link: resolveUrl(card.querySelector('a.mt-auto, a:last-of-type')?.getAttribute('href') || ''),
-      linkText: card.querySelector('a.mt-auto, a:last-of-type')?.textContent?.trim() || 'View resource',
-    }))
-    .filter((card) => card.title);
-
-  // Page metadata
-  const getMeta = (sel, attr = 'content') => document.querySelector(sel)?.getAttribute(attr) || '';
-  const metadata = {
-    title: getMeta("meta[property='og:title']") || title,
-    description: getMeta("meta[property='og:description']") || getMeta("meta[name='description']"),
-    author: getMeta("meta[name='author']") || authorName,
-    date: (getMeta("meta[property='article:published_time']") || '').split('T')[0],
-    image: getMeta("meta[property='og:image']") || resolveUrl(featuredImg),
-    tags: tags.join(', '),
-    template: 'blog-article',
-  };
-
-  return { hero: { date, title, featuredImg: resolveUrl(featuredImg) }, author: { authorAvatar: resolveUrl(authorAvatar), authorName, authorLink: resolveUrl(authorLink), authorBio }, bodyMarkdown, tags, shareLinks, relatedPosts, metadata };
-}
-
-/**
- * Parse a gated resource page
- */
-function parseGatedResource(document, url) {
-  const title = document.querySelector('.post-title, h1')?.textContent?.trim() || '';
-  const featuredImg = resolveUrl(document.querySelector('.hero .featured-img img, .featured-wrapper img, .wp-post-image')?.getAttribute('src') || '');
-
-  // Description
-  const leftCol = document.querySelector('.block--resource-hero .col-12.col-lg-6:first-child')
-    || document.querySelector('.post-content');
-  const subtitle = leftCol?.querySelector('h3 b span, h3')?.textContent?.trim() || '';
-  const paragraphs = [];
-  leftCol?.querySelectorAll('p').forEach((p) => {
-    const text = p.textContent.replace(/\u00A0/g, ' ').replace(/\s+/g, ' ').trim();
-    if (text && text.length > 10) paragraphs.push(text);
-  });
-  const bulletPoints = [];
-  leftCol?.querySelectorAll('ul li').forEach((li) => {
-    const text = li.textContent.replace(/\u00A0/g, ' ').replace(/\s+/g, ' ').trim();
-    if (text) bulletPoints.push(text);
-  });
-
-  // HubSpot form
-  const formDiv = document.querySelector('.hbspt-form, [data-hs-form-id]');
-  const formId = formDiv?.id?.replace('hbspt-form-', '') || formDiv?.getAttribute('data-hs-form-id') || '';
-  const formHeading = document.querySelector('.gated-wrapper h2')?.textContent?.trim() || 'Read now';
-
-  // Tags
-  const tags = [...document.querySelectorAll('.resource-tags .tag a')].map((a) => a.textContent.trim()).filter(Boolean);
-
-  // Related posts
-  const relatedPosts = [...document.querySelectorAll('.related-posts .resource')]
-    .map((card) => ({
-      image: resolveUrl(card.querySelector('.wp-post-image, img')?.getAttribute('src') || ''),
-      title: card.querySelector('h3')?.textContent?.trim() || '',
-      description: card.querySelector('p:not(.leader)')?.textContent?.trim() || '',
-      link: resolveUrl(card.querySelector('a.mt-auto, a:last-of-type')?.getAttribute('href') || ''),
-      linkText: card.querySelector('a.mt-auto, a:last-of-type')?.textContent?.trim() || 'View resource',
-    }))
-    .filter((card) => card.title);
-
-  const getMeta = (sel, attr = 'content') => document.querySelector(sel)?.getAttribute(attr) || '';
-  const metadata = {
-    title: getMeta("meta[property='og:title']") || title,
-    description: getMeta("meta[property='og:description']") || getMeta("meta[name='description']"),
-    date: (getMeta("meta[property='article:published_time']") || '').split('T')[0],
-    image: getMeta("meta[property='og:image']") || featuredImg,
-    tags: tags.join(', '),
-    template: 'gated-resource',
-  };
-
-  return { title, featuredImg, subtitle, paragraphs, bulletPoints, formId, formHeading, tags, relatedPosts, metadata };
-}
-
-/**
- * Parse a case study page
- */
-function parseCaseStudy(document, url) {
-  const mainSections = document.querySelectorAll('main section.block--section-wrapper, main > section');
-
-  const hero = {};
-  if (mainSections.length > 0) {
-    const heroSection = mainSections[0];
-    hero.title = heroSection.querySelector('.post-title, h1')?.textContent?.trim() || '';
-    const heroImg = heroSection.querySelector('.featured-wrapper img, .wp-post-image');
-    hero.image = resolveUrl(heroImg?.getAttribute('src') || '');
-    hero.imageAlt = heroImg?.getAttribute('alt') || '';
-  }
-
-  // Summary
-  const summary = {};
-  if (mainSections.length > 1) {
-    const summarySection = mainSections[1];
-    summary.heading = summarySection.querySelector('h2')?.textContent?.trim() || '';
-    const columns = summarySection.querySelectorAll('.wp-block-columns .wp-block-column');
-    if (columns.length >= 2) {
-      summary.challengeHeading = columns[0].querySelector('h3')?.textContent?.trim() || 'The Challenge';
-      summary.challengeText = columns[0].querySelector('p')?.textContent?.trim() || '';
-      summary.solutionHeading = columns[1].querySelector('h3')?.textContent?.trim() || 'The Solution';
-      summary.solutionText = columns[1].querySelector('p')?.textContent?.trim() || '';
-    }
-  }
-
-  // Stats
-  const stats = [];
-  const goldSection = document.querySelector('section.has-gold-background-color, .block--stats');
-  if (goldSection) {
-    goldSection.querySelectorAll('.stat').forEach((stat) => {
-      const value = stat.querySelector('.value')?.textContent?.trim() || '';
-      const desc = stat.querySelector('.desc')?.textContent?.trim() || '';
-      if (value) stats.push({ value, description: desc });
-    });
-  }
-
-  // Narrative
-  const narrative = {};
-  const narrativeSection = mainSections.length > 3 ? mainSections[3] : null;
-  if (narrativeSection) {
-    narrative.subtitle = narrativeSection.querySelector('.has-lead-font-size')?.textContent?.trim() || '';
-    narrative.heading = narrativeSection.querySelector('h2')?.textContent?.trim() || '';
-    const narColumns = narrativeSection.querySelectorAll('.wp-block-columns');
-    if (narColumns.length >= 2) {
-      const detailCols = narColumns[1].querySelectorAll('.wp-block-column');
-      if (detailCols.length >= 2) {
-        narrative.challengeHeading = detailCols[0].querySelector('h3')?.textContent?.trim() || 'The Challenge';
-        const challengePs = detailCols[0].querySelectorAll('p');
-        narrative.challengeBold = challengePs[0]?.textContent?.trim() || '';
-        narrative.challengeText = challengePs[1]?.textContent?.trim() || '';
-        narrative.solutionHeading = detailCols[1].querySelector('h3')?.textContent?.trim() || 'The Solution';
-        const solutionPs = detailCols[1].querySelectorAll('p');
-        narrative.solutionBold = solutionPs[0]?.textContent?.trim() || '';
-        narrative.solutionText = solutionPs[1]?.textContent?.trim() || '';
-      }
-    }
-    const cta = narrativeSection.querySelector('.wp-block-button__link');
-    narrative.ctaText = cta?.textContent?.trim() || '';
-    narrative.ctaUrl = resolveUrl(cta?.getAttribute('href') || '');
-  }
-
-  // Tags + Related posts
-  const tags = [...document.querySelectorAll('.resource-tags .tag a')].map((a) => a.textContent.trim()).filter(Boolean);
-  const relatedPosts = [...document.querySelectorAll('.related-posts .resource')]
-    .map((card) => ({
-      image: resolveUrl(card.querySelector('.wp-post-image, img')?.getAttribute('src') || ''),
-      title: card.querySelector('h3')?.textContent?.trim() || '',
-      description: card.querySelector('p:not(.leader)')?.textContent?.trim() || '',
-      link: resolveUrl(card.querySelector('a.mt-auto, a:last-of-type')?.getAttribute('href') || ''),
-      linkText: card.querySelector('a.mt-auto, a:last-of-type')?.textContent?.trim() || 'View resource',
-    }))
-    .filter((card) => card.title);
-
-  const getMeta = (sel, attr = 'content') => document.querySelector(sel)?.getAttribute(attr) || '';
-  const metadata = {
-    title: getMeta("meta[property='og:title']") || hero.title,
-    description: getMeta("meta[property='og:description']") || getMeta("meta[name='description']"),
-    date: (getMeta("meta[property='article:published_time']") || '').split('T')[0],
-    image: getMeta("meta[property='og:image']") || hero.image,
-    tags: tags.join(', '),
-    template: 'case-study',
-    category: 'Case Studies',
-  };
-
-  return { hero, summary, stats, narrative, tags, relatedPosts, metadata };
-}
-
-/**
- * Parse a solutions page (simplified extraction)
- */
-function parseSolutionsPage(document, url) {
-  const title = document.querySelector('h1')?.textContent?.trim() || '';
-  const sections = [];
-
-  // Extract all sections with headings and content
-  document.querySelectorAll('main section, main > div > div').forEach((section) => {
-    const h2 = section.querySelector('h2');
-    const heading = h2?.textContent?.trim() || '';
-    const paragraphs = [...section.querySelectorAll('p')].map((p) => p.textContent.trim()).filter((t) => t.length > 20);
-    const links = [...section.querySelectorAll('a.wp-block-button__link, a.btn-primary')].map((a) => ({
-      text: a.textContent.trim(),
-      href: resolveUrl(a.getAttribute('href') || ''),
-    }));
-
-    if (heading || paragraphs.length > 0) {
-      sections.push({ heading, paragraphs, links });
-    }
-  });
-
-  // Accordion items
-  const accordionItems = [...document.querySelectorAll('.accordion-item, .wp-block-column')].map((item) => {
-    const itemTitle = item.querySelector('h3, h4, .accordion-header')?.textContent?.trim() || '';
-    const itemContent = item.querySelector('p, .accordion-body')?.textContent?.trim() || '';
-    return { title: itemTitle, content: itemContent };
-  }).filter((item) => item.title);
-
-  const getMeta = (sel, attr = 'content') => document.querySelector(sel)?.getAttribute(attr) || '';
-  const metadata = {
-    title: getMeta("meta[property='og:title']") || title,
-    description: getMeta("meta[property='og:description']") || getMeta("meta[name='description']"),
-    image: getMeta("meta[property='og:image']"),
-    template: 'solutions-page',
-  };
-
-  return { title, sections, accordionItems, metadata };
-}
-
-/**
- * Parse a built-for audience page (simplified extraction)
- */
-function parseBuiltForPage(document, url) {
-  const title = document.querySelector('h1')?.textContent?.trim() || '';
-  const description = document.querySelector('.hero p, .block--hero p')?.textContent?.trim() || '';
-
-  const sections = [];
-  document.querySelectorAll('main section, main > div').forEach((section) => {
-    const h2 = section.querySelector('h2');
-    const heading = h2?.textContent?.trim() || '';
-    const subtitle = section.querySelector('.has-lead-font-size')?.textContent?.trim() || '';
-    const paragraphs = [...section.querySelectorAll('p:not(.has-lead-font-size)')].map((p) => p.textContent.trim()).filter((t) => t.length > 20);
-    if (heading) sections.push({ heading, subtitle, paragraphs });
-  });
+// Run journal, created in main() once the run mode is known
+let journal;
 
-  const getMeta = (sel, attr = 'content') => document.querySelector(sel)?.getAttribute(attr) || '';
-  const metadata = {
-    title: getMeta("meta[property='og:title']") || title,
-    description: getMeta("meta[property='og:description']") || getMeta("meta[name='description']"),
-    image: getMeta("meta[property='og:image']"),
-    template: 'built-for-audience',
-  };
-
-  return { title, description, sections, metadata };
-}
-
-/**
- * Parse a company/utility page (simplified extraction)
- */
-function parseCompanyUtilityPage(document, url) {
-  const title = document.querySelector('h1')?.textContent?.trim() || '';
-  const sections = [];
-
-  document.querySelectorAll('main section, main > div').forEach((section) => {
-    const h2 = section.querySelector('h2');
-    const heading = h2?.textContent?.trim() || '';
-    const subtitle = section.querySelector('.has-lead-font-size')?.textContent?.trim() || '';
-    const paragraphs = [...section.querySelectorAll('p:not(.has-lead-font-size)')].map((p) => p.textContent.trim()).filter((t) => t.length > 15);
-    const links = [...section.querySelectorAll('a.wp-block-button__link, a.btn-primary')].map((a) => ({
-      text: a.textContent.trim(),
-      href: resolveUrl(a.getAttribute('href') || ''),
-    }));
-    const images = [...section.querySelectorAll('img')].map((img) => ({
-      src: resolveUrl(img.getAttribute('src') || ''),
-      alt: img.getAttribute('alt') || '',
-    })).filter((img) => img.src && !img.src.includes('ajax-loader'));
-
-    if (heading || paragraphs.length > 0) {
-      sections.push({ heading, subtitle, paragraphs, links, images });
-    }
-  });
+// HTML already fetched for classification, consumed by importPage()
+const prefetched = new Map();
 
-  const getMeta = (sel, attr = 'content') => document.querySelector(sel)?.getAttribute(attr) || '';
-  const metadata = {
-    title: getMeta("meta[property='og:title']") || title,
-    description: getMeta("meta[property='og:description']") || getMeta("meta[name='description']"),
-    image: getMeta("meta[property='og:image']"),
-    template: 'company-utility',
-  };
+// Local copies of referenced images, shared across the run (set in main)
+let assetStore;
 
-  return { title, sections, metadata };
-}
-
-// ============================================================
-// Markdown Generators
-// ============================================================
-
-function blogToMarkdown(parsed) {
-  const lines = [];
-
-  // Hero
-  if (parsed.hero.featuredImg) {
-    lines.push(`![${parsed.hero.title}](${parsed.hero.featuredImg})`);
-    lines.push('');
-  }
-  lines.push(`# ${parsed.hero.title}`);
-  lines.push('');
-  if (parsed.hero.date) {
-    lines.push(parsed.hero.date);
-    lines.push('');
-  }
-
-  // Author
-  if (parsed.author.authorName) {
-    lines.push('| Columns |  |');
-    lines.push('| --- | --- |');
-    const authorText = parsed.author.authorLink
-      ? `**By: [${parsed.author.authorName}](${parsed.author.authorLink})** ${parsed.author.authorBio}`
-      : `**By: ${parsed.author.authorName}** ${parsed.author.authorBio}`;
-    const avatarPart = parsed.author.authorAvatar ? `![${parsed.author.authorName}](${parsed.author.authorAvatar})` : '';
-    lines.push(`| ${avatarPart} | ${authorText} |`);
-    lines.push('');
-  }
-  lines.push('---');
-  lines.push('');
-
-  // Body
-  if (parsed.bodyMarkdown) {
-    lines.push(parsed.bodyMarkdown);
-    lines.push('');
-    lines.push('---');
-    lines.push('');
-  }
-
-  // Tags + Share
-  if (parsed.tags.length > 0) {
-    lines.push(parsed.tags.join(', '));
-    lines.push('');
-  }
-  if (parsed.shareLinks.length > 0) {
-    const shareStr = parsed.shareLinks.map((s) => `[${s.platform}](${s.href})`).join(' ');
-    lines.push(`Share: ${shareStr}`);
-    lines.push('');
-  }
-  lines.push('---');
-  lines.push('');
-
-  // Related Posts
-  if (parsed.relatedPosts.length > 0) {
-    lines.push('## Related Posts');
-    lines.push('');
-    lines.push('| Cards |  |');
-    lines.push('| --- | --- |');
-    parsed.relatedPosts.forEach((card) => {
-      lines.push(`| ![${card.title}](${card.image}) | **${card.title}** ${card.description} [${card.linkText}](${card.link}) |`);
-    });
-    lines.push('');
-    lines.push('| Section Metadata |  |');
-    lines.push('| --- | --- |');
-    lines.push('| style | dark |');
-    lines.push('');
-    lines.push('---');
-    lines.push('');
-  }
-
-  // Metadata
-  lines.push('| Metadata |  |');
-  lines.push('| --- | --- |');
-  Object.entries(parsed.metadata).forEach(([key, value]) => {
-    if (value) lines.push(`| ${key} | ${value} |`);
-  });
-
-  return lines.join('\n');
-}
-
-function gatedResourceToMarkdown(parsed) {
-  const lines = [];
-  lines.push(`# ${parsed.title}`);
-  lines.push('');
-  if (parsed.featuredImg) {
-    lines.push(`![${parsed.title}](${parsed.featuredImg})`);
-    lines.push('');
-  }
-  lines.push('---');
-  lines.push('');
-
-  if (parsed.subtitle) {
-    lines.push(`**${parsed.subtitle}**`);
-    lines.push('');
-  }
-  parsed.paragraphs.forEach((p) => {
-    lines.push(p);
-    lines.push('');
-  });
-  if (parsed.bulletPoints.length > 0) {
-    parsed.bulletPoints.forEach((bp) => {
-      lines.push(`- ${bp}`);
-    });
-    lines.push('');
-  }
-
-  // Form embed
-  if (parsed.formId) {
-    lines.push(`## ${parsed.formHeading}`);
-    lines.push('');
-    lines.push('| Embed |  |');
-    lines.push('| --- | --- |');
-    lines.push(`| https://share.hsforms.com/${parsed.formId} |  |`);
-    lines.push('');
-  }
-  lines.push('---');
-  lines.push('');
-
-  if (parsed.tags.length > 0) {
-    lines.push(parsed.tags.join(', '));
-    lines.push('');
-    lines.push('---');
-    lines.push('');
-  }
-
-  if (parsed.relatedPosts.length > 0) {
-    lines.push('## Related Resources');
-    lines.push('');
-    lines.push('| Cards |  |');
-    lines.push('| --- | --- |');
-    parsed.relatedPosts.forEach((card) => {
-      lines.push(`| ![${card.title}](${card.image}) | **${card.title}** ${card.description} [${card.linkText}](${card.link}) |`);
-    });
-    lines.push('');
-    lines.push('| Section Metadata |  |');
-    lines.push('| --- | --- |');
-    lines.push('| style | dark |');
-    lines.push('');
-    lines.push('---');
-    lines.push('');
-  }
-
-  lines.push('| Metadata |  |');
-  lines.push('| --- | --- |');
-  Object.entries(parsed.metadata).forEach(([key, value]) => {
-    if (value) lines.push(`| ${key} | ${value} |`);
-  });
-
-  return lines.join('\n');
-}
-
-function caseStudyToMarkdown(parsed) {
-  const lines = [];
-  lines.push(`# ${parsed.hero.title}`);
-  lines.push('');
-  if (parsed.hero.image) {
-    lines.push(`![${parsed.hero.imageAlt || 'Case study hero'}](${parsed.hero.image})`);
-    lines.push('');
-  }
-  lines.push('---');
-  lines.push('');
-
-  if (parsed.summary.heading) {
-    lines.push(`## ${parsed.summary.heading}`);
-    lines.push('');
-    if (parsed.summary.challengeHeading) {
-      lines.push('| Columns |  |');
-      lines.push('| --- | --- |');
-      lines.push(`| **${parsed.summary.challengeHeading}** ${parsed.summary.challengeText} | **${parsed.summary.solutionHeading}** ${parsed.summary.solutionText} |`);
-      lines.push('');
-    }
-    lines.push('---');
-    lines.push('');
-  }
-
-  if (parsed.stats.length > 0) {
-    lines.push('| Cards |  |');
-    lines.push('| --- | --- |');
-    parsed.stats.forEach((s) => lines.push(`| **${s.value}** ${s.description} |  |`));
-    lines.push('');
-    lines.push('| Section Metadata |  |');
-    lines.push('| --- | --- |');
-    lines.push('| style | highlight |');
-    lines.push('');
-    lines.push('---');
-    lines.push('');
-  }
-
-  if (parsed.narrative.heading) {
-    if (parsed.narrative.subtitle) { lines.push(parsed.narrative.subtitle); lines.push(''); }
-    lines.push(`## ${parsed.narrative.heading}`);
-    lines.push('');
-    if (parsed.narrative.challengeHeading) {
-      lines.push('| Columns |  |');
-      lines.push('| --- | --- |');
-      const ch = `**${parsed.narrative.challengeHeading}** **${parsed.narrative.challengeBold || ''}** ${parsed.narrative.challengeText || ''}`;
-      const sol = `**${parsed.narrative.solutionHeading}** **${parsed.narrative.solutionBold || ''}** ${parsed.narrative.solutionText || ''}`;
-      lines.push(`| ${ch} | ${sol} |`);
-      lines.push('');
-    }
-    if (parsed.narrative.ctaText) {
-      lines.push(`[${parsed.narrative.ctaText}](${parsed.narrative.ctaUrl})`);
-      lines.push('');
-    }
-    lines.push('---');
-    lines.push('');
-  }
-
-  if (parsed.tags.length > 0) { lines.push(parsed.tags.join(', ')); lines.push(''); lines.push('---'); lines.push(''); }
-
-  if (parsed.relatedPosts.length > 0) {
-    lines.push('## Related Posts');
-    lines.push('');
-    lines.push('[View all resources](https://www.zelis.com/resources/)');
-    lines.push('');
-    lines.push('| Cards |  |');
-    lines.push('| --- | --- |');
-    parsed.relatedPosts.forEach((card) => {
-      lines.push(`| ![${card.title}](${card.image}) | **${card.title}** ${card.description} [${card.linkText}](${card.link}) |`);
-    });
-    lines.push('');
-    lines.push('| Section Metadata |  |');
-    lines.push('| --- | --- |');
-    lines.push('| style | dark |');
-    lines.push('');
-    lines.push('---');
-    lines.push('');
-  }
-
-  lines.push('| Metadata |  |');
-  lines.push('| --- | --- |');
-  Object.entries(parsed.metadata).forEach(([key, value]) => {
-    if (value) lines.push(`| ${key} | ${value} |`);
-  });
-
-  return lines.join('\n');
-}
-
-function solutionsPageToMarkdown(parsed) {
-  const lines = [];
-  lines.push(`# ${parsed.title}`);
-  lines.push('');
-
-  parsed.sections.forEach((section, i) => {
-    if (i > 0) { lines.push('---'); lines.push(''); }
-    if (section.heading) { lines.push(`## ${section.heading}`); lines.push(''); }
-    section.paragraphs.forEach((p) => { lines.push(p); lines.push(''); });
-    section.links.forEach((l) => { lines.push(`[${l.text}](${l.href})`); lines.push(''); });
-  });
-
-  if (parsed.accordionItems.length > 0) {
-    lines.push('---');
-    lines.push('');
-    lines.push('| Accordion |  |');
-    lines.push('| --- | --- |');
-    parsed.accordionItems.forEach((item) => {
-      lines.push(`| ${item.title} | ${item.content} |`);
-    });
-    lines.push('');
-  }
-
-  lines.push('---');
-  lines.push('');
-  lines.push('| Metadata |  |');
-  lines.push('| --- | --- |');
-  Object.entries(parsed.metadata).forEach(([key, value]) => {
-    if (value) lines.push(`| ${key} | ${value} |`);
-  });
-
-  return lines.join('\n');
-}
-
-function builtForPageToMarkdown(parsed) {
-  const lines = [];
-  lines.push(`# ${parsed.title}`);
-  lines.push('');
-  if (parsed.description) { lines.push(parsed.description); lines.push(''); }
-
-  parsed.sections.forEach((section) => {
-    lines.push('---');
-    lines.push('');
-    if (section.subtitle) { lines.push(section.subtitle); lines.push(''); }
-    if (section.heading) { lines.push(`## ${section.heading}`); lines.push(''); }
-    section.paragraphs.forEach((p) => { lines.push(p); lines.push(''); });
-  });
-
-  lines.push('---');
-  lines.push('');
-  lines.push('| Metadata |  |');
-  lines.push('| --- | --- |');
-  Object.entries(parsed.metadata).forEach(([key, value]) => {
-    if (value) lines.push(`| ${key} | ${value} |`);
-  });
-
-  return lines.join('\n');
-}
-
-function companyUtilityToMarkdown(parsed) {
-  const lines = [];
-  if (parsed.title) {
-    lines.push(`# ${parsed.title}`);
-    lines.push('');
-  }
-
-  parsed.sections.forEach((section, i) => {
-    if (i > 0) { lines.push('---'); lines.push(''); }
-    if (section.subtitle) { lines.push(section.subtitle); lines.push(''); }
-    if (section.heading) { lines.push(`## ${section.heading}`); lines.push(''); }
-    section.paragraphs.forEach((p) => { lines.push(p); lines.push(''); });
-    section.images.forEach((img) => { lines.push(`![${img.alt}](${img.src})`); lines.push(''); });
-    section.links.forEach((l) => { lines.push(`[${l.text}](${l.href})`); lines.push(''); });
-  });
-
-  lines.push('---');
-  lines.push('');
-  lines.push('| Metadata |  |');
-  lines.push('| --- | --- |');
-  Object.entries(parsed.metadata).forEach(([key, value]) => {
-    if (value) lines.push(`| ${key} | ${value} |`);
-  });
-
-  return lines.join('\n');
-}
-
-// ============================================================
-// Helper functions
-// ============================================================
-
-function resolveUrl(url) {
-  if (!url) return '';
-  if (url.startsWith('//')) return `https:${url}`;
-  if (url.startsWith('/')) return `${SOURCE_DOMAIN}${url}`;
-  return url;
-}
-
-function extractBodyMarkdown(container) {
-  if (!container) return '';
-  const lines = [];
-
-  const walk = (node) => {
-    if (!node) return;
-    for (const child of node.children || []) {
-      const tag = child.tagName?.toLowerCase();
-      if (['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(tag)) {
-        const level = parseInt(tag[1], 10);
-        // Bump to h3+ for article body to avoid conflicting with page h1/h2
-        const adjustedLevel = Math.max(level, 3);
-        lines.push(`${'#'.repeat(adjustedLevel)} ${child.textContent.trim()}`);
-        lines.push('');
-      } else if (tag === 'p') {
-        const text = inlineHtmlToMd(child.innerHTML.trim());
-        if (text) { lines.push(text); lines.push(''); }
-      } else if (tag === 'ul') {
-        [...child.querySelectorAll('li')].forEach((li) => {
-          lines.push(`- ${inlineHtmlToMd(li.innerHTML.trim())}`);
-        });
-        lines.push('');
-      } else if (tag === 'ol') {
-        [...child.querySelectorAll('li')].forEach((li, idx) => {
-          lines.push(`${idx + 1}. ${inlineHtmlToMd(li.innerHTML.trim())}`);
-        });
-        lines.push('');
-      } else if (tag === 'blockquote') {
-        lines.push(`> ${child.textContent.trim()}`);
-        lines.push('');
-      } else if (tag === 'figure') {
-        const img = child.querySelector('img');
-        if (img) {
-          lines.push(`![${img.getAttribute('alt') || ''}](${resolveUrl(img.getAttribute('src') || '')})`);
-          lines.push('');
-        }
-      } else if (tag === 'div' || tag === 'section') {
-        walk(child);
-      }
-    }
-  };
-  walk(container);
-  return lines.join('\n').trim();
-}
-
-function inlineHtmlToMd(html) {
-  return html
-    .replace(/<strong>(.*?)<\/strong>/gs, '**$1**')
-    .replace(/<b>(.*?)<\/b>/gs, '**$1**')
-    .replace(/<em>(.*?)<\/em>/gs, '*$1*')
-    .replace(/<i>(.*?)<\/i>/gs, '*$1*')
-    .replace(/<a\s+href="([^"]*)"[^>]*>(.*?)<\/a>/gs, (_, href, text) => `[${text}](${resolveUrl(href)})`)
-    .replace(/<br\s*\/?>/g, '\n')
-    .replace(/<[^>]+>/g, '')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&#8217;/g, "'")
-    .replace(/&#8220;/g, '"')
-    .replace(/&#8221;/g, '"')
-    .replace(/&#8211;/g, '–')
-    .replace(/&#8212;/g, '—')
-    .trim();
-}
+// Every network request goes through the scheduler; the HTML cache, when
+// enabled, sits in front of it for pages (set in main)
+const scheduler = createFetchScheduler({ concurrency, delayMs, maxRetries });
+let htmlCache = null;
+const fetchPage = (url) => (htmlCache ? htmlCache.fetchHtml(url) : scheduler.fetch(url));
 
 // ============================================================
 // Template router
 // ============================================================
 
-const TEMPLATE_PARSERS = {
-  'blog-article': { parse: parseBlogArticle, toMarkdown: blogToMarkdown },
-  'gated-resource': { parse: parseGatedResource, toMarkdown: gatedResourceToMarkdown },
-  'case-study': { parse: parseCaseStudy, toMarkdown: caseStudyToMarkdown },
-  'solutions-page': { parse: parseSolutionsPage, toMarkdown: solutionsPageToMarkdown },
-  'built-for-audience': { parse: parseBuiltForPage, toMarkdown: builtForPageToMarkdown },
-  'company-utility': { parse: parseCompanyUtilityPage, toMarkdown: companyUtilityToMarkdown },
-};
+// Generated from templates/*.json + parsers/*-parser.js in main()
+let TEMPLATE_PARSERS = {};
 
 // ============================================================
 // Main import function
@@ -854,10 +149,13 @@ const TEMPLATE_PARSERS = {
 
 async function importPage(url, templateName) {
   const parser = TEMPLATE_PARSERS[templateName];
-  if (!parser) throw new Error(`Unknown template: ${templateName}`);
+  if (!parser) {
+    throw new Error(`Unknown template: ${templateName} (available: ${Object.keys(TEMPLATE_PARSERS).join(', ')})`);
+  }
 
   // Fetch the page
-  const html = await fetchUrl(url);
+  const html = prefetched.get(url) || await fetchPage(url);
+  prefetched.delete(url);
 
   // Parse with jsdom
   const dom = new JSDOM(html, { url });
@@ -868,7 +166,7 @@ async function importPage(url, templateName) {
   if (!parsed) throw new Error(`Parser returned null for ${url}`);
 
   // Generate markdown
-  const markdown = parser.toMarkdown(parsed);
+  let markdown = parser.toMarkdown(parsed, { relatedBlock });
   if (!markdown || markdown.length < 50) throw new Error(`Generated markdown too short for ${url}`);
 
   // Determine output path
@@ -879,6 +177,19 @@ async function importPage(url, templateName) {
     return { url, path: contentPath.relativePath, chars: markdown.length };
   }
 
+  // Download referenced images and point the markdown at the local copies
+  if (!skipAssets) {
+    const assets = await assetStore.localize(markdown);
+    markdown = assets.markdown;
+    results.assets.downloaded += assets.downloaded;
+    results.assets.reused += assets.reused;
+    results.assets.skipped += assets.skipped;
+    assets.failed.forEach((failure) => {
+      results.assets.failed.push({ page: url, ...failure });
+      console.warn(`    ! asset ${failure.url} — ${failure.error}`);
+    });
+  }
+
   // Create directory and save
   fs.mkdirSync(contentPath.dir, { recursive: true });
   fs.writeFileSync(contentPath.mdPath, markdown, 'utf8');
@@ -886,8 +197,41 @@ async function importPage(url, templateName) {
   return { url, path: contentPath.relativePath, chars: markdown.length };
 }
 
-async function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+/**
+ * Import a list of URLs, `concurrency` pages at a time. Pacing and retries
+ * are left to the fetch scheduler.
+ */
+async function processUrls(urls, templateName, batchLabel) {
+  urls.forEach((url) => journal.enqueue(url, batchLabel, templateName));
+
+  let next = 0;
+  let done = 0;
+  const importNext = async () => {
+    if (next >= urls.length) return;
+    const url = urls[next];
+    next += 1;
+
+    try {
+      const result = await importPage(url, templateName);
+      done += 1;
+      results.success += 1;
+      journal.mark(url, STATUS.SUCCEEDED);
+      console.log(`  [${done}/${urls.length}] ✓ ${url} → ${result.path} (${result.chars} chars)`);
+    } catch (err) {
+      done += 1;
+      results.failed += 1;
+      results.errors.push({
+        url, template: templateName, batch: batchLabel, error: err.message,
+      });
+      journal.mark(url, STATUS.FAILED, err.message);
+      console.error(`  [${done}/${urls.length}] ✗ ${url} — ${err.message}`);
+    }
+
+    await importNext();
+  };
+
+  const workers = Math.min(concurrency, urls.length);
+  await Promise.all(Array.from({ length: workers }, importNext));
 }
 
 async function processBatch(urls, templateName, batchLabel) {
@@ -896,29 +240,110 @@ async function processBatch(urls, templateName, batchLabel) {
   console.log(`URLs: ${urls.length} | Offset: ${offset} | Limit: ${limit}`);
   console.log(`${'='.repeat(60)}`);
 
-  // Apply offset and limit
-  const filteredUrls = urls.slice(offset, offset + limit);
-  results.total += filteredUrls.length;
+  results.total += urls.length;
+  await processUrls(urls, templateName, batchLabel);
+}
 
-  for (let i = 0; i < filteredUrls.length; i++) {
-    const url = filteredUrls[i];
-    const progress = `[${i + 1}/${filteredUrls.length}]`;
+/**
+ * Work out every URL of a --batch run and journal them all before the first
+ * import, so a --resume after a crash also runs the batches not yet started
+ * @param {Array<[string, object]>} batches - [name, catalog batch] pairs
+ * @returns {Array<{name: string, template: string, urls: string[]}>} URLs
+ *   to import per batch, already migrated ones left out and --offset and
+ *   --limit applied
+ */
+function planBatches(batches, alreadyMigrated) {
+  const plan = batches.map(([name, batch]) => ({
+    name,
+    template: batch.template,
+    skipped: batch.urls.filter((u) => alreadyMigrated.has(u)),
+    urls: batch.urls.filter((u) => !alreadyMigrated.has(u)).slice(offset, offset + limit),
+  }));
+
+  journal.enqueueAll(plan.flatMap(({
+    name, template, skipped, urls,
+  }) => [
+    ...skipped.map((url) => ({
+      url, batch: name, template, status: STATUS.SKIPPED, error: 'Already migrated',
+    })),
+    ...urls.map((url) => ({ url, batch: name, template })),
+  ]));
+  plan.forEach(({ skipped }) => { results.skipped += skipped.length; });
+  return plan;
+}
 
-    try {
-      const result = await importPage(url, templateName);
-      results.success++;
-      console.log(`  ${progress} ✓ ${url} → ${result.path} (${result.chars} chars)`);
-    } catch (err) {
-      results.failed++;
-      results.errors.push({ url, error: err.message });
-      console.error(`  ${progress} ✗ ${url} — ${err.message}`);
-    }
+/**
+ * Run a list of { url, template, batch } jobs, grouped by batch so the
+ * output reads the same as a normal batch run
+ */
+async function processJobs(jobs, label) {
+  const groups = new Map();
+  jobs.forEach((job) => {
+    const key = `${job.batch}\u0000${job.template}`;
+    if (!groups.has(key)) groups.set(key, { ...job, urls: [] });
+    groups.get(key).urls.push(job.url);
+  });
 
-    // Rate limiting delay
-    if (i < filteredUrls.length - 1) {
-      await sleep(DELAY_MS);
-    }
+  results.total += jobs.length;
+  await [...groups.values()].reduce((previous, { batch, template, urls }) => previous.then(() => {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`${label}: ${batch} (${template})`);
+    console.log(`URLs: ${urls.length}`);
+    console.log(`${'='.repeat(60)}`);
+    return processUrls(urls, template, batch);
+  }), Promise.resolve());
+}
+
+function findTemplateInCatalog(catalog, url) {
+  const [name, batch] = Object.entries(catalog.batches)
+    .find(([, entry]) => entry.urls.includes(url)) || [];
+  return name ? { batch: name, template: batch.template } : null;
+}
+
+/**
+ * Add a page to the manual review list, replacing any earlier entry for it
+ */
+function addToReview(entry) {
+  const review = fs.existsSync(REVIEW_PATH) ? JSON.parse(fs.readFileSync(REVIEW_PATH, 'utf8')) : [];
+  const updated = [...review.filter((e) => e.url !== entry.url), entry];
+  fs.writeFileSync(REVIEW_PATH, JSON.stringify(updated, null, 2));
+}
+
+/**
+ * Work out the template for a URL that is not in the catalog
+ * @returns {Promise<string|null>} Template name, or null if it needs review
+ */
+async function classifyUrl(url) {
+  const html = await fetchPage(url);
+  prefetched.set(url, html);
+  const { document } = new JSDOM(html, { url }).window;
+  const classification = await classifyDocument(document, url, { minConfidence });
+
+  console.log(`Classified ${url}:`);
+  classification.candidates.slice(0, 3).forEach((c) => {
+    console.log(`  ${c.template.padEnd(20)} ${c.confidence.toFixed(2)} (url ${c.urlMatch ? 'match' : 'no match'}, ${c.matchedSelectors}/${c.totalSelectors} selectors)`);
+  });
+
+  if (classification.accepted) return classification.template;
+
+  prefetched.delete(url);
+  if (!dryRun) {
+    addToReview({
+      url,
+      reason: `Best match ${classification.template} at ${classification.confidence} is below ${minConfidence}`,
+      candidates: classification.candidates.slice(0, 3),
+      timestamp: new Date().toISOString(),
+    });
   }
+  return null;
+}
+
+function saveResults() {
+  fs.writeFileSync(RESULTS_PATH, JSON.stringify({
+    timestamp: new Date().toISOString(),
+    ...results,
+    fetch: scheduler.stats(),
+  }, null, 2));
 }
 
 // ============================================================
@@ -928,44 +353,128 @@ async function processBatch(urls, templateName, batchLabel) {
 async function main() {
   console.log('Zelis Bulk Import Script');
   console.log(`Mode: ${dryRun ? 'DRY RUN' : 'LIVE'}`);
+  console.log(`Concurrency: ${concurrency} | Delay: ${delayMs}ms per host | Retries: ${maxRetries}`);
+  if (cacheDir) {
+    htmlCache = createHtmlCache(cacheDir, { offline, fetchPage: scheduler.fetch });
+    console.log(`HTML cache: ${cacheDir}${offline ? ' (offline)' : ''}`);
+  }
   console.log('');
 
+  // Load parsers
+  const registry = await loadParserRegistry({ genericOnly });
+  TEMPLATE_PARSERS = registry.parsers;
+  if (verbose) {
+    console.log(`Parsers: ${Object.keys(TEMPLATE_PARSERS).sort().join(', ')}`);
+    if (registry.generic.length) console.log(`Interpreted from template JSON: ${registry.generic.join(', ')}`);
+  }
+
   // Load catalog
   const catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
   const alreadyMigrated = new Set(catalog.alreadyMigrated || []);
 
-  if (singleUrl) {
-    // Single URL mode - detect template from URL
-    let templateName = 'blog-article'; // default
-    for (const [, batch] of Object.entries(catalog.batches)) {
-      if (batch.urls.includes(singleUrl)) {
-        templateName = batch.template;
-        break;
-      }
+  // Retrying failures updates the existing journal if there is one. A single
+  // --url run gets a journal of its own so it can't replace a batch run's.
+  if (singleUrl && !resume && !retryFailed) {
+    journal = createJournal(SINGLE_JOURNAL_PATH, { restart: true, persist: !dryRun });
+  } else {
+    const continueJournal = resume || (retryFailed && !!readJournal(JOURNAL_PATH));
+    try {
+      journal = createJournal(JOURNAL_PATH, { resume: continueJournal, restart, persist: !dryRun });
+    } catch (err) {
+      console.error(err.message);
+      process.exit(1);
     }
-    console.log(`Single URL mode: ${singleUrl} (template: ${templateName})`);
-    await processBatch([singleUrl], templateName, 'single');
-  } else if (batchName === 'all') {
-    // Import all batches
-    for (const [name, batch] of Object.entries(catalog.batches)) {
-      const urls = batch.urls.filter((u) => !alreadyMigrated.has(u));
-      await processBatch(urls, batch.template, name);
+  }
+  assetStore = createAssetStore(MEDIA_DIR, {
+    publicPath: '/content/media',
+    fetchBinary: (assetUrl) => scheduler.fetch(assetUrl, { binary: true }),
+    persist: !dryRun,
+    offline,
+  });
+
+  process.on('SIGINT', () => {
+    console.log('\nInterrupted. Progress is saved in the run journal.');
+    console.log('Run with --resume to continue where this run stopped.');
+    if (!dryRun) saveResults();
+    process.exit(130);
+  });
+
+  if (resume) {
+    // Carry the previous run's outcomes forward so the summary and
+    // results.errors cover the whole run, not just the resumed part
+    const counts = journal.summary();
+    results.total = counts.succeeded + counts.failed;
+    results.success = counts.succeeded;
+    results.failed = counts.failed;
+    results.skipped = counts.skipped;
+    results.errors = journal.withStatus(STATUS.FAILED)
+      .map(({
+        url, template, batch, error,
+      }) => ({
+        url, template, batch, error,
+      }));
+
+    const pending = journal.withStatus(STATUS.PENDING);
+    console.log(`Resuming run started ${readJournal(JOURNAL_PATH)?.startedAt || 'earlier'}`);
+    console.log(`Already done: ${counts.succeeded} succeeded, ${counts.failed} failed, ${counts.skipped} skipped`);
+    console.log(`Remaining: ${pending.length} pending`);
+    await processJobs(pending, 'Resume');
+  } else if (retryFailed) {
+    if (!fs.existsSync(RESULTS_PATH)) {
+      console.error(`No previous results at ${RESULTS_PATH}`);
+      process.exit(1);
+    }
+    const previous = JSON.parse(fs.readFileSync(RESULTS_PATH, 'utf8'));
+    const jobs = (previous.errors || []).map(({ url, template, batch }) => {
+      const known = template
+        ? { template, batch: batch || 'retry' }
+        : journal.get(url) || findTemplateInCatalog(catalog, url);
+      return {
+        url,
+        template: known?.template || 'blog-article',
+        batch: known?.batch || 'retry',
+      };
+    });
+    console.log(`Retrying ${jobs.length} failed URLs from ${previous.timestamp || RESULTS_PATH}`);
+    await processJobs(jobs, 'Retry');
+  } else if (singleUrl) {
+    // Single URL mode - template from --template, the catalog, or classification
+    const templateName = forcedTemplate
+      || findTemplateInCatalog(catalog, singleUrl)?.template
+      || await classifyUrl(singleUrl);
+    if (templateName) {
+      console.log(`Single URL mode: ${singleUrl} (template: ${templateName})`);
+      await processBatch([singleUrl], templateName, 'single');
+    } else {
+      results.total += 1;
+      results.skipped += 1;
+      journal.enqueue(singleUrl, 'single', '');
+      journal.mark(singleUrl, STATUS.SKIPPED, 'Low-confidence classification');
+      console.log(`Not imported: confidence below ${minConfidence}. Added to ${REVIEW_PATH}`);
+      console.log('Import it anyway with --template <name>');
     }
   } else if (batchName) {
-    const batch = catalog.batches[batchName];
-    if (!batch) {
+    if (batchName !== 'all' && !catalog.batches[batchName]) {
       console.error(`Unknown batch: ${batchName}`);
       console.error(`Available batches: ${Object.keys(catalog.batches).join(', ')}`);
       process.exit(1);
     }
-    const urls = batch.urls.filter((u) => !alreadyMigrated.has(u));
-    await processBatch(urls, batch.template, batchName);
+    const plan = planBatches(batchName === 'all'
+      ? Object.entries(catalog.batches)
+      : [[batchName, catalog.batches[batchName]]], alreadyMigrated);
+    await plan.reduce((previous, { name, template, urls }) => previous
+      .then(() => processBatch(urls, template, name)), Promise.resolve());
   } else {
     console.log('Usage:');
     console.log('  node bulk-import.js --batch <batch-name>    Import a batch');
     console.log('  node bulk-import.js --batch all             Import all batches');
     console.log('  node bulk-import.js --url <url>             Import single URL');
+    console.log('  node bulk-import.js --url <url> --template <name>  Import single URL as template');
     console.log('  node bulk-import.js --dry-run --batch <n>   Preview without saving');
+    console.log('  node bulk-import.js --resume                Continue the last interrupted run');
+    console.log('  node bulk-import.js --batch <n> --restart   Start over, discarding an unfinished run');
+    console.log('  node bulk-import.js --retry-failed          Re-run the last run\'s failures');
+    console.log('  node bulk-import.js --generic ...           Use template JSON instead of parser modules');
     console.log('');
     console.log('Available batches:');
     Object.entries(catalog.batches).forEach(([name, batch]) => {
@@ -982,21 +491,39 @@ async function main() {
   console.log(`Success: ${results.success}`);
   console.log(`Failed:  ${results.failed}`);
   console.log(`Skipped: ${results.skipped}`);
+  if (!skipAssets && !dryRun) {
+    const offlineNote = offline ? `, ${results.assets.skipped} not in the manifest (offline)` : '';
+    console.log(`Assets:  ${results.assets.downloaded} downloaded, ${results.assets.reused} reused, ${results.assets.failed.length} failed${offlineNote}`);
+  }
+  if (htmlCache) {
+    console.log(`Cache:   ${htmlCache.stats.hits} read from cache, ${htmlCache.stats.stored} stored`);
+  }
+  const fetchStats = scheduler.stats();
+  if (fetchStats.requests) {
+    const reasons = Object.entries(fetchStats.retryReasons).map(([reason, n]) => `${reason}×${n}`).join(', ');
+    const { latencyMs } = fetchStats;
+    console.log(`Fetches: ${fetchStats.requests} requests, ${fetchStats.retries} retries${reasons ? ` (${reasons})` : ''}, ${fetchStats.failed} failed`);
+    console.log(`Latency: avg ${latencyMs.avg}ms, p50 ${latencyMs.p50}ms, p95 ${latencyMs.p95}ms, max ${latencyMs.max}ms`);
+    if (fetchStats.slowdowns) {
+      const slowed = Object.entries(fetchStats.hostDelayMs).map(([host, ms]) => `${host} ${ms}ms`).join(', ');
+      console.log(`Pacing:  slowed down ${fetchStats.slowdowns}× after 429/503${slowed ? `; gap now ${slowed}` : ''}`);
+    }
+  }
 
   if (results.errors.length > 0) {
-    console.log(`\nFailed URLs:`);
+    console.log('\nFailed URLs:');
     results.errors.forEach(({ url, error }) => {
       console.log(`  ${url} — ${error}`);
     });
+    console.log('\nRe-run only these with --retry-failed');
   }
 
   // Save results
-  const resultsPath = path.join(__dirname, 'import-results.json');
-  fs.writeFileSync(resultsPath, JSON.stringify({
-    timestamp: new Date().toISOString(),
-    ...results,
-  }, null, 2));
-  console.log(`\nResults saved to: ${resultsPath}`);
+  if (!dryRun) {
+    saveResults();
+    console.log(`\nResults saved to: ${RESULTS_PATH}`);
+    console.log(`Run journal: ${journal.path}`);
+  }
 }
 
 main().catch((err) => {
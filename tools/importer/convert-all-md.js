@@ -3,29 +3,43 @@
 /**
  * Batch Markdown-to-HTML Converter
  *
- * Finds all .md files in the content directory that don't have corresponding
- * .html and .plain.html files, and converts them using the aem pipeline.
+ * Finds the .md files in the content directory that changed since they were
+ * last converted (or lack their .html / .plain.html), and converts them the
+ * way the Edge Delivery
+ * pipeline does (see transformers/eds-html-transformer.js): GFM and grid
+ * tables parsed to an AST, `---` section breaks as section divs, tables as
+ * blocks, and the Metadata block as <meta> tags in the page <head>.
  *
- * Uses the local aem up server's conversion endpoint for pipeline-accurate HTML.
- * Falls back to a simple markdown-to-HTML conversion if the server is unavailable.
+ *   .plain.html  The sections, as served for fragments and block loading
+ *   .html        The full page: head scripts, page metadata, sections in <main>
+ *
+ * Changes are detected by content hash, recorded in the shared build manifest
+ * (lib/build-manifest.js). Editing this script or the transformer makes every
+ * file stale.
  *
  * Usage:
- *   node convert-all-md.js              # Convert all missing HTML files
+ *   node convert-all-md.js              # Convert changed and missing files
  *   node convert-all-md.js --force      # Reconvert all files
  *   node convert-all-md.js --dry-run    # Show what would be converted
+ *   node convert-all-md.js --watch      # Keep converting as content/ changes
  */
 
 const fs = require('fs');
 const path = require('path');
-const http = require('http');
+const { pathToFileURL } = require('url');
+const {
+  hashContent, hashFiles, loadBuildManifest, watchBuild,
+} = require('./lib/build-manifest.js');
 
 const CONTENT_DIR = path.join(__dirname, '../../content');
+const TRANSFORMER_PATH = path.join(__dirname, 'transformers/eds-html-transformer.js');
 const args = process.argv.slice(2);
 const force = args.includes('--force');
 const dryRun = args.includes('--dry-run');
+const watch = args.includes('--watch');
 
 /**
- * Find all .md files that need conversion
+ * Find all .md files
  */
 function findMdFiles(dir) {
   const files = [];
@@ -37,202 +51,27 @@ function findMdFiles(dir) {
       files.push(...findMdFiles(fullPath));
     } else if (entry.name.endsWith('.md')) {
       const base = fullPath.slice(0, -3); // Remove .md
-      const htmlExists = fs.existsSync(`${base}.html`);
-      const plainExists = fs.existsSync(`${base}.plain.html`);
-
-      if (force || !htmlExists || !plainExists) {
-        files.push({
-          mdPath: fullPath,
-          htmlPath: `${base}.html`,
-          plainHtmlPath: `${base}.plain.html`,
-          relativePath: path.relative(CONTENT_DIR, fullPath),
-          needsHtml: force || !htmlExists,
-          needsPlainHtml: force || !plainExists,
-        });
-      }
-    }
-  }
-
-  return files;
-}
-
-/**
- * Simple markdown table to HTML block conversion for EDS
- */
-function convertMarkdownToHtml(markdown) {
-  const lines = markdown.split('\n');
-  const htmlLines = [];
-  let inTable = false;
-  let tableHeader = '';
-  let tableRows = [];
-
-  function flushTable() {
-    if (!inTable) return;
-    // Determine block name from header
-    const headerMatch = tableHeader.match(/\|\s*([^|]+?)\s*\|/);
-    const blockName = headerMatch ? headerMatch[1].trim() : '';
-
-    if (blockName === 'Metadata' || blockName === 'Section Metadata') {
-      // Metadata tables
-      htmlLines.push(`<div class="${blockName.toLowerCase().replace(/\s+/g, '-')}">`);
-      htmlLines.push('  <div>');
-      tableRows.forEach((row) => {
-        const cells = row.split('|').filter((c) => c.trim()).map((c) => c.trim());
-        if (cells.length >= 2 && !cells[0].startsWith('---')) {
-          htmlLines.push(`    <div>`);
-          htmlLines.push(`      <div>${cells[0]}</div>`);
-          htmlLines.push(`      <div>${cells.slice(1).join(' ').trim()}</div>`);
-          htmlLines.push(`    </div>`);
-        }
+      files.push({
+        mdPath: fullPath,
+        htmlPath: `${base}.html`,
+        plainHtmlPath: `${base}.plain.html`,
+        relativePath: path.relative(CONTENT_DIR, fullPath).split(path.sep).join('/'),
       });
-      htmlLines.push('  </div>');
-      htmlLines.push('</div>');
-    } else if (blockName) {
-      // Block tables
-      const className = blockName.toLowerCase().replace(/\s+/g, '-');
-      htmlLines.push(`<div class="${className}">`);
-      tableRows.forEach((row) => {
-        const cells = row.split('|').filter((c) => c.trim()).map((c) => c.trim());
-        if (cells.length > 0 && !cells[0].startsWith('---')) {
-          htmlLines.push('  <div>');
-          cells.forEach((cell) => {
-            htmlLines.push(`    <div>${convertInlineMarkdown(cell)}</div>`);
-          });
-          htmlLines.push('  </div>');
-        }
-      });
-      htmlLines.push('</div>');
-    }
-
-    inTable = false;
-    tableHeader = '';
-    tableRows = [];
-  }
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-
-    // Table detection
-    if (line.startsWith('|') && !inTable) {
-      // Start of table - check if next line is separator
-      if (i + 1 < lines.length && lines[i + 1].match(/^\|[\s-|]+\|/)) {
-        inTable = true;
-        tableHeader = line;
-        tableRows = [];
-        i++; // Skip separator line
-        continue;
-      }
-    }
-
-    if (inTable) {
-      if (line.startsWith('|')) {
-        tableRows.push(line);
-        continue;
-      } else {
-        flushTable();
-      }
-    }
-
-    // Section dividers
-    if (line === '---') {
-      flushTable();
-      htmlLines.push('<hr>');
-      continue;
-    }
-
-    // Headings
-    const headingMatch = line.match(/^(#{1,6})\s+(.+)$/);
-    if (headingMatch) {
-      const level = headingMatch[1].length;
-      htmlLines.push(`<h${level}>${convertInlineMarkdown(headingMatch[2])}</h${level}>`);
-      continue;
-    }
-
-    // Images
-    const imgMatch = line.match(/^!\[([^\]]*)\]\(([^)]+)\)$/);
-    if (imgMatch) {
-      htmlLines.push(`<p><picture><img src="${imgMatch[2]}" alt="${imgMatch[1]}"></picture></p>`);
-      continue;
-    }
-
-    // Links as standalone paragraph
-    const linkMatch = line.match(/^\[([^\]]+)\]\(([^)]+)\)$/);
-    if (linkMatch) {
-      htmlLines.push(`<p><a href="${linkMatch[2]}">${linkMatch[1]}</a></p>`);
-      continue;
-    }
-
-    // Bullet lists
-    if (line.match(/^[-*]\s+/)) {
-      if (!htmlLines[htmlLines.length - 1]?.startsWith('<ul>')) {
-        htmlLines.push('<ul>');
-      }
-      htmlLines.push(`  <li>${convertInlineMarkdown(line.replace(/^[-*]\s+/, ''))}</li>`);
-      if (i + 1 >= lines.length || !lines[i + 1].match(/^[-*]\s+/)) {
-        htmlLines.push('</ul>');
-      }
-      continue;
-    }
-
-    // Numbered lists
-    if (line.match(/^\d+\.\s+/)) {
-      if (!htmlLines[htmlLines.length - 1]?.startsWith('<ol>') && !htmlLines[htmlLines.length - 1]?.includes('</li>')) {
-        htmlLines.push('<ol>');
-      }
-      htmlLines.push(`  <li>${convertInlineMarkdown(line.replace(/^\d+\.\s+/, ''))}</li>`);
-      if (i + 1 >= lines.length || !lines[i + 1].match(/^\d+\.\s+/)) {
-        htmlLines.push('</ol>');
-      }
-      continue;
-    }
-
-    // Blockquotes
-    if (line.startsWith('> ')) {
-      htmlLines.push(`<blockquote><p>${convertInlineMarkdown(line.slice(2))}</p></blockquote>`);
-      continue;
-    }
-
-    // Non-empty paragraphs
-    if (line.trim()) {
-      htmlLines.push(`<p>${convertInlineMarkdown(line)}</p>`);
     }
   }
 
-  flushTable();
-
-  // Wrap in sections (split on <hr>)
-  const html = htmlLines.join('\n');
-  const sections = html.split('<hr>').map((section) => section.trim()).filter(Boolean);
-  const wrapped = sections.map((section) => `  <div>\n${section.split('\n').map((l) => `    ${l}`).join('\n')}\n  </div>`).join('\n');
-
-  return `<main>\n${wrapped}\n</main>`;
-}
-
-function convertInlineMarkdown(text) {
-  return text
-    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-    .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-    .replace(/!\[([^\]]*)\]\(([^)]+)\)/g, '<picture><img src="$2" alt="$1"></picture>')
-    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
-}
-
-/**
- * Generate .plain.html wrapper
- */
-function wrapPlainHtml(mainContent) {
-  // plain.html is the inner main content only
-  return mainContent;
+  return files;
 }
 
 /**
  * Generate full .html with page structure matching aem up output.
  * Includes head.html content so blocks get decorated.
  */
-function wrapFullHtml(mainContent, title) {
+function wrapFullHtml(mainContent, headHtml) {
   return `<!DOCTYPE html>
 <html>
 <head>
-<title>${title || ''}</title>
+${headHtml}
 <meta name="viewport" content="width=device-width, initial-scale=1"/>
 <script src="/scripts/aem.js" type="module"></script>
 <script src="/scripts/scripts.js" type="module"></script>
@@ -250,58 +89,101 @@ ${mainContent}
 </html>`;
 }
 
-async function main() {
-  console.log('Batch Markdown-to-HTML Converter');
-  console.log(`Mode: ${dryRun ? 'DRY RUN' : force ? 'FORCE' : 'INCREMENTAL'}`);
-  console.log('');
-
+/**
+ * Convert the files that need it
+ * @param {object} section - Build manifest section for this converter
+ * @param {boolean} reconvertAll - Ignore the manifest (--force)
+ * @returns {Promise<{checked: number, success: number, failed: number}>}
+ */
+async function convertChanged(section, reconvertAll) {
   const files = findMdFiles(CONTENT_DIR);
-  console.log(`Found ${files.length} markdown files needing conversion`);
+  const pending = [];
+  files.forEach((file) => {
+    const markdown = fs.readFileSync(file.mdPath, 'utf8');
+    const hash = hashContent(markdown);
+    const unchanged = !reconvertAll && section.fresh(file.relativePath, hash);
+    const needsHtml = !unchanged || !fs.existsSync(file.htmlPath);
+    const needsPlainHtml = !unchanged || !fs.existsSync(file.plainHtmlPath);
+    if (needsHtml || needsPlainHtml) {
+      pending.push({
+        ...file, markdown, hash, needsHtml, needsPlainHtml,
+      });
+    }
+  });
+  const removed = section.prune(files.map((file) => file.relativePath));
+
+  console.log(`Found ${pending.length} of ${files.length} markdown files needing conversion`);
+  if (removed.length) console.log(`  Dropped ${removed.length} deleted files from the manifest`);
 
   if (dryRun) {
-    files.forEach((f) => console.log(`  Would convert: ${f.relativePath}`));
-    return;
+    pending.forEach((f) => console.log(`  Would convert: ${f.relativePath}`));
+    return { checked: files.length, success: 0, failed: 0 };
   }
 
+  const { markdownToEdsHtml } = await import(pathToFileURL(TRANSFORMER_PATH).href);
+
   let success = 0;
   let failed = 0;
 
-  for (let i = 0; i < files.length; i++) {
-    const file = files[i];
+  pending.forEach((file, i) => {
     try {
-      const markdown = fs.readFileSync(file.mdPath, 'utf8');
-      const html = convertMarkdownToHtml(markdown);
-
-      // Extract title from first H1
-      const titleMatch = markdown.match(/^#\s+(.+)$/m);
-      const title = titleMatch ? titleMatch[1] : '';
-
-      // Extract main content (between <main> and </main>)
-      const mainMatch = html.match(/<main>([\s\S]*)<\/main>/);
-      const mainContent = mainMatch ? mainMatch[1].trim() : html;
+      const { plainHtml, headHtml } = markdownToEdsHtml(file.markdown);
 
-      // Save .plain.html (just the inner main content)
+      // Save .plain.html (just the sections)
       if (file.needsPlainHtml) {
-        fs.writeFileSync(file.plainHtmlPath, mainContent, 'utf8');
+        fs.writeFileSync(file.plainHtmlPath, plainHtml, 'utf8');
       }
 
       // Save .html (full page with head scripts for block decoration)
       if (file.needsHtml) {
-        const fullHtml = wrapFullHtml(mainContent, title);
+        const fullHtml = wrapFullHtml(plainHtml, headHtml);
         fs.writeFileSync(file.htmlPath, fullHtml, 'utf8');
       }
 
-      success++;
-      if ((i + 1) % 50 === 0 || i === files.length - 1) {
-        console.log(`  [${i + 1}/${files.length}] Converted ${success} files...`);
+      section.set(file.relativePath, { hash: file.hash });
+      success += 1;
+      if ((i + 1) % 50 === 0 || i === pending.length - 1) {
+        console.log(`  [${i + 1}/${pending.length}] Converted ${success} files...`);
       }
     } catch (err) {
-      failed++;
+      failed += 1;
       console.error(`  ✗ ${file.relativePath}: ${err.message}`);
     }
+  });
+
+  section.save();
+  return { checked: files.length, success, failed };
+}
+
+async function main() {
+  let mode = 'INCREMENTAL';
+  if (dryRun) {
+    mode = 'DRY RUN';
+  } else if (force) {
+    mode = 'FORCE';
   }
+  console.log('Batch Markdown-to-HTML Converter');
+  console.log(`Mode: ${mode}${watch ? ' (watch)' : ''}`);
+  console.log('');
 
-  console.log(`\nConversion complete: ${success} success, ${failed} failed`);
+  const manifest = loadBuildManifest(CONTENT_DIR);
+  const version = hashFiles([__filename, TRANSFORMER_PATH]);
+
+  // --force applies to the first build only; watch rebuilds are incremental
+  let reconvertAll = force;
+  const build = async () => {
+    const started = Date.now();
+    const section = manifest.section('convert', version);
+    const { success, failed } = await convertChanged(section, reconvertAll);
+    reconvertAll = false;
+    console.log(`\nConversion complete: ${success} success, ${failed} failed (${Date.now() - started}ms)`);
+  };
+
+  if (watch && !dryRun) {
+    watchBuild(CONTENT_DIR, (file) => file.endsWith('.md'), build);
+    return;
+  }
+  await build();
 }
 
 main().catch(console.error);
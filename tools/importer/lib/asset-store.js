@@ -0,0 +1,157 @@
+/**
+ * Asset Store
+ *
+ * Downloads the images referenced by imported markdown into a media folder
+ * next to the content, and rewrites the references to the local copies so
+ * pages keep working once the WordPress site is gone.
+ *
+ * - Files are named by content hash (media_<sha256 prefix>.<ext>), so the
+ *   same image served from several URLs is stored once
+ * - manifest.json maps every original URL to its local file; URLs already in
+ *   the manifest (with the file still on disk) are not downloaded again
+ * - A download failure leaves the original URL in place and is reported
+ * - Offline, only the manifest is used: images it lists are rewritten, the
+ *   rest keep their original URL and are counted as skipped
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/svg+xml': '.svg',
+};
+
+// Markdown image references and the page metadata image row
+const IMAGE_REF = /!\[([^\]]*)\]\((https?:\/\/[^)\s]+)\)/g;
+const METADATA_IMAGE = /^(\| image \| )(https?:\/\/\S+)( \|)$/gm;
+
+function extensionFor(url, contentType) {
+  const fromType = CONTENT_TYPE_EXTENSIONS[(contentType || '').split(';')[0].trim()];
+  if (fromType) return fromType;
+  const ext = path.extname(new URL(url).pathname).toLowerCase();
+  return /^\.[a-z0-9]{2,5}$/.test(ext) ? ext : '.bin';
+}
+
+/**
+ * Create an asset store for a media folder
+ * @param {string} mediaDir - Folder the files are written to
+ * @param {object} options
+ * @param {string} options.publicPath - Site path the folder is served from
+ * @param {Function} options.fetchBinary - (url) => Promise<{body: Buffer, contentType}>
+ * @param {boolean} [options.persist] - Write files and manifest (off for dry runs)
+ * @param {boolean} [options.offline] - Never download; reuse the manifest only
+ * @returns {object} Asset store API
+ */
+function createAssetStore(mediaDir, {
+  publicPath, fetchBinary, persist = true, offline = false,
+}) {
+  const manifestPath = path.join(mediaDir, 'manifest.json');
+  const manifest = fs.existsSync(manifestPath)
+    ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    : {};
+
+  const byHash = new Map(Object.values(manifest).map((entry) => [entry.hash, entry]));
+  const inFlight = new Map();
+
+  const isStored = (entry) => entry && fs.existsSync(path.join(mediaDir, entry.file));
+
+  async function download(url) {
+    const { body, contentType } = await fetchBinary(url);
+    const hash = crypto.createHash('sha256').update(body).digest('hex');
+
+    const existing = byHash.get(hash);
+    const file = existing?.file || `media_${hash.slice(0, 16)}${extensionFor(url, contentType)}`;
+    if (persist && !isStored({ file })) {
+      fs.mkdirSync(mediaDir, { recursive: true });
+      fs.writeFileSync(path.join(mediaDir, file), body);
+    }
+
+    const entry = {
+      file,
+      path: `${publicPath}/${file}`,
+      hash,
+      bytes: body.length,
+      contentType: contentType || '',
+      downloadedAt: new Date().toISOString(),
+    };
+    manifest[url] = entry;
+    byHash.set(hash, entry);
+    return entry;
+  }
+
+  /**
+   * Local entry for a URL, downloading it unless the manifest already has it
+   * @returns {Promise<{entry: object|null, reused: boolean}>} No entry when
+   *   offline and the URL isn't in the manifest
+   */
+  async function resolve(url) {
+    if (isStored(manifest[url])) return { entry: manifest[url], reused: true };
+    if (offline) return { entry: null, reused: false };
+    if (!inFlight.has(url)) {
+      inFlight.set(url, download(url).finally(() => inFlight.delete(url)));
+    }
+    return { entry: await inFlight.get(url), reused: false };
+  }
+
+  function saveManifest() {
+    if (!persist) return;
+    fs.mkdirSync(mediaDir, { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+  }
+
+  /**
+   * Download every image referenced by the markdown and point the
+   * references at the local copies
+   * @param {string} markdown
+   * @returns {Promise<{markdown: string, downloaded: number, reused: number,
+   *   skipped: number, failed: Array<{url: string, error: string}>}>}
+   */
+  async function localize(markdown) {
+    const urls = new Set([
+      ...[...markdown.matchAll(IMAGE_REF)].map((m) => m[2]),
+      ...[...markdown.matchAll(METADATA_IMAGE)].map((m) => m[2]),
+    ]);
+
+    const local = new Map();
+    const stats = {
+      downloaded: 0, reused: 0, skipped: 0, failed: [],
+    };
+    await Promise.all([...urls].map(async (url) => {
+      try {
+        const { entry, reused } = await resolve(url);
+        if (!entry) {
+          stats.skipped += 1;
+          return;
+        }
+        local.set(url, entry.path);
+        if (reused) stats.reused += 1;
+        else stats.downloaded += 1;
+      } catch (err) {
+        stats.failed.push({ url, error: err.message });
+      }
+    }));
+    saveManifest();
+
+    const rewritten = markdown
+      .replace(IMAGE_REF, (match, alt, url) => (local.has(url) ? `![${alt}](${local.get(url)})` : match))
+      .replace(METADATA_IMAGE, (match, before, url, after) => (local.has(url)
+        ? `${before}${local.get(url)}${after}`
+        : match));
+
+    return { markdown: rewritten, ...stats };
+  }
+
+  return {
+    manifestPath,
+    localize,
+    saveManifest,
+  };
+}
+
+module.exports = { createAssetStore };
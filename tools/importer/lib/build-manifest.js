@@ -0,0 +1,161 @@
+/**
+ * Build Manifest
+ *
+ * Shared state for the incremental local builds (convert-all-md.js and
+ * build-query-index.js), kept in content/.build-manifest.json:
+ *
+ *   {
+ *     "convert": { "version": "<hash>", "entries": { "blog/post.md": { "hash": … } } },
+ *     "index":   { "version": "<hash>", "entries": { "blog/post.html": { "hash": …, … } } }
+ *   }
+ *
+ * Each build owns one section and records the content hash of every input it
+ * processed, so the next run only redoes inputs whose hash changed. A section
+ * also stores a version (a hash of the build's own code); when the code
+ * changes, every entry in the section is stale.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = '.build-manifest.json';
+
+/**
+ * SHA-1 hex digest of a string or buffer
+ * @param {string|Buffer} content
+ * @returns {string}
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * Hash of a set of source files, used as a section version
+ * @param {string[]} files - Absolute paths
+ * @returns {string}
+ */
+function hashFiles(files) {
+  return hashContent(files.map((file) => fs.readFileSync(file, 'utf8')).join('\0'));
+}
+
+/**
+ * Load the manifest of a content directory
+ * @param {string} contentDir
+ * @returns {object} Manifest API
+ */
+function loadBuildManifest(contentDir) {
+  const manifestPath = path.join(contentDir, MANIFEST_FILE);
+
+  const read = () => {
+    try {
+      return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (err) {
+      return {};
+    }
+  };
+
+  return {
+    manifestPath,
+
+    /**
+     * One build's section. Re-reads the file so builds running side by side
+     * (e.g. both in --watch mode) don't drop each other's sections on save.
+     * @param {string} name - e.g. 'convert', 'index'
+     * @param {string} version - From hashFiles() over the build's code
+     * @returns {object} Section API
+     */
+    section(name, version) {
+      const stored = read()[name];
+      const entries = stored?.version === version ? { ...stored.entries } : {};
+
+      return {
+        /** Entry for an input if its hash is unchanged, else null */
+        fresh(key, hash) {
+          return entries[key]?.hash === hash ? entries[key] : null;
+        },
+
+        set(key, entry) {
+          entries[key] = entry;
+        },
+
+        /** Drop entries whose input is gone; returns the dropped keys */
+        prune(keys) {
+          const keep = new Set(keys);
+          const removed = Object.keys(entries).filter((key) => !keep.has(key));
+          removed.forEach((key) => delete entries[key]);
+          return removed;
+        },
+
+        save() {
+          const manifest = read();
+          manifest[name] = { version, entries };
+          fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf8');
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Run a build whenever files in a directory change, debounced. The build
+ * itself runs once up front; changes during a build queue one more run.
+ * @param {string} dir - Watched recursively
+ * @param {Function} filter - (relativePath) => boolean, which changes count
+ * @param {Function} build - async () => void
+ * @param {object} [options]
+ * @param {string[]} [options.files] - Files outside `dir` that also trigger a
+ *   build, e.g. the build's config
+ * @param {number} [options.debounceMs]
+ * @returns {fs.FSWatcher[]}
+ */
+function watchBuild(dir, filter, build, { files = [], debounceMs = 300 } = {}) {
+  let timer = null;
+  let running = false;
+  let pending = false;
+
+  const run = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      await build();
+    } catch (err) {
+      console.error(`Build failed: ${err.message}`);
+    }
+    running = false;
+    if (pending) {
+      pending = false;
+      run();
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(run, debounceMs);
+  };
+
+  const watchers = [fs.watch(dir, { recursive: true }, (event, filename) => {
+    if (filename && filter(filename.split(path.sep).join('/'))) schedule();
+  })];
+  // Editors often save by replacing the file, so watch its folder for the name
+  files.forEach((file) => {
+    watchers.push(fs.watch(path.dirname(file), (event, filename) => {
+      if (filename === path.basename(file)) schedule();
+    }));
+  });
+
+  console.log(`Watching ${[dir, ...files].join(', ')} for changes (Ctrl+C to stop)`);
+  run();
+  return watchers;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  hashContent,
+  hashFiles,
+  loadBuildManifest,
+  watchBuild,
+};
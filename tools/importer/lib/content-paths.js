@@ -0,0 +1,46 @@
+/**
+ * Content Paths
+ *
+ * Maps zelis.com URLs to the markdown files the importer writes and to the
+ * site paths those files are served from:
+ *
+ *   https://www.zelis.com/blog/some-post/  →  content/blog/some-post.md
+ *                                          →  /content/blog/some-post
+ */
+
+const path = require('path');
+
+const CONTENT_DIR = path.join(__dirname, '../../../content');
+
+/**
+ * Generate the content file path from a URL
+ * @param {string} url - Source page URL
+ * @param {string} [contentDir]
+ * @returns {{mdPath: string, dir: string, relativePath: string, sitePath: string}}
+ */
+function urlToContentPath(url, contentDir = CONTENT_DIR) {
+  const urlObj = new URL(url);
+  let pathname = urlObj.pathname.replace(/\/$/, '') || '/index';
+
+  // If pathname ends with nothing after last /, treat as index
+  if (pathname.endsWith('/')) {
+    pathname += 'index';
+  }
+
+  // Remove leading slash
+  pathname = pathname.replace(/^\//, '');
+
+  // Split into directory and filename
+  const parts = pathname.split('/');
+  const filename = parts.pop();
+  const dir = parts.join('/');
+
+  return {
+    mdPath: path.join(contentDir, dir, `${filename}.md`),
+    dir: path.join(contentDir, dir),
+    relativePath: `content/${dir}/${filename}.md`,
+    sitePath: `/content/${dir ? `${dir}/` : ''}${filename}`,
+  };
+}
+
+module.exports = { CONTENT_DIR, urlToContentPath };
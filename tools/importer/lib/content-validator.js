@@ -0,0 +1,226 @@
+/**
+ * Content Validator
+ *
+ * Compares a source page with the page the importer generated from it, to
+ * catch content the parsers dropped. Both sides are reduced to a summary:
+ *
+ *   words     Bag of words of the visible text
+ *   headings  Heading texts
+ *   images    Image count
+ *   links     Link count
+ *
+ * On the source side only the regions the page's template selects are
+ * summarized, so header, navigation and footer chrome don't count against
+ * the import. The imported side is the generated .plain.html or .md, without
+ * its Metadata and Section Metadata blocks.
+ *
+ * Each measure scores 0–1 (text and headings: share of the source kept;
+ * counts: smaller / larger) and the weighted sum is the page score.
+ */
+
+const { selectorsFor } = require('./template-classifier.js');
+
+const DEFAULT_THRESHOLD = 0.8;
+
+const WEIGHTS = {
+  text: 0.5,
+  headings: 0.2,
+  images: 0.15,
+  links: 0.15,
+};
+
+const HIDDEN_TAGS = 'script, style, noscript, template, svg, iframe';
+const METADATA_BLOCKS = /^(metadata|section metadata)$/i;
+
+const normalizeText = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Bag of lowercase words
+ * @param {string} text
+ * @returns {Map<string, number>}
+ */
+function wordBag(text) {
+  const bag = new Map();
+  normalizeText(text)
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(' ')
+    .filter(Boolean)
+    .forEach((word) => bag.set(word, (bag.get(word) || 0) + 1));
+  return bag;
+}
+
+// In-page anchors and script links aren't content links
+const isUsableLink = (href) => !!href && !/^(#|javascript:)/i.test(href);
+
+/**
+ * Text of an element with its text nodes joined by spaces, so words in
+ * adjacent elements (`<h1>About</h1><p>Who…`) aren't run together
+ */
+function spacedText(element) {
+  const walker = element.ownerDocument.createTreeWalker(element, 4); // NodeFilter.SHOW_TEXT
+  const parts = [];
+  while (walker.nextNode()) parts.push(walker.currentNode.nodeValue);
+  return parts.join(' ');
+}
+
+/**
+ * Outermost elements of a list (drops elements nested in another one)
+ */
+function outermost(elements) {
+  return elements.filter((el) => !elements.some((other) => other !== el && other.contains(el)));
+}
+
+/**
+ * Regions of a source page covered by its template. Falls back to <main>
+ * (or <body>) when none of the template's selectors match.
+ * @param {Document} document - Source page DOM
+ * @param {object|null} descriptor - Template descriptor
+ * @param {Function} normalizeSections - From transformers/template-transformer.js
+ * @returns {Element[]}
+ */
+function sourceRegions(document, descriptor, normalizeSections) {
+  const selectors = descriptor ? selectorsFor(descriptor, normalizeSections) : [];
+  const found = new Set();
+  selectors.forEach((selector) => {
+    try {
+      document.querySelectorAll(selector).forEach((el) => {
+        if (document.body.contains(el)) found.add(el);
+      });
+    } catch (err) {
+      // Selectors jsdom can't parse are skipped, as in the classifier
+    }
+  });
+
+  const regions = outermost([...found]);
+  if (regions.length) return regions;
+  return [document.querySelector('main') || document.body];
+}
+
+/**
+ * Summarize a set of DOM regions
+ * @param {Element[]} regions
+ * @returns {{words: Map, headings: string[], images: number, links: number}}
+ */
+function summarizeElements(regions) {
+  const visible = regions.map((region) => {
+    const clone = region.cloneNode(true);
+    clone.querySelectorAll(HIDDEN_TAGS).forEach((el) => el.remove());
+    return clone;
+  });
+
+  const all = (selector) => visible.flatMap((el) => [
+    ...(el.matches(selector) ? [el] : []),
+    ...el.querySelectorAll(selector),
+  ]);
+
+  const imageSources = new Set(all('img')
+    .map((img) => img.getAttribute('src') || img.getAttribute('data-src'))
+    .filter(Boolean));
+
+  return {
+    words: wordBag(visible.map(spacedText).join(' ')),
+    headings: all('h1, h2, h3, h4, h5, h6')
+      .map((h) => normalizeText(h.textContent))
+      .filter(Boolean),
+    images: imageSources.size,
+    links: all('a[href]').filter((a) => isUsableLink(a.getAttribute('href'))).length,
+  };
+}
+
+/**
+ * Summarize a generated .plain.html document
+ * @param {Document} document
+ */
+function summarizePlainHtml(document) {
+  document.querySelectorAll('.metadata, .section-metadata').forEach((el) => el.remove());
+  return summarizeElements([document.body]);
+}
+
+/**
+ * Summarize a generated .md file
+ * @param {string} markdown
+ */
+function summarizeMarkdown(markdown) {
+  const lines = [];
+  let inMetadata = false;
+  markdown.split('\n').forEach((line) => {
+    const isRow = line.trim().startsWith('|');
+    if (!isRow) inMetadata = false;
+    const firstCell = isRow ? line.split('|')[1].trim() : '';
+    if (isRow && METADATA_BLOCKS.test(firstCell)) inMetadata = true;
+    if (!inMetadata) lines.push(line);
+  });
+  const body = lines.join('\n');
+
+  const headings = [...body.matchAll(/^#{1,6}\s+(.+)$/gm)].map((m) => normalizeText(m[1]));
+  const images = new Set([...body.matchAll(/!\[[^\]]*\]\(([^)\s]+)\)/g)].map((m) => m[1]));
+  const links = [...body.matchAll(/(?<!!)\[[^\]]*\]\(([^)\s]+)\)/g)]
+    .filter((m) => isUsableLink(m[1]));
+
+  const text = body
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\|?\s*:?-{3,}.*$/gm, ' ')
+    .replace(/[|#*_>`]/g, ' ');
+
+  return {
+    words: wordBag(text),
+    headings: headings.map((h) => h.replace(/[*_`]/g, '')),
+    images: images.size,
+    links: links.length,
+  };
+}
+
+const round = (n) => Math.round(n * 100) / 100;
+const countScore = (a, b) => (Math.max(a, b) === 0 ? 1 : Math.min(a, b) / Math.max(a, b));
+
+/**
+ * Compare a source summary with an imported one
+ * @param {object} source - From summarizeElements()
+ * @param {object} imported - From summarizePlainHtml() / summarizeMarkdown()
+ * @returns {object} Page score, per-measure scores and what went missing
+ */
+function compareSummaries(source, imported) {
+  let sourceWords = 0;
+  let keptWords = 0;
+  source.words.forEach((count, word) => {
+    sourceWords += count;
+    keptWords += Math.min(count, imported.words.get(word) || 0);
+  });
+
+  const importedHeadings = new Set(imported.headings);
+  const missingHeadings = source.headings.filter((h) => !importedHeadings.has(h));
+
+  const scores = {
+    text: sourceWords ? keptWords / sourceWords : 1,
+    headings: source.headings.length
+      ? (source.headings.length - missingHeadings.length) / source.headings.length
+      : 1,
+    images: countScore(source.images, imported.images),
+    links: countScore(source.links, imported.links),
+  };
+  const score = Object.entries(WEIGHTS)
+    .reduce((sum, [measure, weight]) => sum + weight * scores[measure], 0);
+
+  return {
+    score: round(score),
+    scores: Object.fromEntries(Object.entries(scores).map(([k, v]) => [k, round(v)])),
+    counts: {
+      words: { source: sourceWords, kept: keptWords },
+      headings: { source: source.headings.length, imported: imported.headings.length },
+      images: { source: source.images, imported: imported.images },
+      links: { source: source.links, imported: imported.links },
+    },
+    missingHeadings,
+  };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  WEIGHTS,
+  sourceRegions,
+  summarizeElements,
+  summarizePlainHtml,
+  summarizeMarkdown,
+  compareSummaries,
+};
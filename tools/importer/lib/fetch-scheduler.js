@@ -0,0 +1,206 @@
+/**
+ * Fetch Scheduler
+ *
+ * Runs every request of an import through one queue so the source site sees
+ * a polite, steady load:
+ *
+ * - At most `concurrency` requests in flight
+ * - Per host, request starts are at least `delayMs` apart
+ * - 429, 5xx, timeouts and dropped connections are retried up to
+ *   `maxRetries` times with exponential backoff (plus jitter); a Retry-After
+ *   header replaces the backoff and pauses the whole host
+ * - The gap adapts to the host: every 429 or 503 doubles it (up to
+ *   `maxBackoffMs`), every success shrinks it by a tenth, back down to
+ *   `delayMs`, so a site that pushes back is crawled slower from then on
+ *
+ * stats() reports requests, retries (by reason), failures, latency and the
+ * current gap per host.
+ */
+
+const { fetchUrl } = require('./http-fetch.js');
+
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+
+// Responses meaning "too fast", which slow the host down
+const THROTTLE_STATUSES = [429, 503];
+
+// Share of the gap kept after each success while the host is slowed down
+const RECOVERY_FACTOR = 0.9;
+
+const sleep = (ms) => new Promise((resolve) => { setTimeout(resolve, ms); });
+
+/**
+ * Why a failed request is worth retrying, or null if it isn't
+ * @param {Error} err - From fetchUrl()
+ * @returns {string|null} e.g. '429', '503', 'ETIMEDOUT'
+ */
+function retryReason(err) {
+  if (err.status === 429 || err.status >= 500) return String(err.status);
+  if (RETRYABLE_CODES.includes(err.code)) return err.code;
+  return null;
+}
+
+/**
+ * Retry-After header value in ms (delta-seconds or HTTP date)
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+/**
+ * Create a scheduler
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - Requests in flight at once
+ * @param {number} [options.delayMs] - Minimum gap between request starts per host,
+ *   widened while the host answers 429/503
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {number} [options.backoffMs] - First retry delay, doubled on every retry
+ * @param {number} [options.maxBackoffMs] - Cap on the backoff and on Retry-After
+ * @param {Function} [options.fetch] - (url, options) => Promise, defaults to fetchUrl
+ * @returns {object} Scheduler API; fetch(url, options) is a drop-in for fetchUrl
+ */
+function createFetchScheduler({
+  concurrency = 3,
+  delayMs = 500,
+  maxRetries = 3,
+  backoffMs = 1000,
+  maxBackoffMs = 60000,
+  fetch = fetchUrl,
+} = {}) {
+  const waiting = [];
+  const nextStart = new Map();
+  const hostDelay = new Map();
+  let active = 0;
+
+  const counters = {
+    requests: 0, succeeded: 0, failed: 0, retries: 0, slowdowns: 0,
+  };
+  const retryReasons = {};
+  const latencies = [];
+
+  function acquire() {
+    if (active < concurrency) {
+      active += 1;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => { waiting.push(resolve); });
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) next();
+    else active -= 1;
+  }
+
+  const delayFor = (host) => hostDelay.get(host) ?? delayMs;
+
+  function slowDown(host) {
+    counters.slowdowns += 1;
+    hostDelay.set(host, Math.min(maxBackoffMs, Math.max(delayFor(host) * 2, backoffMs)));
+  }
+
+  function speedUp(host) {
+    if (!hostDelay.has(host)) return;
+    const delay = Math.round(delayFor(host) * RECOVERY_FACTOR);
+    if (delay <= delayMs) hostDelay.delete(host);
+    else hostDelay.set(host, delay);
+  }
+
+  /**
+   * Wait for the host's next start slot and claim it
+   */
+  async function waitForHost(host) {
+    const now = Date.now();
+    const start = Math.max(now, nextStart.get(host) || 0);
+    nextStart.set(host, start + delayFor(host));
+    if (start > now) await sleep(start - now);
+  }
+
+  async function attempt(url, options, host, retry) {
+    await acquire();
+    let result;
+    let error;
+    try {
+      await waitForHost(host);
+      counters.requests += 1;
+      const started = Date.now();
+      try {
+        result = await fetch(url, options);
+      } catch (err) {
+        error = err;
+      }
+      latencies.push(Date.now() - started);
+    } finally {
+      release();
+    }
+
+    if (!error) {
+      counters.succeeded += 1;
+      speedUp(host);
+      return result;
+    }
+    if (THROTTLE_STATUSES.includes(error.status)) slowDown(host);
+
+    const reason = retryReason(error);
+    if (!reason || retry >= maxRetries) {
+      counters.failed += 1;
+      if (retry > 0) error.message += ` (after ${retry} ${retry === 1 ? 'retry' : 'retries'})`;
+      throw error;
+    }
+
+    const retryAfterMs = parseRetryAfter(error.retryAfter);
+    const backoff = Math.min(maxBackoffMs, backoffMs * 2 ** retry);
+    const wait = retryAfterMs !== null
+      ? Math.min(maxBackoffMs, retryAfterMs)
+      : backoff + Math.round(Math.random() * backoff * 0.2);
+    if (retryAfterMs !== null) {
+      // The server asked for a pause: hold every request to this host
+      nextStart.set(host, Math.max(nextStart.get(host) || 0, Date.now() + wait));
+    }
+
+    counters.retries += 1;
+    retryReasons[reason] = (retryReasons[reason] || 0) + 1;
+    await sleep(wait);
+    return attempt(url, options, host, retry + 1);
+  }
+
+  return {
+    /**
+     * Fetch through the queue, retrying transient failures
+     */
+    fetch(url, options) {
+      return attempt(url, options, new URL(url).host, 0);
+    },
+
+    /**
+     * Run totals, with latency in ms and the gap of every slowed-down host
+     */
+    stats() {
+      const sorted = [...latencies].sort((a, b) => a - b);
+      const total = sorted.reduce((sum, ms) => sum + ms, 0);
+      return {
+        ...counters,
+        retryReasons: { ...retryReasons },
+        hostDelayMs: Object.fromEntries(hostDelay),
+        latencyMs: {
+          avg: sorted.length ? Math.round(total / sorted.length) : 0,
+          p50: percentile(sorted, 50),
+          p95: percentile(sorted, 95),
+          max: sorted.length ? sorted[sorted.length - 1] : 0,
+        },
+      };
+    },
+  };
+}
+
+module.exports = { retryReason, parseRetryAfter, createFetchScheduler };
@@ -0,0 +1,160 @@
+/**
+ * HTTP Fetch
+ *
+ * Fetches source pages (and their assets) the way a browser would, following
+ * up to MAX_REDIRECTS redirects. bulk-import.js and validate-import.js both
+ * run it through lib/fetch-scheduler.js for concurrency, rate limiting and
+ * retries.
+ *
+ * createHtmlCache() keeps the raw HTML of every fetched page on disk, so
+ * parser work can be repeated offline against frozen snapshots:
+ *
+ *   <cacheDir>/www.zelis.com/blog/some-post.html
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const http = require('http');
+const path = require('path');
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 5;
+
+/**
+ * Error for a failed request. `status` is set for HTTP errors, `code` for
+ * timeouts and network errors, `retryAfter` when the server sent one.
+ */
+function fetchError(message, props) {
+  return Object.assign(new Error(message), props);
+}
+
+/**
+ * Fetch a URL and return the HTML, or { body, contentType } with a Buffer
+ * body when `binary` is set (used for asset downloads)
+ * @param {string} url
+ * @param {object} [options]
+ * @param {boolean} [options.binary]
+ * @param {number} [options.timeout] - Socket timeout in ms
+ * @param {number} [options.maxRedirects] - Redirects followed before giving up
+ * @returns {Promise<string|{body: Buffer, contentType: string}>}
+ */
+function fetchUrl(url, {
+  binary = false,
+  timeout = DEFAULT_TIMEOUT_MS,
+  maxRedirects = MAX_REDIRECTS,
+} = {}) {
+  const request = (target, visited) => new Promise((resolve, reject) => {
+    const client = target.startsWith('https') ? https : http;
+    const req = client.get(target, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: binary ? 'image/*,*/*;q=0.8' : 'text/html,application/xhtml+xml',
+        'Accept-Language': 'en-US,en;q=0.9',
+      },
+      timeout,
+    }, (res) => {
+      // Follow redirects, but not in circles or forever
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        const redirectUrl = new URL(res.headers.location, target).href;
+        res.resume();
+        if (visited.includes(redirectUrl)) {
+          reject(fetchError(`Redirect loop for ${url} (${[...visited, redirectUrl].join(' → ')})`, { url, code: 'EREDIRECTLOOP' }));
+        } else if (visited.length > maxRedirects) {
+          reject(fetchError(`Too many redirects (${maxRedirects}) for ${url}`, { url, code: 'EMAXREDIRECTS' }));
+        } else {
+          request(redirectUrl, [...visited, redirectUrl]).then(resolve, reject);
+        }
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(fetchError(`HTTP ${res.statusCode} for ${url}`, {
+          url, status: res.statusCode, retryAfter: res.headers['retry-after'] || null,
+        }));
+        return;
+      }
+      const chunks = [];
+      res.on('data', (chunk) => { chunks.push(chunk); });
+      res.on('end', () => {
+        const body = Buffer.concat(chunks);
+        resolve(binary ? { body, contentType: res.headers['content-type'] || '' } : body.toString('utf8'));
+      });
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(fetchError(`Timeout fetching ${url}`, { url, code: 'ETIMEDOUT' }));
+    });
+  });
+
+  return request(url, [url]);
+}
+
+/**
+ * Cache file for a page URL: host and path as folders, the query (if any)
+ * as a short hash
+ * @param {string} cacheDir
+ * @param {string} url
+ * @returns {string}
+ */
+function cacheFileFor(cacheDir, url) {
+  const urlObj = new URL(url);
+  const segments = (urlObj.pathname.replace(/\/+$/, '') || '/index')
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => decodeURIComponent(segment).replace(/[^\w.-]/g, '_').replace(/^\.+$/, '_'));
+  const query = urlObj.search
+    ? `__${crypto.createHash('sha1').update(urlObj.search).digest('hex').slice(0, 8)}`
+    : '';
+  const file = `${segments.pop()}${query}.html`;
+  return path.join(cacheDir, urlObj.host.replace(/[^\w.-]/g, '_'), ...segments, file);
+}
+
+/**
+ * Create an on-disk cache of raw page HTML
+ * @param {string} cacheDir - Folder the snapshots are kept in
+ * @param {object} [options]
+ * @param {boolean} [options.offline] - Only read from the cache; a miss is an error
+ * @param {Function} [options.fetchPage] - Fetcher used on a miss (defaults to fetchUrl)
+ * @returns {object} Cache API; fetchHtml(url) is a drop-in for fetchUrl(url)
+ */
+function createHtmlCache(cacheDir, { offline = false, fetchPage = fetchUrl } = {}) {
+  const stats = { hits: 0, stored: 0 };
+
+  async function fetchHtml(url) {
+    const file = cacheFileFor(cacheDir, url);
+    if (fs.existsSync(file)) {
+      stats.hits += 1;
+      return fs.readFileSync(file, 'utf8');
+    }
+    if (offline) {
+      throw new Error(`Not in HTML cache (offline): ${url}`);
+    }
+
+    const html = await fetchPage(url);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, html, 'utf8');
+    stats.stored += 1;
+    return html;
+  }
+
+  return {
+    cacheDir,
+    offline,
+    stats,
+    cacheFile: (url) => cacheFileFor(cacheDir, url),
+    fetchHtml,
+  };
+}
+
+module.exports = {
+  USER_AGENT,
+  MAX_REDIRECTS,
+  fetchUrl,
+  cacheFileFor,
+  createHtmlCache,
+};
@@ -0,0 +1,102 @@
+/**
+ * Link Rewriter
+ *
+ * Points markdown links at migrated pages instead of zelis.com. A link is
+ * rewritten when its target is in url-catalog.json and has been migrated:
+ *
+ *   - URLs listed in `alreadyMigrated` (they live on the site already)
+ *   - batch URLs whose content file exists (see urlToContentPath)
+ *
+ *   [Read more](https://www.zelis.com/blog/some-post/#intro)
+ *     → [Read more](/content/blog/some-post#intro)
+ *
+ * Links to zelis.com pages that are not migrated are left alone and returned
+ * so they can be reported. Images are handled by the asset store instead.
+ */
+
+const fs = require('fs');
+const { CONTENT_DIR, urlToContentPath } = require('./content-paths.js');
+
+const SOURCE_HOSTS = ['www.zelis.com', 'zelis.com'];
+
+// Markdown links, but not images
+const LINK_REF = /(?<!!)\[([^\]]*)\]\((https?:\/\/[^)\s]+)\)/g;
+
+/**
+ * Lookup key for a source URL: path (+ query) without the trailing slash,
+ * or null for URLs on other hosts
+ * @param {string} url
+ * @param {string[]} [sourceHosts]
+ * @returns {string|null}
+ */
+function linkKey(url, sourceHosts = SOURCE_HOSTS) {
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch (err) {
+    return null;
+  }
+  if (!sourceHosts.includes(urlObj.hostname)) return null;
+  const pathname = urlObj.pathname.replace(/\/+$/, '') || '/';
+  return `${pathname}${urlObj.search}`;
+}
+
+/**
+ * Create a rewriter for the pages in a URL catalog
+ * @param {object} catalog - Parsed url-catalog.json
+ * @param {object} [options]
+ * @param {string} [options.contentDir]
+ * @param {string[]} [options.sourceHosts]
+ * @returns {object} Rewriter API
+ */
+function createLinkRewriter(catalog, {
+  contentDir = CONTENT_DIR,
+  sourceHosts = SOURCE_HOSTS,
+} = {}) {
+  const migrated = new Map();
+  const addPage = (url, requireFile) => {
+    const key = linkKey(url, sourceHosts);
+    if (!key || migrated.has(key)) return;
+    const contentPath = urlToContentPath(url, contentDir);
+    if (requireFile && !fs.existsSync(contentPath.mdPath)) return;
+    migrated.set(key, contentPath.sitePath);
+  };
+
+  (catalog.alreadyMigrated || []).forEach((url) => addPage(url, false));
+  Object.values(catalog.batches || {}).forEach((batch) => {
+    (batch.urls || []).forEach((url) => addPage(url, true));
+  });
+
+  /**
+   * Rewrite the links to migrated pages in a markdown document
+   * @param {string} markdown
+   * @returns {{markdown: string, rewritten: number, unmigrated: string[]}}
+   */
+  function rewrite(markdown) {
+    let rewritten = 0;
+    const unmigrated = [];
+
+    const result = markdown.replace(LINK_REF, (match, text, url) => {
+      const key = linkKey(url, sourceHosts);
+      if (!key) return match;
+
+      const sitePath = migrated.get(key);
+      if (!sitePath) {
+        unmigrated.push(url);
+        return match;
+      }
+
+      rewritten += 1;
+      return `[${text}](${sitePath}${new URL(url).hash})`;
+    });
+
+    return { markdown: result, rewritten, unmigrated };
+  }
+
+  return {
+    migratedCount: migrated.size,
+    rewrite,
+  };
+}
+
+module.exports = { SOURCE_HOSTS, linkKey, createLinkRewriter };
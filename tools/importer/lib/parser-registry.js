@@ -0,0 +1,99 @@
+/**
+ * Parser Registry
+ *
+ * Builds the template → parser map used by bulk-import.js from the files on
+ * disk, so there is exactly one implementation of every parser:
+ *
+ *   templates/<name>.json       Template descriptor (the registry key)
+ *   parsers/<name>-parser.js    ESM module exporting parse() and toMarkdown()
+ *
+ * Adding a template means dropping in those two files. Templates without a
+ * parser module (e.g. homepage, archive-hub) fall back to the generic
+ * interpreter in transformers/template-transformer.js, which builds the
+ * markdown from the descriptor's selectors alone; they are listed in `generic`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const TEMPLATES_DIR = path.join(__dirname, '../templates');
+const PARSERS_DIR = path.join(__dirname, '../parsers');
+const TEMPLATE_TRANSFORMER = path.join(__dirname, '../transformers/template-transformer.js');
+
+/**
+ * Registry key for a template descriptor. Most descriptors use a slug for
+ * `name`; the older ones carry a display name there and the slug in `template`.
+ * @param {object} descriptor - Parsed templates/*.json
+ * @returns {string} Template slug
+ */
+function templateKey(descriptor) {
+  return descriptor.template || descriptor.name;
+}
+
+/**
+ * Read every template descriptor
+ * @param {string} [templatesDir]
+ * @returns {Array<{name: string, file: string, descriptor: object}>}
+ */
+function readTemplates(templatesDir = TEMPLATES_DIR) {
+  return fs.readdirSync(templatesDir)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => {
+      const descriptor = JSON.parse(fs.readFileSync(path.join(templatesDir, file), 'utf8'));
+      return { name: templateKey(descriptor), file: path.join(templatesDir, file), descriptor };
+    });
+}
+
+/**
+ * Load the parser for every template
+ * @param {object} [options]
+ * @param {string} [options.templatesDir]
+ * @param {string} [options.parsersDir]
+ * @param {boolean} [options.genericOnly] - Ignore parser modules and interpret
+ *   every descriptor (useful to check what a template JSON produces on its own)
+ * @returns {Promise<{parsers: object, generic: string[]}>} parsers keyed by
+ *   template name as { parse, toMarkdown, descriptor, parserPath }
+ */
+async function loadParserRegistry({
+  templatesDir = TEMPLATES_DIR,
+  parsersDir = PARSERS_DIR,
+  genericOnly = false,
+} = {}) {
+  const { createTemplateParser } = await import(pathToFileURL(TEMPLATE_TRANSFORMER).href);
+  const parsers = {};
+  const generic = [];
+
+  await Promise.all(readTemplates(templatesDir).map(async ({ name, descriptor }) => {
+    const parserPath = path.join(parsersDir, `${name}-parser.js`);
+    if (genericOnly || !fs.existsSync(parserPath)) {
+      generic.push(name);
+      parsers[name] = { ...createTemplateParser(descriptor), descriptor, parserPath: null };
+      return;
+    }
+
+    const mod = await import(pathToFileURL(parserPath).href);
+    if (typeof mod.parse !== 'function' || typeof mod.toMarkdown !== 'function') {
+      throw new Error(`${path.relative(process.cwd(), parserPath)} must export parse() and toMarkdown()`);
+    }
+
+    parsers[name] = {
+      parse: mod.parse,
+      toMarkdown: mod.toMarkdown,
+      descriptor,
+      parserPath,
+    };
+  }));
+
+  generic.sort();
+  return { parsers, generic };
+}
+
+module.exports = {
+  TEMPLATES_DIR,
+  PARSERS_DIR,
+  templateKey,
+  readTemplates,
+  loadParserRegistry,
+};
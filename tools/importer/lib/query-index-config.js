@@ -0,0 +1,204 @@
+/**
+ * Query Index Config
+ *
+ * Reads helix-query.yaml and evaluates its index definitions against local
+ * pages the way the production indexer does:
+ *
+ *   indices:
+ *     <name>:
+ *       include: [globs]        Page paths to index (e.g. /content/**)
+ *       exclude: [globs]        Page paths to leave out
+ *       target: /path.json      Where the index is written
+ *       sheet: <name>           Sheet of the target (default: `default`);
+ *                               indices sharing a target are its sheets
+ *       properties:
+ *         <column>:
+ *           select: <css>       Elements to read (or `none`)
+ *           value: <expr>       First result of the expression
+ *           values: <expr>      All results, as a JSON array string
+ *
+ * Expressions are function calls over the selected elements (`el`) and the
+ * response headers (`headers["last-modified"]`):
+ *
+ *   attribute(el, "content")   textContent(el)   innerHTML(el)
+ *   match(expr, "regex")       words(expr, start, end)
+ *   replace(expr, "search", "replacement")
+ *   parseTimestamp(expr, "format")
+ *
+ * Globs: `**` matches across path segments, `*` within one.
+ */
+
+const fs = require('fs');
+const YAML = require('yaml');
+
+/**
+ * Regular expression for a path glob
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split(/(\*\*|\*)/)
+    .map((part) => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Load the index definitions
+ * @param {string} configPath - helix-query.yaml
+ * @returns {object[]} [{name, include, exclude, target, sheet, properties}]
+ */
+function loadIndexConfig(configPath) {
+  const config = YAML.parse(fs.readFileSync(configPath, 'utf8')) || {};
+  return Object.entries(config.indices || {}).map(([name, index]) => ({
+    name,
+    include: (index.include || []).map(globToRegExp),
+    exclude: (index.exclude || []).map(globToRegExp),
+    target: index.target,
+    sheet: index.sheet || 'default',
+    properties: index.properties || {},
+  }));
+}
+
+/**
+ * Whether a page path belongs in an index
+ * @param {object} index - From loadIndexConfig()
+ * @param {string} pagePath - e.g. /content/blog/post
+ * @returns {boolean}
+ */
+function includesPath(index, pagePath) {
+  return index.include.some((re) => re.test(pagePath))
+    && !index.exclude.some((re) => re.test(pagePath));
+}
+
+/**
+ * Split an expression into tokens: names, strings, numbers and punctuation
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const re = /\s*(?:("(?:[^"\\]|\\.)*")|([A-Za-z_][\w-]*)|(-?\d+)|([(),[\]]))\s*/y;
+  while (re.lastIndex < expression.length) {
+    const at = re.lastIndex;
+    const match = re.exec(expression);
+    if (!match) throw new Error(`Unexpected input in expression: ${expression.slice(at)}`);
+    if (match[1]) tokens.push({ type: 'string', value: match[1].slice(1, -1).replace(/\\"/g, '"') });
+    else if (match[2]) tokens.push({ type: 'name', value: match[2] });
+    else if (match[3]) tokens.push({ type: 'number', value: Number(match[3]) });
+    else tokens.push({ type: 'punct', value: match[4] });
+  }
+  return tokens;
+}
+
+const toArray = (value) => (Array.isArray(value) ? value : [value]).filter((v) => v != null);
+
+const FUNCTIONS = {
+  attribute: (elements, name) => elements.map((el) => el.getAttribute(name)),
+  textContent: (elements) => elements.map((el) => el.textContent.trim()),
+  innerHTML: (elements) => elements.map((el) => el.innerHTML.trim()),
+  match: (values, pattern) => values.map((value) => {
+    const found = String(value).match(new RegExp(pattern));
+    if (!found) return null;
+    return found.length > 1 ? found[1] : found[0];
+  }),
+  words: (values, start = 0, end = undefined) => values
+    .map((value) => String(value).split(/\s+/).slice(start, end).join(' ')),
+  replace: (values, search, replacement) => values
+    .map((value) => String(value).replace(new RegExp(search, 'g'), replacement)),
+  // Seconds since the epoch; the format argument is informational, dates are
+  // read with Date.parse (which covers HTTP dates and ISO 8601)
+  parseTimestamp: (values) => values.map((value) => {
+    const ms = Date.parse(value);
+    return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+  }),
+};
+
+/**
+ * Evaluate a property expression
+ * @param {string} expression - e.g. attribute(el, "content")
+ * @param {object} context - {el: Element[], headers: object}
+ * @returns {Array} Results
+ */
+function evaluate(expression, context) {
+  const tokens = tokenize(expression);
+  let pos = 0;
+
+  const expect = (value) => {
+    if (tokens[pos]?.value !== value) throw new Error(`Expected "${value}" in expression: ${expression}`);
+    pos += 1;
+  };
+
+  const parse = () => {
+    const token = tokens[pos];
+    pos += 1;
+    if (!token) throw new Error(`Unexpected end of expression: ${expression}`);
+    if (token.type === 'string' || token.type === 'number') return token.value;
+    if (token.type !== 'name') throw new Error(`Unexpected "${token.value}" in expression: ${expression}`);
+
+    if (tokens[pos]?.value === '(') {
+      const fn = FUNCTIONS[token.value];
+      if (!fn) throw new Error(`Unknown function ${token.value}() in expression: ${expression}`);
+      expect('(');
+      const fnArgs = [];
+      while (tokens[pos]?.value !== ')') {
+        fnArgs.push(parse());
+        if (tokens[pos]?.value === ',') pos += 1;
+        else break;
+      }
+      expect(')');
+      const [first, ...rest] = fnArgs;
+      return fn(toArray(first), ...rest);
+    }
+
+    let value = context[token.value];
+    while (tokens[pos]?.value === '[') {
+      expect('[');
+      const key = parse();
+      expect(']');
+      value = value?.[key];
+    }
+    return value;
+  };
+
+  const result = parse();
+  if (pos < tokens.length) throw new Error(`Unexpected input in expression: ${expression}`);
+  return toArray(result);
+}
+
+/**
+ * Index row for a page
+ * @param {object} index - From loadIndexConfig()
+ * @param {Document} document - Page DOM
+ * @param {object} [headers] - Response headers, lowercase names
+ * @returns {object} {column: value}; `value` columns are '' when nothing
+ *   matched, `values` columns are JSON array strings (as in the production
+ *   index, e.g. '["Payers","Claims"]')
+ */
+function evaluateProperties(index, document, headers = {}) {
+  const row = {};
+  Object.entries(index.properties).forEach(([column, property]) => {
+    const elements = !property.select || property.select === 'none'
+      ? []
+      : [...document.querySelectorAll(property.select)];
+    const context = { el: elements, headers };
+    if (property.values) {
+      row[column] = JSON.stringify(evaluate(property.values, context).map(String));
+    } else {
+      const [first] = property.value ? evaluate(property.value, context) : [];
+      row[column] = first ?? '';
+    }
+  });
+  return row;
+}
+
+module.exports = {
+  globToRegExp,
+  loadIndexConfig,
+  includesPath,
+  evaluate,
+  evaluateProperties,
+};
@@ -0,0 +1,154 @@
+/**
+ * Run Journal
+ *
+ * Persists the state of every URL in a bulk import run so an interrupted run
+ * can be resumed exactly where it stopped, without --offset arithmetic.
+ *
+ * The journal is rewritten after every state change, so a crash or Ctrl-C
+ * loses at most the URL that was in flight (which is still `pending`).
+ * Runs journal all their URLs before importing any (enqueueAll), so the
+ * batches a crashed run had not reached yet are still pending on resume.
+ * A new run will not replace a journal that still has pending URLs unless
+ * it is asked to restart, so an interrupted run stays resumable.
+ *
+ * Journal shape:
+ *   {
+ *     startedAt: ISO string,
+ *     updatedAt: ISO string,
+ *     entries: {
+ *       [url]: { batch, template, status, error, attempts, updatedAt }
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+
+const STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
+
+/**
+ * Read a journal file from disk
+ * @param {string} journalPath - Location of the journal JSON
+ * @returns {object|null} The journal, or null if none exists
+ */
+function readJournal(journalPath) {
+  if (!fs.existsSync(journalPath)) return null;
+  return JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+}
+
+/**
+ * Number of URLs a journal still has to import
+ * @param {object} journal - Journal as read from disk
+ * @returns {number}
+ */
+function countPending(journal) {
+  return Object.values(journal.entries || {})
+    .filter((entry) => entry.status === STATUS.PENDING).length;
+}
+
+/**
+ * Create a journal bound to a file on disk
+ * @param {string} journalPath - Location of the journal JSON
+ * @param {object} [options]
+ * @param {boolean} [options.resume] - Continue the journal already on disk
+ * @param {boolean} [options.restart] - Start over even if the journal on disk
+ *   still has pending URLs
+ * @param {boolean} [options.persist] - Write changes to disk (off for dry runs)
+ * @returns {object} Journal API
+ */
+function createJournal(journalPath, { resume = false, restart = false, persist = true } = {}) {
+  const now = () => new Date().toISOString();
+  const existing = readJournal(journalPath);
+  if (resume && !existing) {
+    throw new Error(`No journal to resume at ${journalPath}`);
+  }
+  if (!resume && !restart && persist && existing && countPending(existing) > 0) {
+    throw new Error(`The run started ${existing.startedAt} has ${countPending(existing)} pending URLs in ${journalPath}; continue it with --resume or discard it with --restart`);
+  }
+
+  const state = (resume && existing) || { startedAt: now(), updatedAt: now(), entries: {} };
+
+  const save = () => {
+    if (!persist) return;
+    state.updatedAt = now();
+    fs.writeFileSync(journalPath, JSON.stringify(state, null, 2), 'utf8');
+  };
+
+  return {
+    path: journalPath,
+
+    /**
+     * Record a URL as pending unless it is already journaled
+     */
+    enqueue(url, batch, template) {
+      this.enqueueAll([{ url, batch, template }]);
+    },
+
+    /**
+     * Record many URLs at once, with a single write
+     * @param {Array<{url: string, batch: string, template: string,
+     *   status?: string, error?: string}>} jobs - Status defaults to pending
+     */
+    enqueueAll(jobs) {
+      let added = 0;
+      jobs.forEach(({
+        url, batch, template, status = STATUS.PENDING, error = '',
+      }) => {
+        if (state.entries[url]) return;
+        state.entries[url] = {
+          batch, template, status, error, attempts: 0, updatedAt: now(),
+        };
+        added += 1;
+      });
+      if (added) save();
+    },
+
+    /**
+     * Move a URL to a new status, recording the error if there is one
+     */
+    mark(url, status, error = '') {
+      const entry = state.entries[url] || { attempts: 0 };
+      state.entries[url] = {
+        ...entry,
+        status,
+        error,
+        attempts: entry.attempts + (status === STATUS.SKIPPED ? 0 : 1),
+        updatedAt: now(),
+      };
+      save();
+    },
+
+    get(url) {
+      return state.entries[url] || null;
+    },
+
+    /**
+     * Entries with a given status, in the order they were first journaled
+     * @returns {Array<{url: string, batch: string, template: string}>}
+     */
+    withStatus(status) {
+      return Object.entries(state.entries)
+        .filter(([, entry]) => entry.status === status)
+        .map(([url, entry]) => ({ url, ...entry }));
+    },
+
+    /**
+     * Count of entries per status
+     */
+    summary() {
+      const counts = Object.fromEntries(Object.values(STATUS).map((s) => [s, 0]));
+      Object.values(state.entries).forEach((entry) => {
+        counts[entry.status] = (counts[entry.status] || 0) + 1;
+      });
+      return counts;
+    },
+
+    save,
+  };
+}
+
+module.exports = { STATUS, createJournal, readJournal };
@@ -0,0 +1,143 @@
+/**
+ * Search Events
+ *
+ * Reads the search analytics that scripts/search/analytics.js sends as RUM
+ * checkpoints from a JSONL export, and aggregates them. A line is either one
+ * event or a RUM bundle with its events:
+ *
+ *   {"checkpoint": "search", "source": ".search", "target": "q=claims&results=4", "weight": 100}
+ *   {"id": "…", "url": "…", "weight": 100, "events": [{"checkpoint": "search-click", …}, …]}
+ *
+ * Counts are multiplied by the sampling weight (1 when missing), so they
+ * estimate real traffic rather than sampled events.
+ */
+
+// Checkpoints sent by scripts/search/analytics.js; every other RUM event
+// (including the enhancer's own link clicks) is ignored
+const CHECKPOINTS = ['search', 'search-click', 'search-filter'];
+
+/**
+ * Normalized form of a query, so "Claims  Cost" and "claims cost" count together
+ * @param {string} query
+ * @returns {string}
+ */
+function normalizeQuery(query) {
+  return String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Search events from a JSONL export
+ * @param {string} jsonl
+ * @returns {{events: object[], skipped: number}} Events as
+ *   {checkpoint, source, weight, fields}; skipped counts unreadable lines
+ */
+function parseEvents(jsonl) {
+  const events = [];
+  let skipped = 0;
+
+  jsonl.split('\n').map((line) => line.trim()).filter(Boolean).forEach((line) => {
+    let json;
+    try {
+      json = JSON.parse(line);
+    } catch (e) {
+      skipped += 1;
+      return;
+    }
+    const entries = Array.isArray(json.events)
+      ? json.events.map((event) => ({ weight: json.weight, ...event }))
+      : [json];
+
+    entries.forEach(({
+      checkpoint, source, target, weight,
+    }) => {
+      if (!CHECKPOINTS.includes(checkpoint) || typeof target !== 'string') return;
+      const fields = Object.fromEntries(new URLSearchParams(target));
+      events.push({
+        checkpoint, source: source || '', weight: Number(weight) || 1, fields,
+      });
+    });
+  });
+
+  return { events, skipped };
+}
+
+/**
+ * Aggregate search events
+ * @param {object[]} events - From parseEvents()
+ * @returns {object} {totals, queries, zeroResults, facets, positions}; queries
+ *   are sorted by searches, zeroResults by zero-result searches
+ */
+function aggregateEvents(events) {
+  const totals = {
+    searches: 0, zeroResults: 0, clicks: 0, filters: 0,
+  };
+  const queries = new Map();
+  const facets = new Map();
+  const positions = new Map();
+
+  const queryStats = (query) => {
+    const key = normalizeQuery(query);
+    if (!queries.has(key)) {
+      queries.set(key, {
+        query: key, searches: 0, zeroResults: 0, totalResults: 0, clicks: 0,
+      });
+    }
+    return queries.get(key);
+  };
+
+  events.forEach(({ checkpoint, weight, fields }) => {
+    if (checkpoint === 'search') {
+      const results = Number(fields.results) || 0;
+      const stats = queryStats(fields.q);
+      stats.searches += weight;
+      stats.totalResults += results * weight;
+      totals.searches += weight;
+      if (!results) {
+        stats.zeroResults += weight;
+        totals.zeroResults += weight;
+      }
+    } else if (checkpoint === 'search-click') {
+      if (normalizeQuery(fields.q)) queryStats(fields.q).clicks += weight;
+      const position = Number(fields.position) || 0;
+      positions.set(position, (positions.get(position) || 0) + weight);
+      totals.clicks += weight;
+    } else if (checkpoint === 'search-filter') {
+      const key = `${fields.facet}=${fields.value}`;
+      if (!facets.has(key)) {
+        facets.set(key, {
+          facet: fields.facet, value: fields.value, uses: 0, zeroResults: 0,
+        });
+      }
+      const stats = facets.get(key);
+      stats.uses += weight;
+      if (Number(fields.results) === 0) stats.zeroResults += weight;
+      totals.filters += weight;
+    }
+  });
+
+  const queryList = [...queries.values()]
+    .filter((stats) => stats.query && stats.searches)
+    .map(({ totalResults, ...stats }) => ({
+      ...stats,
+      averageResults: Math.round((totalResults / stats.searches) * 10) / 10,
+      clickRate: Math.round((stats.clicks / stats.searches) * 100) / 100,
+    }));
+
+  return {
+    totals,
+    queries: [...queryList]
+      .sort((a, b) => b.searches - a.searches || a.query.localeCompare(b.query)),
+    zeroResults: queryList
+      .filter((stats) => stats.zeroResults)
+      .sort((a, b) => b.zeroResults - a.zeroResults || a.query.localeCompare(b.query)),
+    facets: [...facets.values()].sort((a, b) => b.uses - a.uses),
+    positions: [...positions].sort(([a], [b]) => a - b)
+      .map(([position, clicks]) => ({ position, clicks })),
+  };
+}
+
+module.exports = {
+  normalizeQuery,
+  parseEvents,
+  aggregateEvents,
+};
@@ -0,0 +1,140 @@
+/**
+ * Template Classifier
+ *
+ * Picks the template for a page that is not in url-catalog.json by scoring
+ * it against every templates/*.json descriptor:
+ *
+ *   URL score       1 if the URL matches `sourceUrlPattern` / `urlPatterns`
+ *   Selector score  share of the descriptor's selectors found in the page
+ *
+ * The two are weighted into a 0–1 confidence. Pages whose best match falls
+ * below the threshold should be reviewed by hand, not imported with a guess.
+ *
+ * Calibrated on test/fixtures (test/template-classifier.test.js): each page
+ * scores 0.77 or more for its own template and 0.4 or less for any other, so
+ * neither a URL match alone nor a partial selector match reaches 0.5.
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { readTemplates } = require('./parser-registry.js');
+
+const TEMPLATE_TRANSFORMER = path.join(__dirname, '../transformers/template-transformer.js');
+
+const URL_WEIGHT = 0.4;
+const SELECTOR_WEIGHT = 0.6;
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+/**
+ * Normalize a URL or pattern to a comparable path (+ query), without the
+ * trailing slash
+ */
+function toComparablePath(value) {
+  const withoutOrigin = value.replace(/^https?:\/\/[^/]+/, '') || '/';
+  return withoutOrigin.length > 1 ? withoutOrigin.replace(/\/(?=$|\?)/, '') : withoutOrigin;
+}
+
+/**
+ * Compile a template URL pattern. Patterns are globs (`*` = one path
+ * segment) that may also use regex alternation, e.g.
+ * `https://www.zelis.com/(blog|news)/*\/`
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  const source = toComparablePath(pattern)
+    .replace(/[.?+^${}[\]\\]/g, '\\$&')
+    .replace(/\*/g, '[^/?]+');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * All URL patterns declared by a descriptor
+ * @param {object} descriptor
+ * @returns {string[]}
+ */
+function urlPatternsFor(descriptor) {
+  return [
+    ...(descriptor.sourceUrlPattern ? [descriptor.sourceUrlPattern] : []),
+    ...(descriptor.urlPatterns || []),
+  ];
+}
+
+/**
+ * Distinct selectors declared by a descriptor's sections
+ * @param {object} descriptor
+ * @param {Function} normalizeSections - From transformers/template-transformer.js
+ * @returns {string[]}
+ */
+function selectorsFor(descriptor, normalizeSections) {
+  const selectors = new Set();
+  const addFields = (fields) => Object.values(fields).forEach((spec) => {
+    if (spec.selector) selectors.add(spec.selector);
+    if (spec.fields) addFields(spec.fields);
+  });
+  normalizeSections(descriptor).forEach((section) => {
+    if (section.container) selectors.add(section.container);
+    addFields(section.fields);
+  });
+  return [...selectors];
+}
+
+const matches = (document, selector) => {
+  try {
+    return !!document.querySelector(selector);
+  } catch (err) {
+    // Descriptors may carry selectors jsdom can't parse; they count as misses
+    return false;
+  }
+};
+
+/**
+ * Score a page against every template
+ * @param {Document} document - The page DOM
+ * @param {string} url - The page URL
+ * @param {object} [options]
+ * @param {Array} [options.templates] - From readTemplates()
+ * @param {number} [options.minConfidence] - Threshold for `accepted`
+ * @returns {Promise<{template: string, confidence: number, accepted: boolean,
+ *   candidates: Array}>} Best match plus every candidate, best first
+ */
+async function classifyDocument(document, url, {
+  templates = readTemplates(),
+  minConfidence = DEFAULT_MIN_CONFIDENCE,
+} = {}) {
+  const { normalizeSections } = await import(pathToFileURL(TEMPLATE_TRANSFORMER).href);
+  const pagePath = toComparablePath(url);
+
+  const candidates = templates.map(({ name, descriptor }) => {
+    const urlMatch = urlPatternsFor(descriptor).some((p) => patternToRegExp(p).test(pagePath));
+    const selectors = selectorsFor(descriptor, normalizeSections);
+    const matched = selectors.filter((selector) => matches(document, selector));
+    const selectorScore = selectors.length ? matched.length / selectors.length : 0;
+    const confidence = (urlMatch ? URL_WEIGHT : 0) + SELECTOR_WEIGHT * selectorScore;
+
+    return {
+      template: name,
+      confidence: Math.round(confidence * 100) / 100,
+      urlMatch,
+      selectorScore: Math.round(selectorScore * 100) / 100,
+      matchedSelectors: matched.length,
+      totalSelectors: selectors.length,
+    };
+  }).sort((a, b) => b.confidence - a.confidence);
+
+  const best = candidates[0] || { template: '', confidence: 0 };
+  return {
+    template: best.template,
+    confidence: best.confidence,
+    accepted: !!best.template && best.confidence >= minConfidence,
+    candidates,
+  };
+}
+
+module.exports = {
+  DEFAULT_MIN_CONFIDENCE,
+  patternToRegExp,
+  urlPatternsFor,
+  selectorsFor,
+  classifyDocument,
+};
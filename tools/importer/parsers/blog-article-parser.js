@@ -19,6 +19,13 @@
  *   Section 5: Metadata block
  */
 
+import {
+  blocksToMarkdown,
+  extractContentBlocks,
+  relatedResourcesBlock,
+  resolveUrl,
+} from '../transformers/blog-article-transformer.js';
+
 /**
  * Parse a blog article page DOM and return structured content
  * @param {Document} document - The parsed HTML document
@@ -26,50 +33,57 @@
  * @returns {object} Parsed content sections
  */
 export function parse(document, url) {
-  const article = document.querySelector('article');
+  const article = document.querySelector('article') || document.querySelector('main');
   if (!article) return null;
 
   // Hero section
-  const date = article.querySelector('.hero .leader')?.textContent?.trim() || '';
-  const title = article.querySelector('.hero .post-title')?.textContent?.trim() || '';
-  const featuredImg = article.querySelector('.hero .featured-img img')?.getAttribute('src') || '';
+  const date = article.querySelector('.hero .leader, .published-date')?.textContent?.trim() || '';
+  const title = article.querySelector('.hero .post-title, h1')?.textContent?.trim() || '';
+  const featuredImg = resolveUrl(article.querySelector('.hero .featured-img img, .wp-post-image')?.getAttribute('src') || '');
 
   // Author bio
-  const authorAvatar = article.querySelector('.post-author .author-image')?.getAttribute('src') || '';
-  const authorNameEl = article.querySelector('.post-author strong a');
+  const authorAvatar = resolveUrl(article.querySelector('.post-author .author-image, .post-author img')?.getAttribute('src') || '');
+  const authorNameEl = article.querySelector('.post-author strong a, .post-author a');
   const authorName = authorNameEl?.textContent?.trim() || '';
-  const authorLink = authorNameEl?.getAttribute('href') || '';
-  const authorBio = article.querySelector('.post-author .has-small-font-size')?.textContent?.trim() || '';
+  const authorLink = resolveUrl(authorNameEl?.getAttribute('href') || '');
+  const authorBio = article.querySelector('.post-author .has-small-font-size, .post-author p')?.textContent?.trim() || '';
 
   // Article body
-  const bodyContainer = article.querySelector('.post-content .acf-innerblocks-container > .wp-block-column');
+  const bodyContainer = article.querySelector('.post-content .acf-innerblocks-container > .wp-block-column')
+    || article.querySelector('.post-content')
+    || article.querySelector('.entry-content');
   const bodyHtml = bodyContainer?.innerHTML || '';
+  const bodyMarkdown = bodyContainer
+    ? blocksToMarkdown(extractContentBlocks(bodyContainer), { minHeadingLevel: 3 })
+    : '';
 
   // Tags
-  const tags = [...document.querySelectorAll('.resource-tags .tags li a')]
+  const tags = [...document.querySelectorAll('.resource-tags .tags li a, .resource-tags .tag a')]
     .map((a) => ({
       text: a.textContent.trim(),
       href: a.getAttribute('href'),
-    }));
+    }))
+    .filter((tag) => tag.text);
 
   // Social share links
   const shareLinks = [...document.querySelectorAll('.share-post a')]
     .map((a) => ({
-      platform: a.querySelector('.visually-hidden')?.textContent?.trim() || '',
+      platform: a.querySelector('.visually-hidden')?.textContent?.trim() || a.textContent?.trim() || '',
       href: a.getAttribute('href'),
     }))
-    .filter((link) => link.platform);
+    .filter((link) => link.platform && link.href);
 
   // Related posts
   const relatedPosts = [...document.querySelectorAll('.related-posts .resource')]
     .map((card) => ({
       category: card.querySelector('.leader')?.textContent?.trim() || '',
-      image: card.querySelector('.wrapper img')?.getAttribute('src') || '',
-      title: card.querySelector('.wrapper h3')?.textContent?.trim() || '',
-      description: card.querySelector('.wrapper p')?.textContent?.trim() || '',
-      link: card.querySelector('.wrapper a')?.getAttribute('href') || '',
-      linkText: card.querySelector('.wrapper a')?.textContent?.trim() || '',
-    }));
+      image: resolveUrl(card.querySelector('.wp-post-image, img')?.getAttribute('src') || ''),
+      title: card.querySelector('h3')?.textContent?.trim() || '',
+      description: card.querySelector('p:not(.leader)')?.textContent?.trim() || '',
+      link: resolveUrl(card.querySelector('a.mt-auto, a:last-of-type')?.getAttribute('href') || ''),
+      linkText: card.querySelector('a.mt-auto, a:last-of-type')?.textContent?.trim() || 'View resource',
+    }))
+    .filter((card) => card.title);
 
   // Page metadata from meta tags
   const getMeta = (selector, attr = 'content') => {
@@ -88,9 +102,13 @@ export function parse(document, url) {
   };
 
   return {
+    url,
     hero: { date, title, featuredImg },
-    author: { authorAvatar, authorName, authorLink, authorBio },
+    author: {
+      authorAvatar, authorName, authorLink, authorBio,
+    },
     bodyHtml,
+    bodyMarkdown,
     tags,
     shareLinks,
     relatedPosts,
@@ -101,9 +119,12 @@ export function parse(document, url) {
 /**
  * Generate EDS markdown from parsed content
  * @param {object} parsed - Output from parse()
+ * @param {object} [options]
+ * @param {boolean} [options.relatedBlock] - Emit a Related Resources block
+ *   instead of the page's related-post cards
  * @returns {string} EDS-compliant markdown
  */
-export function toMarkdown(parsed) {
+export function toMarkdown(parsed, { relatedBlock = false } = {}) {
   const lines = [];
 
   // Section 1: Hero + Author (default content + columns)
@@ -113,23 +134,32 @@ export function toMarkdown(parsed) {
   }
   lines.push(`# ${parsed.hero.title}`);
   lines.push('');
-  lines.push(parsed.hero.date);
-  lines.push('');
+  if (parsed.hero.date) {
+    lines.push(parsed.hero.date);
+    lines.push('');
+  }
 
   // Author bio as columns block
-  lines.push('| Columns |  |');
-  lines.push('| --- | --- |');
-  const authorText = `**By: [${parsed.author.authorName}](${parsed.author.authorLink})** ${parsed.author.authorBio}`;
-  lines.push(`| ![${parsed.author.authorName}](${parsed.author.authorAvatar}) | ${authorText} |`);
-  lines.push('');
+  if (parsed.author.authorName) {
+    lines.push('| Columns |  |');
+    lines.push('| --- | --- |');
+    const authorText = parsed.author.authorLink
+      ? `**By: [${parsed.author.authorName}](${parsed.author.authorLink})** ${parsed.author.authorBio}`
+      : `**By: ${parsed.author.authorName}** ${parsed.author.authorBio}`;
+    const avatarPart = parsed.author.authorAvatar ? `![${parsed.author.authorName}](${parsed.author.authorAvatar})` : '';
+    lines.push(`| ${avatarPart} | ${authorText} |`);
+    lines.push('');
+  }
   lines.push('---');
   lines.push('');
 
-  // Section 2: Article body (needs HTML-to-markdown conversion)
-  lines.push('<!-- Article body content goes here - convert from bodyHtml -->');
-  lines.push('');
-  lines.push('---');
-  lines.push('');
+  // Section 2: Article body
+  if (parsed.bodyMarkdown) {
+    lines.push(parsed.bodyMarkdown);
+    lines.push('');
+    lines.push('---');
+    lines.push('');
+  }
 
   // Section 3: Tags + Share
   if (parsed.tags.length > 0) {
@@ -145,16 +175,20 @@ export function toMarkdown(parsed) {
   lines.push('');
 
   // Section 4: Related posts (cards in dark section)
-  if (parsed.relatedPosts.length > 0) {
-    lines.push('## Related Posts');
-    lines.push('');
-    lines.push('| Cards |  |');
-    lines.push('| --- | --- |');
-    parsed.relatedPosts.forEach((card) => {
-      const cardText = `**${card.title}** ${card.description} [${card.linkText}](${card.link})`;
-      lines.push(`| ![${card.title}](${card.image}) | ${cardText} |`);
-    });
-    lines.push('');
+  if (relatedBlock || parsed.relatedPosts.length > 0) {
+    if (relatedBlock) {
+      lines.push(...relatedResourcesBlock(parsed.relatedPosts.length || undefined, 'Related Posts'));
+    } else {
+      lines.push('## Related Posts');
+      lines.push('');
+      lines.push('| Cards |  |');
+      lines.push('| --- | --- |');
+      parsed.relatedPosts.forEach((card) => {
+        const cardText = `**${card.title}** ${card.description} [${card.linkText}](${card.link})`;
+        lines.push(`| ![${card.title}](${card.image}) | ${cardText} |`);
+      });
+      lines.push('');
+    }
     lines.push('| Section Metadata |  |');
     lines.push('| --- | --- |');
     lines.push('| style | dark |');
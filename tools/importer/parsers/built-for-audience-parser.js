@@ -24,7 +24,9 @@ export function parse(document, url) {
     url,
     template: 'built-for-audience',
     hero: {},
-    useCases: { subtitle: '', heading: '', accordionItems: [], keyPoints: [] },
+    useCases: {
+      subtitle: '', heading: '', accordionItems: [], keyPoints: [],
+    },
     capabilities: { subtitle: '', heading: '', cards: [] },
     testimonials: [],
     resources: { heading: '', viewAllUrl: '', cards: [] },
@@ -192,7 +194,7 @@ export function toMarkdown(parsed) {
   lines.push('| Columns |  |');
   lines.push('| --- | --- |');
   const heroLeft = `${parsed.hero.description} [${parsed.hero.ctaText}](${parsed.hero.ctaUrl})`;
-  const heroImgSrc = parsed.hero.image.startsWith('/') ? `${SOURCE_DOMAIN}${parsed.hero.image}` : parsed.hero.image;
+  const heroImgSrc = parsed.hero.image?.startsWith('/') ? `${SOURCE_DOMAIN}${parsed.hero.image}` : parsed.hero.image;
   lines.push(`| ${heroLeft} | ![${parsed.hero.imageAlt || 'Hero image'}](${heroImgSrc}) |`);
   lines.push('');
   lines.push('---');
@@ -11,6 +11,8 @@
  * - Related Posts (3-card grid)
  */
 
+import { relatedResourcesBlock } from '../transformers/blog-article-transformer.js';
+
 const SOURCE_DOMAIN = 'https://www.zelis.com';
 
 /**
@@ -145,9 +147,12 @@ export function parse(document, url) {
 /**
  * Convert parsed content to EDS markdown
  * @param {object} parsed - Output from parse()
+ * @param {object} [options]
+ * @param {boolean} [options.relatedBlock] - Emit a Related Resources block
+ *   instead of the page's related-post cards
  * @returns {string} EDS-compatible markdown
  */
-export function toMarkdown(parsed) {
+export function toMarkdown(parsed, { relatedBlock = false } = {}) {
   const lines = [];
 
   // Section 1: Hero
@@ -228,18 +233,24 @@ export function toMarkdown(parsed) {
   lines.push('');
 
   // Section 7: Related Posts
-  if (parsed.relatedPosts.length > 0) {
-    lines.push('## Related Posts');
-    lines.push('');
+  if (relatedBlock || parsed.relatedPosts.length > 0) {
+    if (!relatedBlock) {
+      lines.push('## Related Posts');
+      lines.push('');
+    }
     lines.push('[View all resources](https://www.zelis.com/resources/)');
     lines.push('');
-    lines.push('| Cards |  |');
-    lines.push('| --- | --- |');
-    parsed.relatedPosts.forEach((card) => {
-      const imgSrc = card.image.startsWith('/') ? `${SOURCE_DOMAIN}${card.image}` : card.image;
-      lines.push(`| ![${card.imageAlt || card.title}](${imgSrc}) | **${card.title}** ${card.description} [${card.ctaText}](${card.ctaUrl}) |`);
-    });
-    lines.push('');
+    if (relatedBlock) {
+      lines.push(...relatedResourcesBlock(parsed.relatedPosts.length || undefined, 'Related Posts'));
+    } else {
+      lines.push('| Cards |  |');
+      lines.push('| --- | --- |');
+      parsed.relatedPosts.forEach((card) => {
+        const imgSrc = card.image.startsWith('/') ? `${SOURCE_DOMAIN}${card.image}` : card.image;
+        lines.push(`| ![${card.imageAlt || card.title}](${imgSrc}) | **${card.title}** ${card.description} [${card.ctaText}](${card.ctaUrl}) |`);
+      });
+      lines.push('');
+    }
     lines.push('| Section Metadata |  |');
     lines.push('| --- | --- |');
     lines.push('| style | dark |');
@@ -9,8 +9,24 @@
  * - .related-posts (3-card grid)
  */
 
+import { relatedResourcesBlock } from '../transformers/blog-article-transformer.js';
+
 const SOURCE_DOMAIN = 'https://www.zelis.com';
 
+/**
+ * Extract content category from article classes
+ */
+function extractCategory(document) {
+  const article = document.querySelector('article');
+  if (!article) return '';
+  const classes = article.className;
+  const match = classes.match(/category-([a-z-]+)/);
+  if (match) {
+    return match[1].replace(/-/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
+  }
+  return '';
+}
+
 /**
  * Parse a gated resource page DOM into structured content
  * @param {Document} document - The page DOM
@@ -21,7 +37,7 @@ export function parse(document, url) {
   const result = {
     url,
     template: 'gated-resource',
-    hero: {},
+    hero: { paragraphs: [], bulletPoints: [] },
     tags: [],
     shareLinks: [],
     relatedPosts: [],
@@ -39,13 +55,11 @@ export function parse(document, url) {
     // Extract description paragraphs from left column
     const leftCol = heroSection.querySelector('.col-12.col-lg-6:first-child');
     if (leftCol) {
-      result.hero.paragraphs = [];
       leftCol.querySelectorAll('p').forEach((p) => {
         const text = p.textContent.trim().replace(/\u00A0/g, ' ').trim();
         if (text) result.hero.paragraphs.push(text);
       });
 
-      result.hero.bulletPoints = [];
       leftCol.querySelectorAll('ul li').forEach((li) => {
         const text = li.textContent.trim().replace(/\u00A0/g, ' ').trim();
         if (text) result.hero.bulletPoints.push(text);
@@ -116,26 +130,15 @@ export function parse(document, url) {
   return result;
 }
 
-/**
- * Extract content category from article classes
- */
-function extractCategory(document) {
-  const article = document.querySelector('article');
-  if (!article) return '';
-  const classes = article.className;
-  const match = classes.match(/category-([a-z-]+)/);
-  if (match) {
-    return match[1].replace(/-/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
-  }
-  return '';
-}
-
 /**
  * Convert parsed content to EDS markdown
  * @param {object} parsed - Output from parse()
+ * @param {object} [options]
+ * @param {boolean} [options.relatedBlock] - Emit a Related Resources block
+ *   instead of the page's related-post cards
  * @returns {string} EDS-compatible markdown
  */
-export function toMarkdown(parsed) {
+export function toMarkdown(parsed, { relatedBlock = false } = {}) {
   const lines = [];
 
   // Section 1: Hero with form (dark)
@@ -205,12 +208,16 @@ export function toMarkdown(parsed) {
   lines.push('');
 
   // Section 3: Related Posts (dark)
-  lines.push('## Related Posts');
-  lines.push('');
+  if (!relatedBlock) {
+    lines.push('## Related Posts');
+    lines.push('');
+  }
   lines.push('[View all resources](https://www.zelis.com/resources/)');
   lines.push('');
 
-  if (parsed.relatedPosts.length > 0) {
+  if (relatedBlock) {
+    lines.push(...relatedResourcesBlock(parsed.relatedPosts.length || undefined, 'Related Posts'));
+  } else if (parsed.relatedPosts.length > 0) {
     lines.push('| Cards |  |');
     lines.push('| --- | --- |');
     parsed.relatedPosts.forEach((post) => {
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Internal Link Rewriter
+ *
+ * Run after bulk-import.js. Rewrites links in the imported markdown that
+ * point at migrated zelis.com pages (body links, "View all resources" links,
+ * related-post cards, ...) to their site-relative /content paths, using
+ * url-catalog.json and the importer's URL → content path mapping
+ * (see lib/link-rewriter.js).
+ *
+ * Links to pages that have not been migrated are left untouched and listed
+ * in link-report.json with the pages that reference them, most-linked first.
+ *
+ * Usage:
+ *   node rewrite-links.js              # Rewrite links in content/**\/*.md
+ *   node rewrite-links.js --dry-run    # Only write the report
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONTENT_DIR } = require('./lib/content-paths.js');
+const { createLinkRewriter } = require('./lib/link-rewriter.js');
+
+const CATALOG_PATH = path.join(__dirname, 'url-catalog.json');
+const REPORT_PATH = path.join(__dirname, 'link-report.json');
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+/**
+ * Find all imported markdown files
+ */
+function findMdFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findMdFiles(fullPath);
+    return entry.name.endsWith('.md') ? [fullPath] : [];
+  });
+}
+
+function main() {
+  console.log('Internal Link Rewriter');
+  console.log(`Mode: ${dryRun ? 'DRY RUN' : 'LIVE'}`);
+  console.log('');
+
+  const catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+  const rewriter = createLinkRewriter(catalog);
+  console.log(`Migrated pages in catalog: ${rewriter.migratedCount}`);
+
+  const files = findMdFiles(CONTENT_DIR);
+  const unmigrated = new Map();
+  let pagesChanged = 0;
+  let linksRewritten = 0;
+
+  files.forEach((file) => {
+    const page = path.relative(CONTENT_DIR, file).replace(/\\/g, '/');
+    const original = fs.readFileSync(file, 'utf8');
+    const { markdown, rewritten, unmigrated: missing } = rewriter.rewrite(original);
+
+    missing.forEach((url) => {
+      const entry = unmigrated.get(url) || { url, count: 0, pages: new Set() };
+      entry.count += 1;
+      entry.pages.add(page);
+      unmigrated.set(url, entry);
+    });
+
+    if (rewritten > 0) {
+      pagesChanged += 1;
+      linksRewritten += rewritten;
+      if (!dryRun) fs.writeFileSync(file, markdown, 'utf8');
+    }
+  });
+
+  const report = {
+    timestamp: new Date().toISOString(),
+    dryRun,
+    pagesScanned: files.length,
+    pagesChanged,
+    linksRewritten,
+    unmigrated: [...unmigrated.values()]
+      .map((entry) => ({ ...entry, pages: [...entry.pages].sort() }))
+      .sort((a, b) => b.count - a.count || a.url.localeCompare(b.url)),
+  };
+  fs.writeFileSync(REPORT_PATH, JSON.stringify(report, null, 2));
+
+  console.log(`Pages scanned:   ${report.pagesScanned}`);
+  console.log(`Pages ${dryRun ? 'to change' : 'changed'}:   ${pagesChanged}`);
+  console.log(`Links ${dryRun ? 'to rewrite' : 'rewritten'}: ${linksRewritten}`);
+  console.log(`Unmigrated link targets: ${report.unmigrated.length}`);
+  console.log(`\nReport saved to: ${REPORT_PATH}`);
+}
+
+main();
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Search Analytics Report
+ *
+ * Aggregates a JSONL export of the search RUM events (see
+ * scripts/search/analytics.js and lib/search-events.js) into the top queries,
+ * the queries that found nothing, the facets used and where in the results
+ * visitors click.
+ *
+ * Usage:
+ *   node search-report.js events.jsonl              # Print the report
+ *   node search-report.js events.jsonl --top 50     # Rows per table (default 20)
+ *   node search-report.js events.jsonl --json       # Aggregates as JSON
+ *   node search-report.js - < events.jsonl          # Read from stdin
+ */
+
+const fs = require('fs');
+const { parseEvents, aggregateEvents } = require('./lib/search-events.js');
+
+const DEFAULT_TOP = 20;
+
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const idx = args.indexOf(`--${name}`);
+  return idx >= 0 && args[idx + 1] ? args[idx + 1] : null;
+};
+
+const inputPath = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--top');
+const top = getArg('top') ? Math.max(1, parseInt(getArg('top'), 10)) : DEFAULT_TOP;
+const asJson = args.includes('--json');
+
+/**
+ * Fixed-width table, numbers right-aligned
+ */
+function printTable(title, columns, rows) {
+  console.log(`\n${title}`);
+  if (!rows.length) {
+    console.log('  (none)');
+    return;
+  }
+  const cells = rows.map((row) => columns.map(({ key }) => String(row[key])));
+  const widths = columns.map(({ label }, i) => Math.max(
+    label.length,
+    ...cells.map((row) => row[i].length),
+  ));
+  const format = (values) => values
+    .map((value, i) => (columns[i].numeric ? value.padStart(widths[i]) : value.padEnd(widths[i])))
+    .join('  ');
+  console.log(`  ${format(columns.map(({ label }) => label))}`);
+  console.log(`  ${widths.map((width) => '-'.repeat(width)).join('  ')}`);
+  cells.forEach((row) => console.log(`  ${format(row)}`));
+}
+
+function main() {
+  if (!inputPath) {
+    console.error('Usage: node search-report.js <events.jsonl|-> [--top N] [--json]');
+    process.exit(1);
+  }
+
+  const jsonl = fs.readFileSync(inputPath === '-' ? 0 : inputPath, 'utf8');
+  const { events, skipped } = parseEvents(jsonl);
+  const report = aggregateEvents(events);
+
+  if (asJson) {
+    console.log(JSON.stringify({ ...report, skipped }, null, 2));
+    return;
+  }
+
+  const { totals } = report;
+  const zeroRate = totals.searches ? Math.round((totals.zeroResults / totals.searches) * 100) : 0;
+  console.log('Search Analytics Report');
+  console.log('='.repeat(60));
+  console.log(`Events:       ${events.length}${skipped ? ` (${skipped} unreadable lines skipped)` : ''}`);
+  console.log(`Searches:     ${totals.searches} (estimated from sampled events)`);
+  console.log(`Zero results: ${totals.zeroResults} (${zeroRate}%)`);
+  console.log(`Clicks:       ${totals.clicks}`);
+  console.log(`Filters:      ${totals.filters}`);
+
+  printTable('Top queries', [
+    { key: 'query', label: 'Query' },
+    { key: 'searches', label: 'Searches', numeric: true },
+    { key: 'averageResults', label: 'Avg results', numeric: true },
+    { key: 'clicks', label: 'Clicks', numeric: true },
+    { key: 'clickRate', label: 'Click rate', numeric: true },
+  ], report.queries.slice(0, top));
+
+  printTable('Zero-result queries', [
+    { key: 'query', label: 'Query' },
+    { key: 'zeroResults', label: 'Zero-result searches', numeric: true },
+    { key: 'searches', label: 'Searches', numeric: true },
+  ], report.zeroResults.slice(0, top));
+
+  printTable('Facets', [
+    { key: 'facet', label: 'Facet' },
+    { key: 'value', label: 'Value' },
+    { key: 'uses', label: 'Uses', numeric: true },
+    { key: 'zeroResults', label: 'Zero results', numeric: true },
+  ], report.facets.slice(0, top).map((row) => ({ ...row, value: row.value || '(cleared)' })));
+
+  printTable('Clicks by position', [
+    { key: 'position', label: 'Position', numeric: true },
+    { key: 'clicks', label: 'Clicks', numeric: true },
+  ], report.positions.slice(0, top));
+}
+
+main();
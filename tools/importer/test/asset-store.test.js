@@ -0,0 +1,125 @@
+/**
+ * Asset Store Tests
+ *
+ * Images are stored once per content hash, references are rewritten to the
+ * local copies, and a later run reuses what manifest.json already records
+ * instead of downloading it again.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAssetStore } = require('../lib/asset-store.js');
+
+const PNG = Buffer.from('fake png bytes');
+const JPEG = Buffer.from('fake jpeg bytes');
+const HERO = 'https://www.zelis.com/wp-content/uploads/2024/03/hero.png';
+const HERO_RESIZED = 'https://www.zelis.com/wp-content/uploads/2024/03/hero-1024x576.png';
+const AVATAR = 'https://www.zelis.com/wp-content/uploads/2024/03/avatar.jpg?ver=2';
+
+const hashOf = (body) => crypto.createHash('sha256').update(body).digest('hex');
+
+// Serves canned files and records every request
+function createServer(files) {
+  const requests = [];
+  const fetchBinary = async (url) => {
+    requests.push(url);
+    if (!files[url]) throw new Error(`404 Not Found: ${url}`);
+    return files[url];
+  };
+  return { requests, fetchBinary };
+}
+
+describe('asset-store', () => {
+  let mediaDir;
+  let server;
+
+  beforeEach(() => {
+    mediaDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'asset-store-')), 'media');
+    server = createServer({
+      [HERO]: { body: PNG, contentType: 'image/png' },
+      [HERO_RESIZED]: { body: PNG, contentType: 'image/png' },
+      [AVATAR]: { body: JPEG, contentType: 'image/jpeg; charset=binary' },
+    });
+  });
+
+  const store = () => createAssetStore(mediaDir, { publicPath: '/media', fetchBinary: server.fetchBinary });
+
+  it('names files by content hash and stores identical images once', async () => {
+    const markdown = [
+      `![Hero](${HERO})`,
+      `![Hero again](${HERO_RESIZED})`,
+      `| ![Author](${AVATAR}) | **By: Jane** |`,
+      `| image | ${HERO} |`,
+    ].join('\n');
+
+    const result = await store().localize(markdown);
+
+    const heroFile = `media_${hashOf(PNG).slice(0, 16)}.png`;
+    const avatarFile = `media_${hashOf(JPEG).slice(0, 16)}.jpg`;
+    assert.equal(result.markdown, [
+      `![Hero](/media/${heroFile})`,
+      `![Hero again](/media/${heroFile})`,
+      `| ![Author](/media/${avatarFile}) | **By: Jane** |`,
+      `| image | /media/${heroFile} |`,
+    ].join('\n'));
+    assert.equal(result.downloaded, 3);
+    assert.deepEqual(fs.readdirSync(mediaDir).sort(), [avatarFile, heroFile, 'manifest.json'].sort());
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(mediaDir, 'manifest.json'), 'utf8'));
+    assert.equal(manifest[HERO].file, heroFile);
+    assert.equal(manifest[HERO_RESIZED].file, heroFile);
+    assert.equal(manifest[AVATAR].hash, hashOf(JPEG));
+  });
+
+  it('reuses manifest entries on a later run without downloading again', async () => {
+    await store().localize(`![Hero](${HERO})`);
+    server.requests.length = 0;
+
+    const result = await store().localize(`![Hero](${HERO})\n![Author](${AVATAR})`);
+    assert.deepEqual(server.requests, [AVATAR]);
+    assert.equal(result.reused, 1);
+    assert.equal(result.downloaded, 1);
+  });
+
+  it('downloads again when the manifest points at a file that is gone', async () => {
+    await store().localize(`![Hero](${HERO})`);
+    fs.rmSync(path.join(mediaDir, `media_${hashOf(PNG).slice(0, 16)}.png`));
+    server.requests.length = 0;
+
+    const result = await store().localize(`![Hero](${HERO})`);
+    assert.deepEqual(server.requests, [HERO]);
+    assert.equal(result.downloaded, 1);
+  });
+
+  it('rewrites from the manifest offline and leaves other images on the source site', async () => {
+    await store().localize(`![Hero](${HERO})`);
+    server.requests.length = 0;
+
+    const offline = createAssetStore(mediaDir, { publicPath: '/media', fetchBinary: server.fetchBinary, offline: true });
+    const result = await offline.localize(`![Hero](${HERO})\n![Author](${AVATAR})`);
+
+    assert.deepEqual(server.requests, []);
+    assert.equal(result.markdown, `![Hero](/media/media_${hashOf(PNG).slice(0, 16)}.png)\n![Author](${AVATAR})`);
+    assert.equal(result.reused, 1);
+    assert.equal(result.skipped, 1);
+    assert.deepEqual(result.failed, []);
+  });
+
+  it('keeps the original URL and reports images that fail to download', async () => {
+    const missing = 'https://www.zelis.com/wp-content/uploads/missing.png';
+    const result = await store().localize(`![Gone](${missing})`);
+    assert.equal(result.markdown, `![Gone](${missing})`);
+    assert.deepEqual(result.failed, [{ url: missing, error: `404 Not Found: ${missing}` }]);
+  });
+
+  it('writes nothing on dry runs', async () => {
+    const dry = createAssetStore(mediaDir, { publicPath: '/media', fetchBinary: server.fetchBinary, persist: false });
+    const result = await dry.localize(`![Hero](${HERO})`);
+    assert.match(result.markdown, /\/media\/media_[0-9a-f]{16}\.png/);
+    assert.equal(fs.existsSync(mediaDir), false);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Build Manifest Tests
+ *
+ * An entry is reused only while its input hash and the section version are
+ * unchanged; builds sharing the manifest keep each other's sections; and a
+ * watched build reruns when its config file changes.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MANIFEST_FILE, hashContent, hashFiles, loadBuildManifest, watchBuild,
+} = require('../lib/build-manifest.js');
+
+describe('build-manifest', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-manifest-'));
+  });
+
+  it('reuses an entry only while the input hash is unchanged', () => {
+    const section = loadBuildManifest(dir).section('index', 'v1');
+    const hash = hashContent('<main>Post</main>');
+    section.set('blog/post.html', { hash, title: 'Post' });
+    section.save();
+
+    const next = loadBuildManifest(dir).section('index', 'v1');
+    assert.deepEqual(next.fresh('blog/post.html', hash), { hash, title: 'Post' });
+    assert.equal(next.fresh('blog/post.html', hashContent('<main>Edited</main>')), null);
+    assert.equal(next.fresh('blog/other.html', hash), null);
+  });
+
+  it('drops every entry of a section when its version changes', () => {
+    const hash = hashContent('post');
+    const section = loadBuildManifest(dir).section('index', 'v1');
+    section.set('blog/post.html', { hash });
+    section.save();
+
+    assert.equal(loadBuildManifest(dir).section('index', 'v2').fresh('blog/post.html', hash), null);
+  });
+
+  it('versions a section by the content of its source files', () => {
+    const config = path.join(dir, 'helix-query.yaml');
+    fs.writeFileSync(config, 'indices: {}\n');
+    const before = hashFiles([config]);
+    assert.equal(hashFiles([config]), before);
+    fs.writeFileSync(config, 'indices: { default: {} }\n');
+    assert.notEqual(hashFiles([config]), before);
+  });
+
+  it('prunes entries whose input is gone', () => {
+    const section = loadBuildManifest(dir).section('convert', 'v1');
+    section.set('a.md', { hash: '1' });
+    section.set('b.md', { hash: '2' });
+    assert.deepEqual(section.prune(['a.md']), ['b.md']);
+    assert.equal(section.fresh('b.md', '2'), null);
+  });
+
+  it('keeps the sections of other builds when saving', () => {
+    const convert = loadBuildManifest(dir).section('convert', 'c1');
+    const index = loadBuildManifest(dir).section('index', 'i1');
+    convert.set('blog/post.md', { hash: 'md' });
+    index.set('blog/post.html', { hash: 'html' });
+    convert.save();
+    index.save();
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8'));
+    assert.deepEqual(Object.keys(saved).sort(), ['convert', 'index']);
+    assert.equal(saved.convert.entries['blog/post.md'].hash, 'md');
+  });
+
+  it('rebuilds when a watched config file changes', async (t) => {
+    const contentDir = path.join(dir, 'content');
+    fs.mkdirSync(contentDir);
+    const config = path.join(dir, 'helix-query.yaml');
+    fs.writeFileSync(config, 'version: 1\n');
+
+    const builds = [];
+    let onBuild = () => {};
+    t.mock.method(console, 'log', () => {});
+    const watchers = watchBuild(contentDir, () => true, async () => {
+      builds.push(fs.readFileSync(config, 'utf8'));
+      onBuild();
+    }, { files: [config], debounceMs: 10 });
+
+    try {
+      const rebuilt = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('no rebuild after the config changed')), 5000);
+        onBuild = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      fs.writeFileSync(config, 'version: 2\n');
+      await rebuilt;
+      assert.deepEqual(builds, ['version: 1\n', 'version: 2\n']);
+    } finally {
+      watchers.forEach((watcher) => watcher.close());
+    }
+  });
+});
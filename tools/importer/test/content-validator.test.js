@@ -0,0 +1,125 @@
+/**
+ * Content Validator Tests
+ *
+ * The generated page is summarized the same way from its .md and its
+ * .plain.html, without the Metadata blocks, and the comparison with the
+ * source page scores and reports what the import dropped.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const {
+  summarizeElements,
+  summarizePlainHtml,
+  summarizeMarkdown,
+  compareSummaries,
+} = require('../lib/content-validator.js');
+
+const SOURCE_HTML = `<main>
+  <h1>Claims Cost Trends</h1>
+  <p>Costs keep rising for health plans.</p>
+  <h2>Related Posts</h2>
+  <div class="card"><img src="/a.jpg"><p><strong>First post</strong></p><a href="/blog/first/">Read</a></div>
+  <div class="card"><img src="/b.jpg"><p><strong>Second post</strong></p><a href="/blog/second/">Read</a></div>
+  <div class="card"><img src="/c.jpg"><p><strong>Third post</strong></p><a href="/blog/third/">Read</a></div>
+  <a href="#top" aria-label="Back to top"></a>
+</main>`;
+
+const MARKDOWN = [
+  '# Claims Cost Trends',
+  '',
+  'Costs keep rising for **health plans**.',
+  '',
+  '## Related Posts',
+  '',
+  '| Cards |  |',
+  '| --- | --- |',
+  '| ![First](/a.jpg) | **First post** [Read](/blog/first/) |',
+  '| ![Second](/b.jpg) | **Second post** [Read](/blog/second/) |',
+  '| ![Third](/c.jpg) | **Third post** [Read](/blog/third/) |',
+  '',
+  '| Section Metadata |  |',
+  '| --- | --- |',
+  '| style | dark |',
+  '',
+  '| Metadata |  |',
+  '| --- | --- |',
+  '| title | Claims Cost Trends Metadata |',
+  '| image | ![Cover](/cover.jpg) |',
+  '| canonical | [link](https://www.zelis.com/blog/claims-cost-trends/) |',
+].join('\n');
+
+const summarizeSource = (html) => summarizeElements([new JSDOM(html).window.document.body]);
+
+describe('content-validator', () => {
+  it('summarizes markdown without its Metadata and Section Metadata blocks', () => {
+    const summary = summarizeMarkdown(MARKDOWN);
+    assert.deepEqual(summary.headings, ['claims cost trends', 'related posts']);
+    assert.equal(summary.images, 3);
+    assert.equal(summary.links, 3);
+    assert.equal(summary.words.get('metadata'), undefined);
+    assert.equal(summary.words.get('dark'), undefined);
+    assert.equal(summary.words.get('costs'), 1);
+  });
+
+  it('summarizes a page the same without a Metadata block', () => {
+    const withoutMetadata = MARKDOWN.slice(0, MARKDOWN.indexOf('| Metadata |'));
+    assert.deepEqual(summarizeMarkdown(withoutMetadata), summarizeMarkdown(MARKDOWN));
+  });
+
+  it('summarizes .plain.html without its metadata blocks', () => {
+    const { document } = new JSDOM(`<body>
+      <div><h1>Claims Cost Trends</h1><p>Costs keep rising.</p><img src="/a.jpg">
+        <div class="section-metadata"><div><div>style</div><div>dark</div></div></div></div>
+      <div class="metadata"><div><div>image</div><div><img src="/cover.jpg"></div></div>
+        <div><div>canonical</div><div><a href="/blog/claims-cost-trends/">link</a></div></div></div>
+    </body>`).window;
+    const summary = summarizePlainHtml(document);
+    assert.deepEqual(summary.headings, ['claims cost trends']);
+    assert.equal(summary.images, 1);
+    assert.equal(summary.links, 0);
+    assert.equal(summary.words.get('dark'), undefined);
+  });
+
+  it('scores an import that kept everything at 1', () => {
+    const source = summarizeSource(SOURCE_HTML);
+    const result = compareSummaries(source, summarizeMarkdown(MARKDOWN));
+    assert.equal(result.score, 1);
+    assert.deepEqual(result.missingHeadings, []);
+    assert.deepEqual(result.counts.images, { source: 3, imported: 3 });
+    assert.deepEqual(result.counts.links, { source: 3, imported: 3 });
+  });
+
+  it('reports a dropped heading and cards the import has fewer of', () => {
+    const source = summarizeSource(SOURCE_HTML);
+    const oneCard = MARKDOWN.split('\n')
+      .filter((line) => !/Second|Third|## Related/.test(line))
+      .join('\n');
+    const result = compareSummaries(source, summarizeMarkdown(oneCard));
+
+    assert.deepEqual(result.missingHeadings, ['related posts']);
+    assert.equal(result.scores.headings, 0.5);
+    assert.equal(result.scores.images, 0.33);
+    assert.equal(result.scores.links, 0.33);
+    assert.deepEqual(result.counts.images, { source: 3, imported: 1 });
+    assert.ok(result.scores.text < 1);
+    assert.ok(result.score < 0.8, `score ${result.score}`);
+  });
+
+  it('scores extra images and links in the import down as well', () => {
+    const source = summarizeSource('<main><h1>About</h1><p>Who we are.</p></main>');
+    const result = compareSummaries(source, summarizeMarkdown('# About\n\nWho we are.\n\n![Team](/team.jpg) [Careers](/careers/)'));
+    assert.equal(result.scores.text, 1);
+    assert.equal(result.scores.images, 0);
+    assert.equal(result.scores.links, 0);
+    assert.equal(result.score, 0.7);
+  });
+
+  it('scores a page that only kept its Metadata block at 0', () => {
+    const source = summarizeSource(SOURCE_HTML);
+    const metadataOnly = summarizeMarkdown(MARKDOWN.slice(MARKDOWN.indexOf('| Metadata |')));
+    assert.equal(compareSummaries(source, metadataOnly).score, 0);
+    assert.equal(compareSummaries(summarizeSource('<main></main>'), metadataOnly).score, 1);
+  });
+});
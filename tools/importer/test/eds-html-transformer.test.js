@@ -0,0 +1,91 @@
+/**
+ * EDS HTML Transformer Tests
+ *
+ * Checks the markdown → EDS HTML structure convert-all-md.js writes:
+ * sections, blocks, default content and head metadata.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const TRANSFORMER = path.join(__dirname, '../transformers/eds-html-transformer.js');
+
+const MARKDOWN = `# Claims Cost Trends
+
+Claims costs keep rising, and payers feel it first as spend keeps growing every year.
+
+- Specialty drugs
+  - Biologics
+- Out-of-network care
+
+---
+
+| Cards (Dark) |  |
+| --- | --- |
+| ![Chart](/content/media/chart.png) | **Trends** to watch |
+
+| Section Metadata |  |
+| --- | --- |
+| style | dark |
+
+---
+
+| Metadata |  |
+| --- | --- |
+| Title | Three Claims Cost Trends |
+| Image | ![Hero](/content/media/hero.png) |
+| Tags | Payers, Claims |
+| Template | blog |
+`;
+
+describe('eds-html-transformer', () => {
+  let transformer;
+
+  before(async () => {
+    transformer = await import(pathToFileURL(TRANSFORMER).href);
+  });
+
+  it('derives block class names from the block name', () => {
+    assert.deepEqual(transformer.toBlockClassNames('Cards (Dark, Wide)'), ['cards', 'dark', 'wide']);
+    assert.deepEqual(transformer.toBlockClassNames('Section Metadata'), ['section-metadata']);
+  });
+
+  it('splits sections at --- and drops the empty metadata-only section', () => {
+    const { plainHtml } = transformer.markdownToEdsHtml(MARKDOWN);
+    assert.equal(plainHtml.match(/^<div>$/gm).length, 2);
+    assert.ok(!plainHtml.includes('<hr>'));
+  });
+
+  it('renders default content, nested lists and heading ids', () => {
+    const { plainHtml } = transformer.markdownToEdsHtml(MARKDOWN);
+    assert.match(plainHtml, /<h1 id="claims-cost-trends">Claims Cost Trends<\/h1>/);
+    assert.match(plainHtml, /<li>Specialty drugs\n<ul>\n<li>Biologics<\/li>/);
+  });
+
+  it('turns tables into blocks with images in <picture>', () => {
+    const { plainHtml } = transformer.markdownToEdsHtml(MARKDOWN);
+    assert.ok(plainHtml.includes(
+      '<div class="cards dark"><div><div><picture><img src="/content/media/chart.png" alt="Chart"></picture></div>'
+      + '<div><strong>Trends</strong> to watch</div></div></div>',
+    ));
+    assert.ok(plainHtml.includes('<div class="section-metadata"><div><div>style</div><div>dark</div></div></div>'));
+  });
+
+  it('moves the Metadata block into head meta tags', () => {
+    const { plainHtml, headHtml, title } = transformer.markdownToEdsHtml(MARKDOWN);
+    assert.ok(!plainHtml.includes('class="metadata"'));
+    assert.equal(title, 'Three Claims Cost Trends');
+    assert.ok(headHtml.includes('<title>Three Claims Cost Trends</title>'));
+    assert.ok(headHtml.includes('<meta property="og:image" content="/content/media/hero.png">'));
+    assert.ok(headHtml.includes('<meta property="article:tag" content="Payers">'));
+    assert.ok(headHtml.includes('<meta property="article:tag" content="Claims">'));
+    assert.ok(headHtml.includes('<meta name="template" content="blog">'));
+    // The columns helix-query.yaml selects
+    assert.ok(headHtml.includes('<meta name="title" content="Three Claims Cost Trends">'));
+    assert.ok(headHtml.includes('<meta name="image" content="/content/media/hero.png">'));
+    assert.ok(headHtml.includes('<meta name="tags" content="Payers, Claims">'));
+    assert.match(headHtml, /<meta name="description" content="Claims costs keep rising/);
+  });
+});
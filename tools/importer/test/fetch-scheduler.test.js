@@ -0,0 +1,119 @@
+/**
+ * Fetch Scheduler Tests
+ *
+ * Requests go through a fake fetch that answers from a script, with delays
+ * of a few milliseconds so the pacing can be observed without a server.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFetchScheduler, parseRetryAfter, retryReason } = require('../lib/fetch-scheduler.js');
+
+const HOST = 'www.zelis.com';
+const PAGE_URL = `https://${HOST}/blog/post/`;
+
+const httpError = (status, retryAfter = null) => Object.assign(new Error(`${status}`), { status, retryAfter });
+
+/**
+ * Fake fetch answering from `responses` in order (an Error is thrown, anything
+ * else returned), then 'ok'; records when each request started
+ */
+function scriptedFetch(responses = []) {
+  const starts = [];
+  const queue = [...responses];
+  const fetch = async () => {
+    starts.push(Date.now());
+    const next = queue.shift();
+    if (next instanceof Error) throw next;
+    return next ?? 'ok';
+  };
+  return { fetch, starts };
+}
+
+describe('fetch-scheduler', () => {
+  it('retries 429 and 5xx but not other errors', async () => {
+    const { fetch } = scriptedFetch([httpError(429), httpError(502)]);
+    const scheduler = createFetchScheduler({
+      delayMs: 0, backoffMs: 1, maxRetries: 3, fetch,
+    });
+    assert.equal(await scheduler.fetch(PAGE_URL), 'ok');
+    assert.deepEqual(scheduler.stats().retryReasons, { 429: 1, 502: 1 });
+
+    const notFound = createFetchScheduler({ fetch: scriptedFetch([httpError(404)]).fetch });
+    await assert.rejects(notFound.fetch(PAGE_URL), /404/);
+    assert.equal(notFound.stats().retries, 0);
+  });
+
+  it('gives up after maxRetries', async () => {
+    const { fetch, starts } = scriptedFetch([httpError(500), httpError(500), httpError(500)]);
+    const scheduler = createFetchScheduler({
+      delayMs: 0, backoffMs: 1, maxRetries: 2, fetch,
+    });
+    await assert.rejects(scheduler.fetch(PAGE_URL), /500 \(after 2 retries\)/);
+    assert.equal(starts.length, 3);
+  });
+
+  it('widens the gap between requests after 429/503 and narrows it on success', async () => {
+    const { fetch } = scriptedFetch([httpError(503)]);
+    const scheduler = createFetchScheduler({
+      delayMs: 5, backoffMs: 20, maxBackoffMs: 200, fetch,
+    });
+
+    await scheduler.fetch(PAGE_URL);
+    // The 503 set the gap to the backoff; the retry's success shrank it by a tenth
+    assert.equal(scheduler.stats().slowdowns, 1);
+    assert.deepEqual(scheduler.stats().hostDelayMs, { [HOST]: 18 });
+
+    await Promise.all(Array.from({ length: 20 }, () => scheduler.fetch(PAGE_URL)));
+    assert.deepEqual(scheduler.stats().hostDelayMs, {});
+  });
+
+  it('spaces request starts by the widened gap', async () => {
+    const { fetch, starts } = scriptedFetch([httpError(429), httpError(429)]);
+    const scheduler = createFetchScheduler({
+      concurrency: 1, delayMs: 1, backoffMs: 30, maxBackoffMs: 1000, fetch,
+    });
+
+    await scheduler.fetch(PAGE_URL);
+    await scheduler.fetch(PAGE_URL);
+    // Two 429s widened the gap to 30, then 60ms; the next fetch waits it out
+    const gaps = starts.slice(1).map((start, i) => start - starts[i]);
+    assert.ok(gaps[2] >= 50, `gap after recovery ${gaps[2]}ms`);
+  });
+
+  it('pauses the host for Retry-After', async () => {
+    const { fetch, starts } = scriptedFetch([httpError(429, '1')]);
+    const scheduler = createFetchScheduler({
+      delayMs: 0, backoffMs: 1, maxBackoffMs: 5000, fetch,
+    });
+    await scheduler.fetch(PAGE_URL);
+    assert.ok(starts[1] - starts[0] >= 990, `retried after ${starts[1] - starts[0]}ms`);
+  });
+
+  it('keeps at most `concurrency` requests in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const scheduler = createFetchScheduler({
+      concurrency: 2,
+      delayMs: 0,
+      fetch: async () => {
+        inFlight += 1;
+        peak = Math.max(peak, inFlight);
+        await new Promise((resolve) => { setTimeout(resolve, 5); });
+        inFlight -= 1;
+        return 'ok';
+      },
+    });
+    await Promise.all(Array.from({ length: 6 }, (_, i) => scheduler.fetch(`${PAGE_URL}?page=${i}`)));
+    assert.equal(peak, 2);
+  });
+
+  it('parses Retry-After and classifies failures', () => {
+    const now = Date.parse('2024-05-01T12:00:00Z');
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter('Wed, 01 May 2024 12:00:30 GMT', now), 30000);
+    assert.equal(parseRetryAfter('soon'), null);
+    assert.equal(retryReason(Object.assign(new Error(), { code: 'ECONNRESET' })), 'ECONNRESET');
+    assert.equal(retryReason(httpError(403)), null);
+  });
+});
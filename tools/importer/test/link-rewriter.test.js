@@ -0,0 +1,84 @@
+/**
+ * Link Rewriter Tests
+ *
+ * Links to migrated zelis.com pages point at their /content/ paths; links to
+ * pages that are not migrated yet are kept and reported.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLinkRewriter, linkKey } = require('../lib/link-rewriter.js');
+
+const CATALOG = {
+  alreadyMigrated: ['https://www.zelis.com/about/'],
+  batches: {
+    '3a-blog': {
+      urls: [
+        'https://www.zelis.com/blog/claims-cost-trends/',
+        'https://www.zelis.com/blog/not-imported-yet/',
+      ],
+    },
+  },
+};
+
+describe('link-rewriter', () => {
+  let contentDir;
+
+  beforeEach(() => {
+    contentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'link-rewriter-'));
+    fs.mkdirSync(path.join(contentDir, 'blog'));
+    fs.writeFileSync(path.join(contentDir, 'blog', 'claims-cost-trends.md'), '# Claims cost trends\n');
+  });
+
+  it('rewrites links to migrated pages and keeps the fragment', () => {
+    const rewriter = createLinkRewriter(CATALOG, { contentDir });
+    const { markdown, rewritten, unmigrated } = rewriter.rewrite([
+      'See [trends](https://www.zelis.com/blog/claims-cost-trends/#costs) and',
+      '[about us](https://zelis.com/about).',
+    ].join('\n'));
+
+    assert.equal(markdown, [
+      'See [trends](/content/blog/claims-cost-trends#costs) and',
+      '[about us](/content/about).',
+    ].join('\n'));
+    assert.equal(rewritten, 2);
+    assert.deepEqual(unmigrated, []);
+    assert.equal(rewriter.migratedCount, 2);
+  });
+
+  it('reports zelis.com links whose page is not migrated', () => {
+    const rewriter = createLinkRewriter(CATALOG, { contentDir });
+    const source = [
+      '[Next](https://www.zelis.com/blog/not-imported-yet/)',
+      '[Careers](https://www.zelis.com/careers/)',
+    ].join(' ');
+    const { markdown, rewritten, unmigrated } = rewriter.rewrite(source);
+
+    assert.equal(markdown, source);
+    assert.equal(rewritten, 0);
+    assert.deepEqual(unmigrated, [
+      'https://www.zelis.com/blog/not-imported-yet/',
+      'https://www.zelis.com/careers/',
+    ]);
+  });
+
+  it('leaves images and links to other sites alone', () => {
+    const rewriter = createLinkRewriter(CATALOG, { contentDir });
+    const source = '![Trends](https://www.zelis.com/blog/claims-cost-trends/) [LinkedIn](https://www.linkedin.com/company/zelis/)';
+    const { markdown, unmigrated } = rewriter.rewrite(source);
+
+    assert.equal(markdown, source);
+    assert.deepEqual(unmigrated, []);
+  });
+
+  it('keys URLs by path and query without the trailing slash', () => {
+    assert.equal(linkKey('https://www.zelis.com/blog/post/'), '/blog/post');
+    assert.equal(linkKey('https://zelis.com/resources/?category=blog'), '/resources?category=blog');
+    assert.equal(linkKey('https://www.zelis.com/'), '/');
+    assert.equal(linkKey('https://example.com/blog/post/'), null);
+    assert.equal(linkKey('not a url'), null);
+  });
+});
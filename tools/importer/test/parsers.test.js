@@ -0,0 +1,111 @@
+/**
+ * Parser Golden-File Tests
+ *
+ * Runs every fixture in test/fixtures/<template>/<name>.html through the
+ * registered parser for <template> (parse + toMarkdown) and compares the
+ * markdown with the checked-in golden file next to it (<name>.md). The page
+ * URL passed to parse() is the fixture's canonical link.
+ *
+ * A selector change in a parser shows up as a failing test here; once the
+ * change is intended, rewrite the golden files and review them in the diff:
+ *
+ *   npm test                 # Compare against the golden files
+ *   npm run test:update      # Rewrite the golden files (this file with --update)
+ *
+ * Fixtures are hand-written pages that reproduce the markup each parser
+ * selects on zelis.com, trimmed to a few sections; they are not saved copies
+ * of live pages. A snapshot from bulk-import.js --cache-dir can be added next
+ * to them to cover a page the hand-written ones miss.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { loadParserRegistry } = require('../lib/parser-registry.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const FALLBACK_URL = 'https://www.zelis.com/';
+const updateSnapshots = process.argv.includes('--update');
+
+/**
+ * Fixtures as [{template, name, htmlPath, goldenPath}]
+ */
+function findFixtures() {
+  return fs.readdirSync(FIXTURES_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .flatMap(({ name: template }) => fs.readdirSync(path.join(FIXTURES_DIR, template))
+      .filter((file) => file.endsWith('.html'))
+      .sort()
+      .map((file) => ({
+        template,
+        name: file.replace(/\.html$/, ''),
+        htmlPath: path.join(FIXTURES_DIR, template, file),
+        goldenPath: path.join(FIXTURES_DIR, template, file.replace(/\.html$/, '.md')),
+      })));
+}
+
+function renderFixture(parser, htmlPath, options) {
+  const html = fs.readFileSync(htmlPath, 'utf8');
+  const canonical = new JSDOM(html).window.document.querySelector('link[rel="canonical"]');
+  const url = canonical?.getAttribute('href') || FALLBACK_URL;
+
+  const { document } = new JSDOM(html, { url }).window;
+  const parsed = parser.parse(document, url);
+  assert.ok(parsed, 'parse() returned nothing');
+  return parser.toMarkdown(parsed, options);
+}
+
+// Templates whose pages end with related-post cards
+const RELATED_TEMPLATES = ['blog-article', 'case-study', 'gated-resource'];
+
+describe('importer parsers', () => {
+  const fixtures = findFixtures();
+  let parsers;
+
+  before(async () => {
+    ({ parsers } = await loadParserRegistry());
+  });
+
+  it('has a fixture for every parser module', () => {
+    const covered = new Set(fixtures.map((fixture) => fixture.template));
+    const missing = Object.entries(parsers)
+      .filter(([name, parser]) => parser.parserPath && !covered.has(name))
+      .map(([name]) => name);
+    assert.deepEqual(missing, [], `Add fixtures under test/fixtures/ for: ${missing.join(', ')}`);
+  });
+
+  fixtures.forEach(({
+    template, name, htmlPath, goldenPath,
+  }) => {
+    it(`${template}/${name} matches its golden markdown`, () => {
+      const parser = parsers[template];
+      assert.ok(parser, `No parser registered for template "${template}"`);
+
+      const markdown = renderFixture(parser, htmlPath);
+      if (updateSnapshots) {
+        fs.writeFileSync(goldenPath, markdown, 'utf8');
+        return;
+      }
+
+      assert.ok(
+        fs.existsSync(goldenPath),
+        `Missing ${path.relative(process.cwd(), goldenPath)}; run npm run test:update to create it`,
+      );
+      assert.equal(markdown, fs.readFileSync(goldenPath, 'utf8'));
+    });
+  });
+
+  it('emits a Related Resources block instead of related-post cards on request', () => {
+    fixtures.filter(({ template }) => RELATED_TEMPLATES.includes(template))
+      .forEach(({ template, htmlPath }) => {
+        const markdown = renderFixture(parsers[template], htmlPath, { relatedBlock: true });
+        // The block renders the heading, so it isn't left above an empty section
+        assert.doesNotMatch(markdown, /^## Related /m, template);
+        const related = markdown.slice(markdown.search(/^\| Related Resources \|/m));
+        assert.match(related, /^\| Related Resources \| {2}\|\n\| --- \| --- \|\n\| heading \| Related (Posts|Resources) \|\n\| limit \| \d+ \|$/m, template);
+        assert.doesNotMatch(related, /\| Cards \|/, template);
+      });
+  });
+});
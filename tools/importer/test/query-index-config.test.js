@@ -0,0 +1,89 @@
+/**
+ * Query Index Config Tests
+ *
+ * Checks glob matching and select/value evaluation against the index
+ * definitions in the repo's helix-query.yaml.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const {
+  globToRegExp, loadIndexConfig, includesPath, evaluate, evaluateProperties,
+} = require('../lib/query-index-config.js');
+
+const CONFIG_PATH = path.join(__dirname, '../../../helix-query.yaml');
+
+// Head of a converted page (see transformers/eds-html-transformer.js)
+const PAGE = `<html><head>
+<title>Three Claims Cost Trends</title>
+<meta name="description" content="What payers should expect.">
+<meta property="og:title" content="Three Claims Cost Trends">
+<meta property="og:image" content="/content/media/hero.png">
+<meta property="article:tag" content="Payers">
+<meta property="article:tag" content="Claims">
+<meta name="title" content="Three Claims Cost Trends">
+<meta name="image" content="/content/media/hero.png">
+<meta name="tags" content="Payers, Claims">
+<meta name="template" content="blog-article">
+</head><body><main><p>Claims costs keep rising every year.</p></main></body></html>`;
+
+describe('query-index-config', () => {
+  it('matches ** across segments and * within one', () => {
+    assert.ok(globToRegExp('/content/**').test('/content/blog/post'));
+    assert.ok(globToRegExp('/content/*').test('/content/post'));
+    assert.ok(!globToRegExp('/content/*').test('/content/blog/post'));
+    assert.ok(!globToRegExp('/content/*.json').test('/content/aXjson'));
+  });
+
+  it('applies include and exclude globs from helix-query.yaml', () => {
+    const [resources] = loadIndexConfig(CONFIG_PATH);
+    assert.equal(resources.name, 'resources');
+    assert.ok(includesPath(resources, '/content/blog/post'));
+    assert.ok(!includesPath(resources, '/content/drafts/post'));
+    assert.ok(!includesPath(resources, '/about'));
+  });
+
+  it('evaluates nested expressions', () => {
+    const { document } = new JSDOM('<p>one two three four</p>').window;
+    const el = [...document.querySelectorAll('p')];
+    assert.deepEqual(evaluate('words(textContent(el), 1, 3)', { el }), ['two three']);
+    assert.deepEqual(evaluate('replace(textContent(el), "o", "0")', { el }), ['0ne tw0 three f0ur']);
+    assert.deepEqual(evaluate('match(textContent(el), "t(\\w+)")', { el }), ['wo']);
+    assert.throws(() => evaluate('unknown(el)', { el }), /Unknown function unknown\(\)/);
+  });
+
+  it('builds the production row for a page', () => {
+    const [resources] = loadIndexConfig(CONFIG_PATH);
+    const { document } = new JSDOM(PAGE).window;
+    assert.deepEqual(evaluateProperties(resources, document), {
+      title: 'Three Claims Cost Trends',
+      description: 'What payers should expect.',
+      image: '/content/media/hero.png',
+      date: '',
+      author: '',
+      tags: 'Payers, Claims',
+      template: 'blog-article',
+    });
+  });
+
+  it('evaluates `values:` columns and response headers', () => {
+    const index = {
+      properties: {
+        tags: { select: 'head > meta[property="article:tag"]', values: 'attribute(el, "content")' },
+        lastModified: {
+          select: 'none',
+          value: 'parseTimestamp(headers["last-modified"], "ddd, DD MMM YYYY hh:mm:ss GMT")',
+        },
+      },
+    };
+    const { document } = new JSDOM(PAGE).window;
+    assert.deepEqual(evaluateProperties(index, document, {
+      'last-modified': 'Tue, 12 Mar 2024 10:00:00 GMT',
+    }), {
+      tags: '["Payers","Claims"]',
+      lastModified: 1710237600,
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Run Journal Tests
+ *
+ * Checks that a journal written by one run is picked up by --resume: what
+ * was done stays done, and everything else, including batches the crashed
+ * run never started, is still pending, and that a new run does not replace
+ * a journal with work left in it.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STATUS, createJournal, readJournal } = require('../lib/run-journal.js');
+
+const JOBS = [
+  { url: 'https://www.zelis.com/blog/one/', batch: '3a-blog', template: 'blog-article' },
+  { url: 'https://www.zelis.com/blog/two/', batch: '3a-blog', template: 'blog-article' },
+  { url: 'https://www.zelis.com/blog/three/', batch: '3a-blog', template: 'blog-article' },
+  { url: 'https://www.zelis.com/case-studies/one/', batch: '3b-case-studies', template: 'case-study' },
+  { url: 'https://www.zelis.com/case-studies/two/', batch: '3b-case-studies', template: 'case-study' },
+];
+
+describe('run-journal', () => {
+  let journalPath;
+
+  beforeEach(() => {
+    journalPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'run-journal-')), 'journal.json');
+  });
+
+  it('resumes a run that crashed mid-batch with every unfinished URL pending', () => {
+    // First run: the whole run is journaled, then it dies during the first batch
+    const first = createJournal(journalPath);
+    first.enqueueAll([
+      {
+        url: 'https://www.zelis.com/blog/old/',
+        batch: '3a-blog',
+        template: 'blog-article',
+        status: STATUS.SKIPPED,
+        error: 'Already migrated',
+      },
+      ...JOBS,
+    ]);
+    first.mark(JOBS[0].url, STATUS.SUCCEEDED);
+    first.mark(JOBS[1].url, STATUS.FAILED, '500 Internal Server Error');
+
+    const { startedAt } = readJournal(journalPath);
+    const resumed = createJournal(journalPath, { resume: true });
+    const pending = resumed.withStatus(STATUS.PENDING)
+      .map(({ url, batch, template }) => ({ url, batch, template }));
+    assert.deepEqual(pending, JOBS.slice(2));
+    assert.deepEqual(resumed.summary(), {
+      pending: 3, succeeded: 1, failed: 1, skipped: 1,
+    });
+    assert.equal(resumed.get(JOBS[1].url).error, '500 Internal Server Error');
+    resumed.mark(JOBS[2].url, STATUS.SUCCEEDED);
+    assert.equal(readJournal(journalPath).startedAt, startedAt);
+  });
+
+  it('keeps the outcome of URLs queued again on resume', () => {
+    const first = createJournal(journalPath);
+    first.enqueueAll(JOBS);
+    first.mark(JOBS[0].url, STATUS.SUCCEEDED);
+
+    const resumed = createJournal(journalPath, { resume: true });
+    resumed.enqueue(JOBS[0].url, JOBS[0].batch, JOBS[0].template);
+    assert.equal(resumed.get(JOBS[0].url).status, STATUS.SUCCEEDED);
+    assert.equal(resumed.get(JOBS[0].url).attempts, 1);
+  });
+
+  it('will not start over an unfinished run unless told to restart', () => {
+    const first = createJournal(journalPath);
+    first.enqueueAll(JOBS);
+    first.mark(JOBS[0].url, STATUS.SUCCEEDED);
+
+    assert.throws(() => createJournal(journalPath), /4 pending URLs.*--resume.*--restart/);
+    assert.equal(readJournal(journalPath).entries[JOBS[0].url].status, STATUS.SUCCEEDED);
+
+    const dry = createJournal(journalPath, { persist: false });
+    dry.enqueue(JOBS[0].url, JOBS[0].batch, JOBS[0].template);
+    assert.equal(dry.get(JOBS[0].url).status, STATUS.PENDING);
+
+    const restarted = createJournal(journalPath, { restart: true });
+    restarted.enqueue(JOBS[0].url, JOBS[0].batch, JOBS[0].template);
+    assert.deepEqual(Object.keys(readJournal(journalPath).entries), [JOBS[0].url]);
+  });
+
+  it('starts over a finished run without being told to', () => {
+    const first = createJournal(journalPath);
+    first.enqueueAll(JOBS.slice(0, 1));
+    first.mark(JOBS[0].url, STATUS.FAILED, 'timeout');
+
+    const second = createJournal(journalPath);
+    second.enqueue(JOBS[1].url, JOBS[1].batch, JOBS[1].template);
+    assert.deepEqual(Object.keys(readJournal(journalPath).entries), [JOBS[1].url]);
+  });
+
+  it('refuses to resume without a journal and writes nothing on dry runs', () => {
+    assert.throws(() => createJournal(journalPath, { resume: true }), /No journal to resume/);
+
+    const dry = createJournal(journalPath, { persist: false });
+    dry.enqueueAll(JOBS);
+    assert.equal(readJournal(journalPath), null);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Search Events Tests
+ *
+ * Checks how search-report.js reads and aggregates the search RUM events
+ * sent by scripts/search/analytics.js.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeQuery, parseEvents, aggregateEvents } = require('../lib/search-events.js');
+
+const EXPORT = [
+  '{"checkpoint":"search","source":".search","target":"q=claims&results=4","weight":100}',
+  JSON.stringify({
+    id: 'a1',
+    weight: 10,
+    events: [
+      { checkpoint: 'search', source: '.search', target: 'q=Claims++&results=2' },
+      { checkpoint: 'search-click', source: '.search', target: 'q=claims&position=2&path=%2Fcontent%2Fblog%2Fpost' },
+      { checkpoint: 'click', source: 'main a', target: 'https://www.zelis.com/about/' },
+      { checkpoint: 'click', source: '.search a', target: 'q=claims&position=1&path=%2Fabout' },
+      { checkpoint: 'top', target: 'visible' },
+    ],
+  }),
+  '{"checkpoint":"search","source":".resource-list","target":"q=surprize+billing&results=0"}',
+  '{"checkpoint":"search-filter","source":".search","target":"facet=type&value=case-study&results=0","weight":100}',
+  'not json',
+  '',
+].join('\n');
+
+describe('search-events', () => {
+  it('normalizes queries', () => {
+    assert.equal(normalizeQuery('  Claims   Cost '), 'claims cost');
+    assert.equal(normalizeQuery(undefined), '');
+  });
+
+  it('reads single events and bundles, ignoring other checkpoints', () => {
+    const { events, skipped } = parseEvents(EXPORT);
+    assert.equal(skipped, 1);
+    assert.deepEqual(events.map(({ checkpoint, weight }) => [checkpoint, weight]), [
+      ['search', 100], ['search', 10], ['search-click', 10], ['search', 1], ['search-filter', 100],
+    ]);
+    assert.deepEqual(events[2].fields, { q: 'claims', position: '2', path: '/content/blog/post' });
+  });
+
+  it('aggregates weighted queries, zero results, facets and positions', () => {
+    const report = aggregateEvents(parseEvents(EXPORT).events);
+    assert.deepEqual(report.totals, {
+      searches: 111, zeroResults: 1, clicks: 10, filters: 100,
+    });
+    assert.deepEqual(report.queries[0], {
+      query: 'claims', searches: 110, zeroResults: 0, clicks: 10, averageResults: 3.8, clickRate: 0.09,
+    });
+    assert.deepEqual(report.zeroResults.map(({ query }) => query), ['surprize billing']);
+    assert.deepEqual(report.facets, [{
+      facet: 'type', value: 'case-study', uses: 100, zeroResults: 100,
+    }]);
+    assert.deepEqual(report.positions, [{ position: 2, clicks: 10 }]);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Search Index Tests
+ *
+ * Checks the full-text index build-query-index.js writes for the search
+ * block, and the one the block builds from query index rows: stemming,
+ * ranking, typo and synonym matching, and snippets.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const SEARCH_SCRIPTS = path.join(__dirname, '../../../scripts/search');
+
+const PAGES = [
+  {
+    row: { path: '/content/blog/claims-cost-trends', title: 'Three Claims Cost Trends' },
+    title: 'Three Claims Cost Trends',
+    headings: 'Specialty drugs',
+    tags: ['Payers', 'Claims Cost Management'],
+    body: 'Claims costs keep rising, and payers feel it first. Specialty drug spend grew faster than any other category. Surprise billing rules add pressure.',
+  },
+  {
+    row: { path: '/content/case-study/regional-health-plan', title: 'Regional Health Plan' },
+    title: 'Regional Health Plan',
+    headings: 'The Challenge',
+    tags: ['Payment Integrity'],
+    body: 'Manual reviews let errors slip through to payment. Editing caught them before claims were paid. Every explanation of benefits now matches the bill.',
+  },
+];
+
+describe('search-index', () => {
+  let textAnalysis;
+  let searchIndex;
+  let index;
+
+  before(async () => {
+    textAnalysis = await import(pathToFileURL(path.join(SEARCH_SCRIPTS, 'text-analysis.js')).href);
+    searchIndex = await import(pathToFileURL(path.join(SEARCH_SCRIPTS, 'search-index.js')).href);
+    index = searchIndex.buildSearchIndex(PAGES);
+  });
+
+  it('stems words and drops stop words', () => {
+    const { stem, terms } = textAnalysis;
+    assert.equal(stem('relational'), 'relat');
+    assert.equal(stem('hopping'), 'hop');
+    assert.deepEqual(terms("The plan's claims are rising"), ['plan', 'claim', 'rise']);
+  });
+
+  it('indexes fields and keeps the query index row', () => {
+    assert.deepEqual(index.fields, ['title', 'headings', 'tags', 'body']);
+    assert.equal(index.docs[0].path, '/content/blog/claims-cost-trends');
+    assert.ok(index.docs[0].text.startsWith('Claims costs keep rising'));
+    assert.deepEqual(index.terms.drug, [0, 1, 1, 0, 3, 1]);
+  });
+
+  it('ranks pages matching more terms and title words first', () => {
+    const { queryTerms, search } = searchIndex;
+    const results = search(index, queryTerms(index, 'claims payment'));
+    assert.deepEqual(results.map(({ doc }) => doc.path), [
+      '/content/case-study/regional-health-plan',
+      '/content/blog/claims-cost-trends',
+    ]);
+    assert.equal(results[0].matched, 2);
+    assert.equal(search(index, queryTerms(index, 'claims'))[0].doc.path, '/content/blog/claims-cost-trends');
+  });
+
+  it('expands the last query word as a prefix', () => {
+    const { queryTerms } = searchIndex;
+    assert.deepEqual(queryTerms(index, 'speci', { prefix: true }), [[
+      { terms: ['speci'], weight: 1 },
+      { terms: ['specialti'], weight: 0.7 },
+    ]]);
+    assert.deepEqual(queryTerms(index, 'speci'), [[{ terms: ['speci'], weight: 1 }]]);
+  });
+
+  it('measures edit distance with swapped letters as one edit', () => {
+    const { editDistance } = searchIndex;
+    assert.equal(editDistance('surpriz', 'surpris'), 1);
+    assert.equal(editDistance('cliam', 'claim'), 1);
+    assert.equal(editDistance('payment', 'paymnet'), 1);
+    assert.equal(editDistance('claim', 'drug', 1), 2);
+  });
+
+  it('matches misspelled words', () => {
+    const { queryTerms, search } = searchIndex;
+    const results = search(index, queryTerms(index, 'surprize biling', { fuzzy: true }));
+    assert.equal(results[0].doc.path, '/content/blog/claims-cost-trends');
+    assert.deepEqual(results[0].terms, ['surpris', 'bill']);
+    assert.equal(search(index, queryTerms(index, 'surprize biling')).length, 0);
+    // Short words have to be exact
+    assert.deepEqual(queryTerms(index, 'drg', { fuzzy: true }), [[{ terms: ['drg'], weight: 1 }]]);
+  });
+
+  it('expands acronyms and phrases from the synonyms', () => {
+    const { queryTerms, search } = searchIndex;
+    const synonyms = [['EOB', 'explanation of benefits'], ['NSA', 'No Surprises Act', 'surprise billing']];
+    assert.deepEqual(
+      search(index, queryTerms(index, 'EOB', { synonyms })).map(({ doc }) => doc.path),
+      ['/content/case-study/regional-health-plan'],
+    );
+    // A phrase needs all its terms: "benefits" alone isn't an EOB
+    assert.deepEqual(queryTerms(index, 'explanation of benefits', { synonyms }), [[
+      { terms: ['eob'], weight: 1 },
+      { terms: ['explan', 'benefit'], weight: 1 },
+    ]]);
+    assert.deepEqual(
+      search(index, queryTerms(index, 'nsa', { synonyms })).map(({ doc }) => doc.path),
+      ['/content/blog/claims-cost-trends'],
+    );
+  });
+
+  it('searches query index rows when no full-text index was built', () => {
+    const {
+      buildSearchIndex, queryTerms, rowPages, search,
+    } = searchIndex;
+    const rowIndex = buildSearchIndex(rowPages([
+      {
+        path: '/content/blog/no-surprises-act-update',
+        title: 'What Payers Need to Know',
+        description: 'New surprise billing rules take effect this year.',
+        tags: 'Payers, Regulation',
+      },
+      {
+        path: '/content/resources/case-studies/regional-health-plan',
+        title: 'Regional Health Plan Cuts Costs',
+        description: 'Every explanation of benefits now matches the bill.',
+        tags: 'Payment Integrity',
+      },
+    ]));
+    const find = (query, options) => search(rowIndex, queryTerms(rowIndex, query, options))
+      .map(({ doc }) => doc.path);
+
+    assert.equal(find('surprize billing', { fuzzy: true })[0], '/content/blog/no-surprises-act-update');
+    assert.deepEqual(
+      find('EOB', { synonyms: [['EOB', 'explanation of benefits']] }),
+      ['/content/resources/case-studies/regional-health-plan'],
+    );
+    assert.deepEqual(find('update'), ['/content/blog/no-surprises-act-update']);
+    assert.equal(rowIndex.docs[1].text, 'Every explanation of benefits now matches the bill.');
+  });
+
+  it('picks the passage with the most matches', () => {
+    const text = 'One two three. Specialty drug spend grew faster than any other category of spend.';
+    assert.deepEqual(searchIndex.snippet(text, ['drug', 'spend'], 6), {
+      text: 'One two three. Specialty drug spend …',
+      words: ['drug', 'spend'],
+    });
+    assert.equal(searchIndex.snippet(text, ['claim']), null);
+  });
+});
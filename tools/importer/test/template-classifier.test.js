@@ -0,0 +1,82 @@
+/**
+ * Template Classifier Tests
+ *
+ * Every fixture in test/fixtures/<template>/ must classify as <template>,
+ * confidently, at its canonical URL. When a descriptor's selectors or URL
+ * patterns change, this is where the weights and threshold are re-checked.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const {
+  DEFAULT_MIN_CONFIDENCE,
+  classifyDocument,
+  patternToRegExp,
+} = require('../lib/template-classifier.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Runner-up templates must stay this far below the threshold
+const MARGIN = 0.1;
+
+function readFixtures() {
+  return fs.readdirSync(FIXTURES_DIR).flatMap((template) => fs
+    .readdirSync(path.join(FIXTURES_DIR, template))
+    .filter((file) => file.endsWith('.html'))
+    .map((file) => {
+      const html = fs.readFileSync(path.join(FIXTURES_DIR, template, file), 'utf8');
+      const url = new JSDOM(html).window.document.querySelector('link[rel="canonical"]').getAttribute('href');
+      return {
+        template, name: file, html, url,
+      };
+    }));
+}
+
+describe('template-classifier', () => {
+  readFixtures().forEach(({
+    template, name, html, url,
+  }) => {
+    it(`classifies ${template}/${name} as ${template}`, async () => {
+      const { document } = new JSDOM(html, { url }).window;
+      const result = await classifyDocument(document, url);
+
+      assert.equal(result.template, template);
+      assert.ok(result.accepted, `confidence ${result.confidence} is below ${DEFAULT_MIN_CONFIDENCE}`);
+      const [, runnerUp] = result.candidates;
+      assert.ok(
+        runnerUp.confidence <= DEFAULT_MIN_CONFIDENCE - MARGIN,
+        `${runnerUp.template} scores ${runnerUp.confidence}`,
+      );
+    });
+  });
+
+  it('does not accept a page on its URL alone', async () => {
+    const url = 'https://www.zelis.com/blog/claims-cost-trends/';
+    const { document } = new JSDOM('<main><p>Page not found</p></main>', { url }).window;
+    const result = await classifyDocument(document, url);
+    assert.equal(result.accepted, false);
+  });
+
+  it('does not give every /resources/ page the gated-resource URL score', async () => {
+    const caseStudy = readFixtures().find(({ template }) => template === 'case-study');
+    const url = 'https://www.zelis.com/resources/regional-health-plan/';
+    const { document } = new JSDOM(caseStudy.html, { url }).window;
+    const result = await classifyDocument(document, url);
+
+    const gated = result.candidates.find(({ template }) => template === 'gated-resource');
+    assert.equal(gated.urlMatch, false);
+    assert.ok(gated.confidence <= DEFAULT_MIN_CONFIDENCE - MARGIN, `gated-resource scores ${gated.confidence}`);
+    assert.equal(result.template, 'case-study');
+  });
+
+  it('matches patterns against the whole path', () => {
+    const caseStudies = patternToRegExp('/case-studies/*');
+    assert.ok(caseStudies.test('/case-studies/tpa-reduced-operational-costs-with-zelis'));
+    assert.ok(!caseStudies.test('/resources/case-studies/regional-health-plan'));
+    assert.ok(patternToRegExp('/resources/case-studies/*').test('/resources/case-studies/regional-health-plan'));
+    assert.ok(patternToRegExp('https://www.zelis.com/(blog|news)/*/').test('/news/q3-results'));
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Template Transformer Tests
+ *
+ * Runs every fixture in test/fixtures/<template>/ through the generic
+ * interpreter for templates/<template>.json (what `bulk-import.js --generic`
+ * uses) and checks the markdown is structurally sound: one H1, no content
+ * rendered twice by overlapping selectors, and the Related Resources option.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { loadParserRegistry } = require('../lib/parser-registry.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function readFixtures() {
+  return fs.readdirSync(FIXTURES_DIR).flatMap((template) => fs
+    .readdirSync(path.join(FIXTURES_DIR, template))
+    .filter((file) => file.endsWith('.html'))
+    .map((file) => ({ template, html: fs.readFileSync(path.join(FIXTURES_DIR, template, file), 'utf8') })));
+}
+
+function render(parser, html, options) {
+  const url = 'https://www.zelis.com/';
+  const { document } = new JSDOM(html, { url }).window;
+  return parser.toMarkdown(parser.parse(document, url), options);
+}
+
+const countOf = (markdown, text) => markdown.split(text).length - 1;
+
+describe('template-transformer', () => {
+  const fixtures = readFixtures();
+  let parsers;
+
+  before(async () => {
+    ({ parsers } = await loadParserRegistry({ genericOnly: true }));
+  });
+
+  fixtures.forEach(({ template, html }) => {
+    it(`${template} renders one H1 and each heading once`, () => {
+      const markdown = render(parsers[template], html);
+      const lines = markdown.split('\n');
+      const h1 = lines.filter((line) => line.startsWith('# '));
+      assert.equal(h1.length, 1, `expected one H1, got ${h1.length}`);
+
+      const { document } = new JSDOM(html).window;
+      assert.equal(h1[0], `# ${document.querySelector('h1').textContent.trim()}`);
+
+      const headings = lines.filter((line) => /^#{2,6} /.test(line));
+      assert.deepEqual(headings, [...new Set(headings)], 'a heading is repeated');
+    });
+  });
+
+  it('does not render a section heading in later sections', () => {
+    const { html } = fixtures.find(({ template }) => template === 'company-utility');
+    const markdown = render(parsers['company-utility'], html);
+    ['Modern care starts with modern payments', 'Bridging Gaps in Healthcare', 'Leading the way', 'Our Client Pledge']
+      .forEach((text) => assert.equal(countOf(markdown, text), 1, text));
+  });
+
+  it('does not repeat items nested in a field that was already rendered', () => {
+    const { html } = fixtures.find(({ template }) => template === 'built-for-audience');
+    const markdown = render(parsers['built-for-audience'], html);
+    assert.equal(countOf(markdown, 'Reduce medical spend'), 1);
+  });
+
+  it('replaces the related-posts section with a Related Resources block on request', () => {
+    const { html } = fixtures.find(({ template }) => template === 'case-study');
+    const cards = render(parsers['case-study'], html);
+    const block = render(parsers['case-study'], html, { relatedBlock: true });
+
+    assert.match(cards, /Three Claims Cost Trends to Watch/);
+    assert.doesNotMatch(block, /Three Claims Cost Trends to Watch/);
+    assert.match(block, /^\| Related Resources \| {2}\|\n\| --- \| --- \|\n\| limit \| \d+ \|\n\n\| Section Metadata \|/m);
+  });
+
+  it('passes the related section heading to the Related Resources block', () => {
+    const markdown = parsers['case-study'].toMarkdown({
+      sections: [{ id: 'related-posts', content: ['## Related Posts', 'Three Claims Cost Trends to Watch'] }],
+      metadata: {},
+    }, { relatedBlock: true });
+    assert.doesNotMatch(markdown, /^## /m);
+    assert.match(markdown, /^\| Related Resources \| {2}\|\n\| --- \| --- \|\n\| heading \| Related Posts \|\n\| limit \| 3 \|$/m);
+  });
+});
@@ -44,6 +44,44 @@ export function cleanArticleBody(html) {
   return cleaned.trim();
 }
 
+/**
+ * Resolve a site-relative or protocol-relative URL against the source domain
+ * @param {string} url - URL as found in the source markup
+ * @returns {string} Absolute URL
+ */
+export function resolveUrl(url) {
+  if (!url) return '';
+  if (url.startsWith('//')) return `https:${url}`;
+  if (url.startsWith('/')) return `${SOURCE_DOMAIN}${url}`;
+  return url;
+}
+
+/**
+ * Convert inline HTML to markdown (links, bold, italic, line breaks)
+ * @param {string} html - Inline HTML content
+ * @returns {string} Markdown equivalent
+ */
+export function htmlToMarkdownInline(html) {
+  return html
+    .replace(/<strong>(.*?)<\/strong>/gs, '**$1**')
+    .replace(/<b>(.*?)<\/b>/gs, '**$1**')
+    .replace(/<em>(.*?)<\/em>/gs, '*$1*')
+    .replace(/<i>(.*?)<\/i>/gs, '*$1*')
+    .replace(/<a\s+href="([^"]*)"[^>]*>(.*?)<\/a>/gs, (_, href, text) => `[${text}](${resolveUrl(href)})`)
+    .replace(/<br\s*\/?>/g, '\n')
+    .replace(/<[^>]+>/g, '') // Strip remaining tags
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#8217;/g, "'")
+    .replace(/&#8220;/g, '"')
+    .replace(/&#8221;/g, '"')
+    .replace(/&#8211;/g, '–')
+    .replace(/&#8212;/g, '—')
+    .trim();
+}
+
 /**
  * Extract clean text content for markdown conversion
  * @param {Element} container - DOM element containing article body
@@ -77,12 +115,22 @@ export function extractContentBlocks(container) {
         blocks.push({
           type: tag === 'ul' ? 'unordered-list' : 'ordered-list',
           content: child.innerHTML.trim(),
+          items: [...child.querySelectorAll('li')].map((li) => li.innerHTML.trim()),
         });
       } else if (tag === 'blockquote') {
         blocks.push({
           type: 'blockquote',
           content: child.textContent.trim(),
         });
+      } else if (tag === 'figure') {
+        const img = child.querySelector('img');
+        if (img) {
+          blocks.push({
+            type: 'image',
+            content: resolveUrl(img.getAttribute('src') || ''),
+            alt: img.getAttribute('alt') || '',
+          });
+        }
       } else if (tag === 'div' || tag === 'section') {
         // Recurse into wrapper divs
         walk(child);
@@ -94,41 +142,50 @@ export function extractContentBlocks(container) {
   return blocks;
 }
 
+/**
+ * Related Resources block, which lists related pages from the query index
+ * when the page is viewed, in place of related-post cards copied at import.
+ * The block renders the heading itself, so it goes away with the resources
+ * when none are found.
+ * @param {number} [limit] - Resources to show
+ * @param {string} [heading] - e.g. Related Posts
+ * @returns {string[]} Markdown lines
+ */
+export function relatedResourcesBlock(limit = 3, heading = '') {
+  return [
+    '| Related Resources |  |',
+    '| --- | --- |',
+    ...(heading ? [`| heading | ${heading} |`] : []),
+    `| limit | ${limit} |`,
+    '',
+  ];
+}
+
 /**
  * Convert content blocks to markdown
  * @param {Array} blocks - From extractContentBlocks
+ * @param {object} [options]
+ * @param {number} [options.minHeadingLevel] - Bump headings below this level
+ *   (article bodies use 3 so they don't compete with the page h1/h2)
  * @returns {string} Markdown content
  */
-export function blocksToMarkdown(blocks) {
+export function blocksToMarkdown(blocks, { minHeadingLevel = 1 } = {}) {
   return blocks.map((block) => {
     switch (block.type) {
       case 'heading':
-        return `${'#'.repeat(block.level)} ${block.content}`;
+        return `${'#'.repeat(Math.max(block.level, minHeadingLevel))} ${block.content}`;
       case 'paragraph':
         return htmlToMarkdownInline(block.content);
       case 'unordered-list':
-        return block.content;
+        return block.items.map((item) => `- ${htmlToMarkdownInline(item)}`).join('\n');
       case 'ordered-list':
-        return block.content;
+        return block.items.map((item, idx) => `${idx + 1}. ${htmlToMarkdownInline(item)}`).join('\n');
       case 'blockquote':
         return `> ${block.content}`;
+      case 'image':
+        return `![${block.alt}](${block.content})`;
       default:
         return block.content;
     }
-  }).join('\n\n');
-}
-
-/**
- * Convert inline HTML to markdown (links, bold, italic, images)
- * @param {string} html - Inline HTML content
- * @returns {string} Markdown equivalent
- */
-function htmlToMarkdownInline(html) {
-  return html
-    .replace(/<strong>(.*?)<\/strong>/g, '**$1**')
-    .replace(/<em>(.*?)<\/em>/g, '*$1*')
-    .replace(/<a\s+href="([^"]*)"[^>]*>(.*?)<\/a>/g, '[$2]($1)')
-    .replace(/<br\s*\/?>/g, '\n')
-    .replace(/<[^>]+>/g, '') // Strip remaining tags
-    .trim();
+  }).filter(Boolean).join('\n\n');
 }
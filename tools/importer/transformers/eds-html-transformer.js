@@ -0,0 +1,267 @@
+/**
+ * EDS HTML Transformer
+ * Converts EDS markdown into the markup the Edge Delivery pipeline serves,
+ * so locally converted pages match production.
+ *
+ * Markdown is parsed to an AST (GFM plus grid tables, like the pipeline) and
+ * rendered to HTML, then reshaped the way the pipeline does it:
+ *   - `---` splits the page into sections:  <div>…</div>
+ *   - Tables become blocks named by their first cell, with the rest of the
+ *     rows as nested divs:  | Cards (dark) |  →  <div class="cards dark">
+ *   - The Metadata block is removed from the page and returned as metadata
+ *     (for the <head>); Section Metadata stays in its section
+ *   - Images are wrapped in <picture>, headings get ids
+ */
+
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkGridtables from '@adobe/remark-gridtables';
+import { mdast2hastGridTablesHandler, TYPE_TABLE } from '@adobe/mdast-util-gridtables';
+import { toHast } from 'mdast-util-to-hast';
+import { toHtml } from 'hast-util-to-html';
+
+const element = (tagName, properties = {}, children = []) => ({
+  type: 'element', tagName, properties, children,
+});
+
+const isElement = (node, tagName) => node?.type === 'element' && (!tagName || node.tagName === tagName);
+
+/**
+ * Text content of a hast node
+ */
+function textOf(node) {
+  if (node.type === 'text') return node.value;
+  return (node.children || []).map(textOf).join('');
+}
+
+/**
+ * Block class names from a block name: "Cards (Dark, Wide)" → cards dark wide
+ * @param {string} name
+ * @returns {string[]}
+ */
+export function toBlockClassNames(name) {
+  const toClass = (value) => value.toLowerCase().replace(/[^0-9a-z]+/g, '-').replace(/^-+|-+$/g, '');
+  const match = name.match(/^([^(]*)\((.*)\)\s*$/);
+  const [blockName, options] = match ? [match[1], match[2].split(',')] : [name, []];
+  return [blockName, ...options].map(toClass).filter(Boolean);
+}
+
+/**
+ * Heading id like the pipeline (GitHub style slugs, de-duplicated per page)
+ */
+function createSlugger() {
+  const seen = new Map();
+  return (text) => {
+    const base = text.toLowerCase().trim()
+      .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+      .replace(/\s/g, '-');
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count ? `${base}-${count}` : base;
+  };
+}
+
+/**
+ * Wrap images in <picture> and give headings ids, anywhere in the tree
+ */
+function decorate(node, slug) {
+  if (isElement(node) && /^h[1-6]$/.test(node.tagName) && !node.properties.id) {
+    node.properties.id = slug(textOf(node));
+  }
+  (node.children || []).forEach((child, i) => {
+    if (isElement(child, 'img') && !isElement(node, 'picture')) {
+      node.children[i] = element('picture', {}, [child]);
+    }
+    decorate(node.children[i], slug);
+  });
+}
+
+/**
+ * Rows of a (GFM or grid) table as arrays of cells
+ */
+function tableRows(table) {
+  const rows = [];
+  const collect = (node) => (node.children || []).forEach((child) => {
+    if (isElement(child, 'tr')) rows.push(child.children.filter((cell) => isElement(cell)));
+    else if (isElement(child)) collect(child);
+  });
+  collect(table);
+  return rows;
+}
+
+/**
+ * Convert a table into a block div, or null if it has no block name
+ */
+function tableToBlock(table) {
+  const [header = [], ...rows] = tableRows(table);
+  const name = header.length ? textOf(header[0]).trim() : '';
+  if (!name) return null;
+
+  const content = (cell) => cell.children.filter((c) => !(c.type === 'text' && !c.value.trim()));
+
+  return {
+    name,
+    node: element('div', { className: toBlockClassNames(name) }, rows.map(
+      (cells) => element('div', {}, cells.map((cell) => element('div', {}, content(cell)))),
+    )),
+    rows,
+  };
+}
+
+/**
+ * Metadata block rows as { key: value }; image values are the image URL
+ */
+function readMetadata(rows) {
+  const metadata = {};
+  rows.forEach(([keyCell, valueCell]) => {
+    if (!keyCell || !valueCell) return;
+    const key = textOf(keyCell).trim().toLowerCase();
+    if (!key) return;
+    const img = [];
+    const findImg = (node) => {
+      if (isElement(node, 'img')) img.push(node.properties.src);
+      (node.children || []).forEach(findImg);
+    };
+    findImg(valueCell);
+    metadata[key] = img[0] || textOf(valueCell).trim();
+  });
+  return metadata;
+}
+
+/**
+ * Parse EDS markdown into sections
+ * @param {string} markdown
+ * @returns {{sections: object[], metadata: object, title: string}} sections
+ *   are hast <div> elements; metadata comes from the Metadata block
+ */
+export function markdownToSections(markdown) {
+  const mdast = unified()
+    .use(remarkParse)
+    .use(remarkGfm)
+    .use(remarkGridtables)
+    .parse(markdown);
+  const hast = toHast(mdast, {
+    allowDangerousHtml: true,
+    handlers: { [TYPE_TABLE]: mdast2hastGridTablesHandler() },
+  });
+
+  const slug = createSlugger();
+  decorate(hast, slug);
+
+  let metadata = {};
+  const sections = [[]];
+  hast.children.forEach((node) => {
+    if (isElement(node, 'hr')) {
+      sections.push([]);
+      return;
+    }
+    if (node.type === 'text' && !node.value.trim()) return;
+
+    if (isElement(node, 'table')) {
+      const block = tableToBlock(node);
+      if (block && toBlockClassNames(block.name)[0] === 'metadata') {
+        metadata = { ...metadata, ...readMetadata(block.rows) };
+        return;
+      }
+      sections[sections.length - 1].push(block ? block.node : node);
+      return;
+    }
+    sections[sections.length - 1].push(node);
+  });
+
+  const firstH1 = hast.children.find((node) => isElement(node, 'h1'));
+  return {
+    sections: sections
+      .filter((children) => children.length)
+      .map((children) => element('div', {}, [
+        ...children.flatMap((child) => [{ type: 'text', value: '\n' }, child]),
+        { type: 'text', value: '\n' },
+      ])),
+    metadata,
+    title: metadata.title || (firstH1 ? textOf(firstH1).trim() : ''),
+  };
+}
+
+/**
+ * Page description like the pipeline: the Metadata value, else the first
+ * paragraph of 10+ words (cut at 25 words)
+ */
+function describe(sections, metadata) {
+  if (metadata.description) return metadata.description;
+  let description = '';
+  const visit = (node) => {
+    if (description) return;
+    if (isElement(node, 'p')) {
+      const words = textOf(node).trim().split(/\s+/);
+      if (words.length >= 10) {
+        description = words.length > 25 ? `${words.slice(0, 25).join(' ')} ...` : words.join(' ');
+      }
+      return;
+    }
+    if (isElement(node, 'div') && node.properties.className) return; // skip blocks
+    (node.children || []).forEach(visit);
+  };
+  sections.forEach(visit);
+  return description;
+}
+
+/**
+ * <head> meta tags for the page metadata, named the way the pipeline names
+ * them: every key as <meta name> (which is what helix-query.yaml selects),
+ * title/description/image also as og: and twitter: tags, tags also as
+ * article:tag
+ * @param {object} metadata
+ * @param {string} title
+ * @param {string} description
+ * @returns {object[]} hast elements
+ */
+function headElements(metadata, title, description) {
+  const meta = (attr, key, content) => (content
+    ? [element('meta', { [attr]: key, content })]
+    : []);
+  const { image } = metadata;
+
+  const known = new Set(['description', 'image-alt']);
+  const custom = Object.entries(metadata)
+    .filter(([key]) => !known.has(key))
+    .flatMap(([key, value]) => meta('name', key.replace(/[^0-9a-z:]+/g, '-'), value));
+
+  return [
+    element('title', {}, [{ type: 'text', value: title }]),
+    ...meta('name', 'description', description),
+    ...meta('property', 'og:title', title),
+    ...meta('property', 'og:description', description),
+    ...meta('property', 'og:image', image),
+    ...meta('property', 'og:image:secure_url', image),
+    ...meta('property', 'og:image:alt', metadata['image-alt']),
+    ...(metadata.tags || '').split(',').map((tag) => tag.trim()).filter(Boolean)
+      .flatMap((tag) => meta('property', 'article:tag', tag)),
+    ...meta('name', 'twitter:card', 'summary_large_image'),
+    ...meta('name', 'twitter:title', title),
+    ...meta('name', 'twitter:description', description),
+    ...meta('name', 'twitter:image', image),
+    ...custom,
+  ];
+}
+
+/**
+ * Convert EDS markdown to page HTML
+ * @param {string} markdown
+ * @returns {{plainHtml: string, headHtml: string, title: string, metadata: object}}
+ *   plainHtml is the .plain.html content (the sections); headHtml the page
+ *   metadata tags for the full page's <head>
+ */
+export function markdownToEdsHtml(markdown) {
+  const { sections, metadata, title } = markdownToSections(markdown);
+  const render = (nodes) => nodes
+    .map((node) => toHtml(node, { allowDangerousHtml: true }))
+    .join('\n');
+
+  return {
+    plainHtml: render(sections),
+    headHtml: render(headElements(metadata, title, describe(sections, metadata))),
+    title,
+    metadata,
+  };
+}
@@ -0,0 +1,471 @@
+/**
+ * Template Transformer
+ * Builds EDS markdown directly from a templates/*.json descriptor, so new page
+ * types can be migrated by writing JSON alone.
+ *
+ * Each descriptor section becomes one EDS section:
+ * - `default-content` sections render their fields as headings, paragraphs,
+ *   images, links and lists
+ * - `block` sections (those with a `blockName`) render a block table; a
+ *   repeating field (cards, items, ...) becomes one row per match
+ * - `sectionMetadata` (or the descriptor's `sectionStyles`) adds a
+ *   Section Metadata table
+ *
+ * An element is rendered once per page: a field skips anything an earlier
+ * field or section already took, anything inside it and anything wrapping it,
+ * so loose selectors ("h2", "p") don't repeat content across sections.
+ *
+ * Three descriptor shapes are understood:
+ * - `sections: [{ id, type, blockName, sectionMetadata, selectors }]`
+ * - `sections: { id: { selector, field: { selector, attribute } } }`
+ * - `selectors: { id: { container, field: 'selector' } | 'selector' }`
+ */
+
+import {
+  blocksToMarkdown,
+  extractContentBlocks,
+  htmlToMarkdownInline,
+  relatedResourcesBlock,
+  resolveUrl,
+} from './blog-article-transformer.js';
+import { templateKey } from '../lib/parser-registry.js';
+
+// String-valued keys that describe a section rather than select content
+const NON_SELECTOR_KEYS = ['id', 'type', 'layout', 'description', 'purpose', 'variant'];
+
+// Field names that repeat once per block row
+const ITEM_FIELDS = ['cards', 'items', 'slides', 'rows'];
+
+// Fields rendered as a comma-separated list of their text
+const LIST_FIELDS = ['tags', 'tag', 'categories'];
+
+// Fields naming one element per section; they take the first match left
+const SINGLE_FIELDS = ['title', 'heading', 'subtitle'];
+
+// Sections holding related-post cards
+const RELATED_SECTION = /^related/i;
+
+const DEFAULT_METADATA = {
+  title: { source: 'og:title', fallback: 'h1' },
+  description: { source: 'description' },
+  image: { source: 'og:image' },
+};
+
+const clean = (text) => (text || '').replace(/\u00A0/g, ' ').replace(/\s+/g, ' ').trim();
+
+const cell = (text) => clean(text).replace(/\|/g, '\\|');
+
+const blockTitle = (name) => name
+  .split(/[-\s]+/)
+  .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+/**
+ * Turn a selectors object into { name: { selector, attribute, collect, join, fields } }.
+ * Nested objects without their own selector (e.g. leftColumn) are flattened.
+ */
+function normalizeFields(selectors = {}) {
+  const fields = {};
+  Object.entries(selectors).forEach(([name, spec]) => {
+    if (NON_SELECTOR_KEYS.includes(name) && typeof spec !== 'object') return;
+    if (typeof spec === 'string') {
+      fields[name] = { selector: spec };
+    } else if (spec && typeof spec === 'object') {
+      if (!spec.selector) {
+        Object.assign(fields, normalizeFields(spec));
+        return;
+      }
+      const {
+        selector, attribute, collect, join, ...nested
+      } = spec;
+      const subFields = normalizeFields(nested);
+      fields[name] = {
+        selector, attribute, collect, join,
+      };
+      if (Object.keys(subFields).length) fields[name].fields = subFields;
+    }
+  });
+  return fields;
+}
+
+/**
+ * Fold `cardTitle`, `cardImage`, ... into the `cards` field's sub-fields
+ */
+function groupItemFields(fields) {
+  const itemName = ITEM_FIELDS.find((name) => fields[name]);
+  if (!itemName || fields[itemName].fields) return fields;
+
+  const prefix = itemName.replace(/s$/, '');
+  const grouped = {};
+  const subFields = {};
+  Object.entries(fields).forEach(([name, spec]) => {
+    const match = name.match(new RegExp(`^${prefix}([A-Z].*)$`));
+    if (match) {
+      subFields[match[1].charAt(0).toLowerCase() + match[1].slice(1)] = spec;
+    } else {
+      grouped[name] = spec;
+    }
+  });
+  if (Object.keys(subFields).length) {
+    grouped[itemName] = { ...grouped[itemName], fields: subFields };
+  }
+  return grouped;
+}
+
+/**
+ * Normalize any supported descriptor shape to a list of sections
+ * @param {object} descriptor - Parsed templates/*.json
+ * @returns {Array<{id, type, blockName, sectionMetadata, container, fields}>}
+ */
+export function normalizeSections(descriptor) {
+  const styleFor = (id) => (descriptor.sectionStyles?.[id]
+    ? { style: descriptor.sectionStyles[id] }
+    : null);
+
+  if (Array.isArray(descriptor.sections)) {
+    return descriptor.sections.map((section) => {
+      const { container, ...selectors } = section.selectors || {};
+      return {
+        id: section.id,
+        type: section.type || (section.blockName ? 'block' : 'default-content'),
+        blockName: section.blockName || '',
+        sectionMetadata: section.sectionMetadata || styleFor(section.id),
+        container: container || '',
+        fields: groupItemFields(normalizeFields(selectors)),
+      };
+    });
+  }
+
+  const groups = descriptor.sections || descriptor.selectors || {};
+  return Object.entries(groups).map(([id, spec]) => {
+    if (typeof spec === 'string') {
+      return {
+        id, type: 'default-content', blockName: '', sectionMetadata: styleFor(id), container: '', fields: { [id]: { selector: spec } },
+      };
+    }
+    const {
+      selector, container, blockName, sectionMetadata, ...selectors
+    } = spec;
+    return {
+      id,
+      type: blockName ? 'block' : 'default-content',
+      blockName: blockName || '',
+      sectionMetadata: sectionMetadata || styleFor(id),
+      container: selector || container || '',
+      fields: groupItemFields(normalizeFields(selectors)),
+    };
+  });
+}
+
+/**
+ * Value of a field on one element: an image, link or text in markdown
+ */
+function elementToInline(el, spec) {
+  if (spec.attribute) {
+    const value = el.getAttribute(spec.attribute) || '';
+    if (spec.attribute === 'src' && el.tagName === 'IMG') {
+      return `![${clean(el.getAttribute('alt'))}](${resolveUrl(value)})`;
+    }
+    return ['src', 'href'].includes(spec.attribute) ? resolveUrl(value) : clean(value);
+  }
+
+  const img = el.tagName === 'IMG' ? el : null;
+  if (img || (['FIGURE', 'PICTURE'].includes(el.tagName) && el.querySelector('img'))) {
+    const image = img || el.querySelector('img');
+    return `![${clean(image.getAttribute('alt'))}](${resolveUrl(image.getAttribute('src') || '')})`;
+  }
+  if (el.tagName === 'A') {
+    const text = clean(el.textContent);
+    return text ? `[${text}](${resolveUrl(el.getAttribute('href') || '')})` : '';
+  }
+  if (el.tagName === 'IFRAME') return resolveUrl(el.getAttribute('src') || '');
+  if (el.tagName === 'META') return clean(el.getAttribute('content'));
+  if (el.tagName === 'UL' || el.tagName === 'OL') {
+    return [...el.querySelectorAll('li')].map((li) => clean(li.textContent)).join(', ');
+  }
+  // Keep words from adjacent block elements apart once the tags are stripped
+  const html = el.innerHTML.replace(/<\/(p|div|section|li|h[1-6]|figure)>/gi, '$& ');
+  return clean(htmlToMarkdownInline(html));
+}
+
+const isHeading = (el) => /^H[1-6]$/.test(el.tagName);
+
+/**
+ * Track the elements already rendered on a page
+ * @returns {{isFree: Function, select: Function, claim: Function}}
+ *   select(scope, selector) lists the matches still free; claim(elements)
+ *   takes them
+ */
+function createClaims() {
+  const claimed = new Set();
+  const isClaimed = (el) => {
+    let node = el;
+    while (node) {
+      if (claimed.has(node)) return true;
+      node = node.parentElement;
+    }
+    return [...claimed].some((other) => el.contains(other));
+  };
+
+  return {
+    isFree: (el) => !isClaimed(el),
+    select: (scope, selector) => [...scope.querySelectorAll(selector)]
+      .filter((el) => !isClaimed(el)),
+    claim: (elements) => elements.forEach((el) => claimed.add(el)),
+  };
+}
+
+/**
+ * Build one block row: images in the first cell, everything else in the second
+ */
+function rowFromFields(scope, fields, claims) {
+  const images = [];
+  const texts = [];
+  Object.entries(fields).forEach(([name, spec]) => {
+    claims.select(scope, spec.selector).forEach((el) => {
+      claims.claim([el]);
+      const value = elementToInline(el, spec);
+      if (!value) return;
+      if (value.startsWith('![')) images.push(value);
+      else if (isHeading(el) || ['title', 'name', 'stat', 'value'].includes(name)) texts.push(`**${value}**`);
+      else texts.push(value);
+    });
+  });
+  if (!images.length && !texts.length) return null;
+  return images.length ? [images.join(' '), texts.join(' ')] : [texts.join(' '), ''];
+}
+
+/**
+ * Items of a repeating field as block rows, each item taken once its row is built
+ */
+function itemRows(scope, spec, claims) {
+  return claims.select(scope, spec.selector).map((item) => {
+    const row = spec.fields ? rowFromFields(item, spec.fields, claims) : [elementToInline(item, {}), ''];
+    claims.claim([item]);
+    return row;
+  });
+}
+
+/**
+ * Render a field to default-content markdown paragraphs
+ */
+function fieldToMarkdown(elements, name, spec, { isFirstSection }) {
+  if (!elements.length) return [];
+
+  if (spec.collect || spec.join || LIST_FIELDS.includes(name)) {
+    const texts = elements.map((el) => clean(el.textContent)).filter(Boolean);
+    return texts.length ? [texts.join(spec.join || ', ')] : [];
+  }
+
+  // Several links in one field (share links, CTAs) stay on one line
+  if (elements.length > 1 && elements.every((el) => el.tagName === 'A')) {
+    return [elements.map((el) => elementToInline(el, spec)).filter(Boolean).join(' ')];
+  }
+
+  return elements.map((el) => {
+    const text = elementToInline(el, spec);
+    if (!text) return '';
+    if (isHeading(el)) return `${'#'.repeat(parseInt(el.tagName[1], 10))} ${clean(el.textContent)}`;
+    if (['title', 'heading'].includes(name) && !spec.attribute) {
+      return `${isFirstSection && name === 'title' ? '#' : '##'} ${clean(el.textContent)}`;
+    }
+    if (el.tagName === 'UL' || el.tagName === 'OL') {
+      return [...el.querySelectorAll('li')].map((li) => `- ${clean(li.textContent)}`).join('\n');
+    }
+    return text;
+  }).filter(Boolean);
+}
+
+/**
+ * Resolve the descriptor's metadata rules against the page
+ * @param {object} descriptor - Parsed templates/*.json
+ * @param {Document} document - The page DOM
+ * @returns {object} Metadata key/value pairs
+ */
+export function extractMetadata(descriptor, document) {
+  const rules = descriptor.metadata || DEFAULT_METADATA;
+  const toSelector = (source) => (/^[a-z]+(:[a-z_]+)?$/i.test(source)
+    ? `meta[property="${source}"], meta[name="${source}"]`
+    : source);
+
+  const metadata = {};
+  Object.entries(rules).forEach(([key, rule]) => {
+    if ('value' in rule) {
+      metadata[key] = rule.value;
+      return;
+    }
+
+    const selector = rule.selector || toSelector(rule.source || '');
+    const elements = selector ? [...document.querySelectorAll(selector)] : [];
+    let value = '';
+
+    if (rule.transform === 'extractCategory') {
+      const match = (elements[0]?.className || '').match(/category-([a-z-]+)/);
+      value = match ? match[1].replace(/-/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase()) : '';
+    } else if (rule.collect || rule.join || rule.transform === 'commaSeparated') {
+      value = elements.map((el) => clean(el.textContent)).filter(Boolean).join(rule.join || ', ');
+    } else if (elements[0]) {
+      const el = elements[0];
+      if (rule.attribute) value = el.getAttribute(rule.attribute) || '';
+      else value = el.tagName === 'META' ? el.getAttribute('content') || '' : clean(el.textContent);
+    }
+
+    if (!value && rule.fallback) {
+      value = clean(document.querySelector(rule.fallback)?.textContent);
+    }
+    if (rule.transform === 'dateOnly') [value] = value.split('T');
+
+    metadata[key] = value;
+  });
+
+  if (!metadata.template) metadata.template = templateKey(descriptor);
+  return metadata;
+}
+
+/**
+ * Parse a page DOM using a template descriptor
+ * @param {object} descriptor - Parsed templates/*.json
+ * @param {Document} document - The page DOM
+ * @param {string} url - The source URL
+ * @returns {object} Parsed page content
+ */
+export function parseWithTemplate(descriptor, document, url) {
+  const template = templateKey(descriptor);
+  const claims = createClaims();
+  const sections = normalizeSections(descriptor).map((section, index) => {
+    const scope = section.container ? document.querySelector(section.container) : document;
+    const result = {
+      id: section.id,
+      content: [],
+      block: null,
+      sectionMetadata: section.sectionMetadata,
+    };
+    if (!scope) return result;
+
+    const fieldEntries = Object.entries(section.fields);
+
+    // A bare container is free-form body content
+    if (!fieldEntries.length) {
+      if (!claims.isFree(scope)) return result;
+      const body = blocksToMarkdown(extractContentBlocks(scope), { minHeadingLevel: 3 });
+      if (body) result.content.push(body);
+      claims.claim([scope]);
+      return result;
+    }
+
+    const itemEntry = fieldEntries
+      .find(([name, spec]) => spec.fields || ITEM_FIELDS.includes(name));
+    const isBlock = section.type === 'block' && section.blockName;
+
+    fieldEntries.forEach(([name, spec]) => {
+      if (isBlock && (itemEntry?.[0] === name || !itemEntry)) return;
+      // Repeating items outside a block render one paragraph per item
+      if (spec.fields) {
+        result.content.push(...itemRows(scope, spec, claims)
+          .filter(Boolean)
+          .map((row) => row.filter(Boolean).join(' ')));
+        return;
+      }
+      const matches = claims.select(scope, spec.selector);
+      const elements = SINGLE_FIELDS.includes(name) ? matches.slice(0, 1) : matches;
+      claims.claim(elements);
+      const isFirstSection = index === 0;
+      result.content.push(...fieldToMarkdown(elements, name, spec, { isFirstSection }));
+    });
+
+    if (isBlock) {
+      const rows = (itemEntry
+        ? itemRows(scope, itemEntry[1], claims)
+        : [rowFromFields(scope, section.fields, claims)]).filter(Boolean);
+      if (rows.length) result.block = { name: blockTitle(section.blockName), rows };
+    }
+
+    return result;
+  });
+
+  // Every page gets an H1, from its own heading when no field rendered one
+  const hasTitle = sections.some(({ content }) => content.some((text) => text.startsWith('# ')));
+  const title = clean(document.querySelector('h1')?.textContent);
+  if (!hasTitle && title && sections.length) sections[0].content.unshift(`# ${title}`);
+
+  return {
+    url,
+    template,
+    sections,
+    metadata: extractMetadata(descriptor, document),
+  };
+}
+
+/**
+ * Convert the output of parseWithTemplate() to EDS markdown
+ * @param {object} parsed - Output from parseWithTemplate()
+ * @param {object} [options]
+ * @param {boolean} [options.relatedBlock] - Emit a Related Resources block
+ *   in place of the related-posts section's content
+ * @returns {string} EDS-compatible markdown
+ */
+export function templateToMarkdown(parsed, { relatedBlock = false } = {}) {
+  const lines = [];
+
+  const isRelated = (section) => relatedBlock && RELATED_SECTION.test(section.id);
+
+  parsed.sections
+    .filter((section) => section.content.length || section.block || isRelated(section))
+    .forEach((section) => {
+      if (isRelated(section)) {
+        // The block renders the section's heading itself
+        const heading = section.content.map((paragraph) => paragraph.match(/^#{1,6} (.+)/)?.[1]).find(Boolean);
+        lines.push(...relatedResourcesBlock(section.block?.rows.length || undefined, heading));
+      } else {
+        section.content.forEach((paragraph) => {
+          lines.push(paragraph);
+          lines.push('');
+        });
+      }
+
+      if (section.block && !isRelated(section)) {
+        const width = Math.max(2, ...section.block.rows.map((row) => row.length));
+        lines.push(`| ${section.block.name} |${'  |'.repeat(width - 1)}`);
+        lines.push(`|${' --- |'.repeat(width)}`);
+        section.block.rows.forEach((row) => {
+          const cells = [...row, ...Array(width - row.length).fill('')];
+          lines.push(`| ${cells.map(cell).join(' | ')} |`);
+        });
+        lines.push('');
+      }
+
+      if (section.sectionMetadata) {
+        lines.push('| Section Metadata |  |');
+        lines.push('| --- | --- |');
+        Object.entries(section.sectionMetadata).forEach(([key, value]) => {
+          lines.push(`| ${key} | ${value} |`);
+        });
+        lines.push('');
+      }
+
+      lines.push('---');
+      lines.push('');
+    });
+
+  // Metadata block
+  lines.push('| Metadata |  |');
+  lines.push('| --- | --- |');
+  Object.entries(parsed.metadata).forEach(([key, value]) => {
+    if (value) lines.push(`| ${key} | ${cell(value)} |`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Create a { parse, toMarkdown } parser for a descriptor, matching the
+ * interface of the hand-written parsers/*-parser.js modules
+ * @param {object} descriptor - Parsed templates/*.json
+ * @returns {{parse: Function, toMarkdown: Function}}
+ */
+export function createTemplateParser(descriptor) {
+  return {
+    parse: (document, url) => parseWithTemplate(descriptor, document, url),
+    toMarkdown: templateToMarkdown,
+  };
+}
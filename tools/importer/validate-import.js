@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+/**
+ * Import Validation Report
+ *
+ * Re-fetches source pages and compares their visible text, headings, image
+ * count and link count with the imported .plain.html (or the .md when the
+ * page hasn't been converted yet). The source side is limited to the regions
+ * the page's template selects (see lib/content-validator.js).
+ *
+ * Writes validation-report.json and validation-report.html with a score per
+ * page; pages scoring below --threshold are flagged and make the command
+ * exit with status 1.
+ *
+ * Source pages are fetched through the same scheduler (lib/fetch-scheduler.js)
+ * and HTML cache as bulk-import.js: --delay-ms between requests per host,
+ * --max-retries with backoff and Retry-After, and with --cache-dir (or
+ * --offline) the snapshots an import stored, so a page is validated against
+ * the HTML it was imported from.
+ *
+ * Usage:
+ *   node validate-import.js                          # Pages imported by the last run
+ *   node validate-import.js --batch 3a-blog          # A catalog batch ('all' for every batch)
+ *   node validate-import.js --url <url> --template blog-article
+ *   node validate-import.js --batch all --limit 20 --threshold 0.7
+ *   node validate-import.js --batch 3a-blog --cache-dir .html-cache  # Reuse import snapshots
+ *   node validate-import.js --batch 3a-blog --offline                # Snapshots only
+ */
+
+const { JSDOM } = require('jsdom');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { STATUS, readJournal } = require('./lib/run-journal.js');
+const { readTemplates } = require('./lib/parser-registry.js');
+const { urlToContentPath } = require('./lib/content-paths.js');
+const { createHtmlCache } = require('./lib/http-fetch.js');
+const { createFetchScheduler } = require('./lib/fetch-scheduler.js');
+const {
+  DEFAULT_THRESHOLD,
+  sourceRegions,
+  summarizeElements,
+  summarizePlainHtml,
+  summarizeMarkdown,
+  compareSummaries,
+} = require('./lib/content-validator.js');
+
+const CATALOG_PATH = path.join(__dirname, 'url-catalog.json');
+const JOURNAL_PATH = path.join(__dirname, 'import-journal.json');
+const REPORT_JSON_PATH = path.join(__dirname, 'validation-report.json');
+const REPORT_HTML_PATH = path.join(__dirname, 'validation-report.html');
+const TEMPLATE_TRANSFORMER = path.join(__dirname, 'transformers/template-transformer.js');
+const DEFAULT_CACHE_DIR = path.join(__dirname, '.html-cache');
+const DEFAULT_DELAY_MS = 500; // Gap between request starts per host
+const DEFAULT_MAX_RETRIES = 3; // Retries for 429 / 5xx / timeouts
+
+// Parse arguments
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const idx = args.indexOf(`--${name}`);
+  return idx !== -1 && args[idx + 1] ? args[idx + 1] : null;
+};
+
+const batchName = getArg('batch');
+const singleUrl = getArg('url');
+const forcedTemplate = getArg('template');
+const limit = getArg('limit') ? parseInt(getArg('limit'), 10) : Infinity;
+const threshold = getArg('threshold') ? parseFloat(getArg('threshold')) : DEFAULT_THRESHOLD;
+const offline = args.includes('--offline');
+const cacheDir = getArg('cache-dir') ? path.resolve(getArg('cache-dir')) : (offline && DEFAULT_CACHE_DIR) || null;
+const delayMs = getArg('delay-ms') ? parseInt(getArg('delay-ms'), 10) : DEFAULT_DELAY_MS;
+const maxRetries = getArg('max-retries') ? parseInt(getArg('max-retries'), 10) : DEFAULT_MAX_RETRIES;
+
+// Pages are validated one at a time; the scheduler paces and retries the
+// requests, and the HTML cache, when enabled, sits in front of it
+const scheduler = createFetchScheduler({ concurrency: 1, delayMs, maxRetries });
+const htmlCache = cacheDir
+  ? createHtmlCache(cacheDir, { offline, fetchPage: scheduler.fetch })
+  : null;
+const fetchPage = (url) => (htmlCache ? htmlCache.fetchHtml(url) : scheduler.fetch(url));
+
+/**
+ * Pages to validate as [{url, template}]
+ */
+function selectPages() {
+  if (singleUrl) return [{ url: singleUrl, template: forcedTemplate }];
+
+  if (batchName) {
+    const catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+    const batches = batchName === 'all'
+      ? Object.values(catalog.batches)
+      : [catalog.batches[batchName]];
+    if (!batches[0]) {
+      throw new Error(`Unknown batch: ${batchName} (available: ${Object.keys(catalog.batches).join(', ')})`);
+    }
+    return batches.flatMap((batch) => batch.urls.map((url) => ({ url, template: batch.template })));
+  }
+
+  const journal = readJournal(JOURNAL_PATH);
+  if (!journal) throw new Error('No import journal found; pass --batch or --url');
+  return Object.entries(journal.entries)
+    .filter(([, entry]) => entry.status === STATUS.SUCCEEDED)
+    .map(([url, entry]) => ({ url, template: entry.template }));
+}
+
+/**
+ * Summary of the generated page, preferring the converted .plain.html
+ */
+function summarizeImported(contentPath) {
+  const plainPath = contentPath.mdPath.replace(/\.md$/, '.plain.html');
+  if (fs.existsSync(plainPath)) {
+    const { document } = new JSDOM(fs.readFileSync(plainPath, 'utf8')).window;
+    return { file: path.relative(path.join(__dirname, '../..'), plainPath), summary: summarizePlainHtml(document) };
+  }
+  if (fs.existsSync(contentPath.mdPath)) {
+    return { file: contentPath.relativePath, summary: summarizeMarkdown(fs.readFileSync(contentPath.mdPath, 'utf8')) };
+  }
+  return null;
+}
+
+async function validatePage({ url, template }, descriptors, normalizeSections) {
+  const contentPath = urlToContentPath(url);
+  const imported = summarizeImported(contentPath);
+  if (!imported) {
+    return {
+      url, template, file: contentPath.relativePath, score: 0, flagged: true, error: 'Imported page not found',
+    };
+  }
+
+  const html = await fetchPage(url);
+  const { document } = new JSDOM(html, { url }).window;
+  const regions = sourceRegions(document, descriptors.get(template) || null, normalizeSections);
+  const comparison = compareSummaries(summarizeElements(regions), imported.summary);
+
+  return {
+    url,
+    template,
+    file: imported.file,
+    ...comparison,
+    flagged: comparison.score < threshold,
+  };
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function renderHtmlReport(report) {
+  const rows = report.pages.map((page) => {
+    const { counts = {}, scores = {} } = page;
+    const pair = (measure) => (counts[measure] ? `${counts[measure].source} / ${counts[measure].imported ?? counts[measure].kept}` : '');
+    const notes = page.error
+      ? [page.error]
+      : (page.missingHeadings || []).map((h) => `missing heading: ${h}`);
+    return `<tr class="${page.flagged ? 'flagged' : ''}">
+  <td>${page.score.toFixed(2)}</td>
+  <td><a href="${escapeHtml(page.url)}">${escapeHtml(page.url)}</a><br><small>${escapeHtml(page.file || '')}</small></td>
+  <td>${escapeHtml(page.template || '')}</td>
+  <td>${scores.text ?? ''}<br><small>${pair('words')}</small></td>
+  <td>${scores.headings ?? ''}<br><small>${pair('headings')}</small></td>
+  <td>${scores.images ?? ''}<br><small>${pair('images')}</small></td>
+  <td>${scores.links ?? ''}<br><small>${pair('links')}</small></td>
+  <td>${notes.map(escapeHtml).join('<br>')}</td>
+</tr>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Import validation report</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f4f4f4; }
+    tr.flagged { background: #fde8e8; }
+    small { color: #666; }
+  </style>
+</head>
+<body>
+  <h1>Import validation report</h1>
+  <p>${report.timestamp} — ${report.total} pages, ${report.flagged} below threshold ${report.threshold}, average score ${report.averageScore}</p>
+  <p><small>Scores are source content kept (text, headings) and smaller/larger count (images, links); figures are source / imported.</small></p>
+  <table>
+    <thead>
+      <tr><th>Score</th><th>Page</th><th>Template</th><th>Text</th><th>Headings</th><th>Images</th><th>Links</th><th>Notes</th></tr>
+    </thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+async function main() {
+  console.log('Import Validation Report');
+  console.log(`Threshold: ${threshold}`);
+  if (htmlCache) console.log(`HTML cache: ${cacheDir}${offline ? ' (offline)' : ''}`);
+  console.log('');
+
+  const pages = selectPages().slice(0, limit);
+  const descriptors = new Map(readTemplates().map(({ name, descriptor }) => [name, descriptor]));
+  const { normalizeSections } = await import(pathToFileURL(TEMPLATE_TRANSFORMER).href);
+
+  const results = [];
+  await pages.reduce((previous, page, i) => previous.then(async () => {
+    let result;
+    try {
+      result = await validatePage(page, descriptors, normalizeSections);
+    } catch (err) {
+      result = {
+        ...page, score: 0, flagged: true, error: err.message,
+      };
+    }
+    results.push(result);
+    const mark = result.flagged ? '✗' : '✓';
+    console.log(`  [${i + 1}/${pages.length}] ${mark} ${result.score.toFixed(2)} ${page.url}${result.error ? ` — ${result.error}` : ''}`);
+  }), Promise.resolve());
+
+  const flagged = results.filter((r) => r.flagged);
+  const report = {
+    timestamp: new Date().toISOString(),
+    threshold,
+    total: results.length,
+    flagged: flagged.length,
+    averageScore: results.length
+      ? Math.round((results.reduce((sum, r) => sum + r.score, 0) / results.length) * 100) / 100
+      : 0,
+    pages: results.sort((a, b) => a.score - b.score),
+  };
+
+  fs.writeFileSync(REPORT_JSON_PATH, JSON.stringify(report, null, 2));
+  fs.writeFileSync(REPORT_HTML_PATH, renderHtmlReport(report));
+
+  console.log('');
+  console.log('='.repeat(60));
+  console.log(`Pages:   ${report.total}`);
+  console.log(`Flagged: ${report.flagged} (score < ${threshold})`);
+  console.log(`Average: ${report.averageScore}`);
+  if (htmlCache) {
+    console.log(`Cache:   ${htmlCache.stats.hits} read from cache, ${htmlCache.stats.stored} stored`);
+  }
+  console.log(`\nReports saved to: ${REPORT_JSON_PATH}`);
+  console.log(`                  ${REPORT_HTML_PATH}`);
+
+  if (flagged.length) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});